@@ -2,8 +2,11 @@
 // Simple allocation visualizer (pie) for planned spend.
 // Planned spend = contracted roster $ + Auction Board Plan $.
 
-import { getAuctionTargets, getRoster, getSettings } from "./storage.js";
+import { getAuctionTargets, getRoster, getSettings, getLeagueTeamStates, updateLeagueTeam } from "./storage.js";
 import { getEmptySlotKeys } from "./recommended-targets.js";
+import { summarizeOpenSlots } from "./roster-slots.js";
+import { getKeeperSalary } from "./contract-rules.js";
+import { escapeHtml } from "./helpers.js";
 
 function num(v, fallback = 0) {
   const n = Number(v);
@@ -32,7 +35,8 @@ function classifySpend({ type, pos, dollars }) {
   return { bucket: isStarter(pos) ? "sp" : "rp", dollars };
 }
 
-function sumPlannedSpend() {
+/** Keeper salaries + Plan $ split into hitters / SP / RP (active workspace). */
+export function sumPlannedSpend() {
   const roster = (getRoster() || []).filter((p) => !!p.underContract);
   const targets = getAuctionTargets() || [];
 
@@ -40,9 +44,9 @@ function sumPlannedSpend() {
   let sp = 0;
   let rp = 0;
 
-  // Contracted roster: use price
+  // Contracted roster: this season's keeper salary
   for (const p of roster) {
-    const dollars = Math.max(0, num(p.price, 0));
+    const dollars = getKeeperSalary(p, 0);
     const c = classifySpend({ type: p.type, pos: p.pos, dollars });
     if (c.bucket === "hit") hit += c.dollars;
     else if (c.bucket === "sp") sp += c.dollars;
@@ -125,11 +129,9 @@ function renderRosterSnapshot(containerId = "rosterSnapshot") {
   const trueMax = Math.max(0, remaining - reservePerSlot * Math.max(0, slotsLeft - 1));
   const avg = slotsLeft ? (remaining / slotsLeft) : remaining;
 
-  const hitEmpty = empty
-    .filter((k) => !String(k).startsWith("P"))
-    .map((k) => (k === "OF1" || k === "OF2") ? "OF" : k);
-
-  const pitOpen = empty.filter((k) => String(k).startsWith("P")).length;
+  const open = summarizeOpenSlots(empty);
+  const hitEmpty = open.hit;
+  const pitOpen = open.pit;
 
   el.innerHTML = `
     <div class="snapSection">
@@ -182,6 +184,83 @@ function renderRosterSnapshot(containerId = "rosterSnapshot") {
   `;
 }
 
+// Per-team budgets replayed from the draft log. "Can outbid" = that team's
+// true max bid is above the check price (defaults to our own true max).
+function renderLeagueTeams(containerId = "leagueTeams") {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  const states = getLeagueTeamStates();
+  const me = states.find((t) => t.isMe);
+
+  const prevInput = el.querySelector("#leagueBidCheck");
+  const typed = prevInput ? String(prevInput.value || "").trim() : "";
+  const checkPrice = typed ? Math.max(0, num(typed, 0)) : num(me?.trueMax, 0);
+
+  const rivals = states.filter((t) => !t.isMe && t.trueMax > checkPrice);
+
+  el.innerHTML = `
+    <div class="snapSection">
+      <div class="snapRow">
+        <div class="small" style="opacity:.8;">Who can bid above</div>
+        <div class="small"><input id="leagueBidCheck" type="number" min="0" step="1" value="${typed}" placeholder="${money(checkPrice)}" style="width:80px;" /></div>
+      </div>
+      <div class="small" style="opacity:.75; margin-top:4px;">
+        ${rivals.length ? `${rivals.length} team(s) can outbid ${money(checkPrice)}` : `Nobody can outbid ${money(checkPrice)}`}
+      </div>
+
+      <div class="leagueTeamsTable">
+        <div class="ltRow ltHead small">
+          <div>Team</div><div>Left</div><div>Open</div><div>Max</div>
+        </div>
+        ${states
+          .slice()
+          .sort((a, b) => b.trueMax - a.trueMax)
+          .map((t) => {
+            const canOutbid = !t.isMe && t.trueMax > checkPrice;
+            return `
+              <div class="ltRow small${t.isMe ? " ltMe" : ""}${canOutbid ? " ltThreat" : ""}">
+                <div>${escapeHtml(t.name)}${canOutbid ? ` <span class="chip chipNeed">can outbid</span>` : ""}</div>
+                <div>${money(t.remaining)}</div>
+                <div>${t.openSlots}</div>
+                <div style="font-weight:900;">${money(t.trueMax)}</div>
+              </div>
+            `;
+          })
+          .join("")}
+      </div>
+
+      <details class="ltEdit">
+        <summary class="small">Edit teams &amp; keepers</summary>
+        ${states
+          .filter((t) => !t.isMe)
+          .map((t) => `
+            <div class="ltEditRow small" data-team-id="${escapeHtml(t.id)}">
+              <input data-field="name" value="${escapeHtml(t.name)}" />
+              <label>Keep $ <input data-field="keeper_spent" type="number" min="0" step="1" value="${t.keeperSpent}" /></label>
+              <label># <input data-field="keeper_count" type="number" min="0" step="1" value="${t.keeperCount}" /></label>
+            </div>
+          `)
+          .join("")}
+      </details>
+    </div>
+  `;
+
+  const input = el.querySelector("#leagueBidCheck");
+  input?.addEventListener("change", () => renderLeagueTeams(containerId));
+
+  el.querySelectorAll(".ltEditRow input").forEach((inp) => {
+    inp.addEventListener("change", () => {
+      const row = inp.closest(".ltEditRow");
+      const id = row?.getAttribute("data-team-id");
+      const field = inp.getAttribute("data-field");
+      if (!id || !field) return;
+      updateLeagueTeam(id, { [field]: field === "name" ? inp.value : num(inp.value, 0) });
+      renderLeagueTeams(containerId);
+    });
+  });
+}
+
 export function mountAllocationVisualizer({ canvasId = "allocPie", legendId = "allocLegend", metaId = "allocMeta" } = {}) {
   const canvas = document.getElementById(canvasId);
   const legend = document.getElementById(legendId);
@@ -218,4 +297,5 @@ export function mountAllocationVisualizer({ canvasId = "allocPie", legendId = "a
 }
 
   renderRosterSnapshot("rosterSnapshot");
+  renderLeagueTeams("leagueTeams");
 }
@@ -2,7 +2,9 @@
 // Loads auction values CSV with a robust parser (handles quoted commas, etc.)
 // Also provides pricing helpers for the Auction Board (Base Val → Δ → Adj $).
 
-import { DEFAULT_WEIGHTS } from "./storage.js";
+import { DEFAULT_WEIGHTS, getRoster, getLeagueTeamStates, replayDraftLog } from "./storage.js";
+import { getLeagueCategories } from "./league-config.js";
+import { getCategoryStat } from "./categories.js";
 import { normalizeName, getPlayerKey } from "./player-key.js";
 
 function toNumberMaybe(raw) {
@@ -216,15 +218,26 @@ function normType(t) {
   return (s === "pit" || s === "pitcher") ? "pit" : "hit";
 }
 
-const ALL_CATS = ["OPS","TB","HR","RBI","R","AVG","SB","IP","QS","K","HLD","SV","ERA","WHIP"];
-const HIT_CATS = ["OPS","TB","HR","RBI","R","AVG","SB"];
-const PIT_CATS = ["IP","QS","K","HLD","SV","ERA","WHIP"];
+// League categories (league-config.js / categories.js)
+const HIT_CATS = getLeagueCategories("hit").map((c) => c.id);
+const PIT_CATS = getLeagueCategories("pit").map((c) => c.id);
+const ALL_CATS = [...HIT_CATS, ...PIT_CATS];
 
 /**
  * Returns the numeric value of a category column if present, otherwise null.
  * Supports keys like "OPS", "ops", "OPS_26", "ops_26".
  */
 export function getCatStat(player, cat) {
+  return getCatStatEntry(player, cat)?.value ?? null;
+}
+
+/**
+ * Like getCatStat, but also says where the value came from:
+ * { value, component } — component is true for a "${cat}__w" strategy
+ * component (already oriented so higher is better, ERA / WHIP included),
+ * false for a raw stat. null when the player has neither.
+ */
+export function getCatStatEntry(player, cat) {
   if (!player) return null;
 
   // Strategy component key (computed by auction-page.js).
@@ -244,9 +257,12 @@ export function getCatStat(player, cat) {
   for (const k of candidates) {
     const v = player[k];
     const n = Number(v);
-    if (v != null && v !== "" && Number.isFinite(n)) return n;
+    if (v != null && v !== "" && Number.isFinite(n)) return { value: n, component: k === kw1 || k === kw2 };
   }
-  return null;
+
+  // Registry column / aliases / derived stats (e.g. SVH from SV + HLD)
+  const raw = getCategoryStat(player, cat);
+  return raw == null ? null : { value: raw, component: false };
 }
 
 /**
@@ -265,16 +281,34 @@ export function getMarketEstimate(player) {
   return v == null ? null : Math.max(0, v);
 }
 
+// SGP-mode dollars (stamped by valuation.js applyEngineValues).
+export function getSgpVal26(player) {
+  const v = num(player?.sgp_value_26, null);
+  return v == null ? null : Math.max(0, v);
+}
+
+// Value View modes: "proj" | "market" | "sgp". Anything else reads as "proj".
+export function normalizeValueMode(mode) {
+  const m = String(mode || "proj").toLowerCase();
+  return m === "market" || m === "sgp" ? m : "proj";
+}
+
 // Baseline value used by the Auction Board engine.
 // - proj: projection anchor (with shadow fallback)
 // - market: market estimate (projection + flags). If missing, falls back to proj baseline.
+// - sgp: standings-gain-points dollars. Players without projections fall back to proj baseline.
 export function getBaselineVal(player, valueMode = "proj") {
-  const mode = String(valueMode || "proj").toLowerCase();
+  const mode = normalizeValueMode(valueMode);
   if (mode === "market") {
     const m = getMarketEstimate(player);
     if (m != null && m > 0) return m;
     return getBaseVal26(player);
   }
+  if (mode === "sgp") {
+    const v = getSgpVal26(player);
+    if (v != null) return v;
+    return getBaseVal26(player);
+  }
   return getBaseVal26(player);
 }
 
@@ -371,9 +405,11 @@ export function getWeightedVal26(player, weights, hasCatStats, baseValOverride =
  *    - hasCatStats: boolean (detectCatStats(players[0]) result)
  *    - caps: { strategyCap, deltaCap }
  *
+ *    - inflation: live multiplier from getLiveInflation() (default 1)
+ *
  * Output:
  * {
- *   baseVal, weightedVal,
+ *   baseVal, weightedVal, inflation,
  *   plan,
  *   marketDelta, strategyDelta, totalDelta,
  *   adjRaw
@@ -388,8 +424,11 @@ export function computeTargetPricing(target, player, weights, opts = {}) {
 
   const valueMode = opts.valueMode || "proj";
 
-  // Baseline value (depends on Value Mode)
-  const baseValCsv = getBaselineVal(player, valueMode) ?? 0;
+  // Live inflation multiplier (1 = pre-draft / no inflation)
+  const inflation = num(opts.inflation, 1) > 0 ? num(opts.inflation, 1) : 1;
+
+  // Baseline value (depends on Value Mode), rescaled for money left in the room
+  const baseValCsv = (getBaselineVal(player, valueMode) ?? 0) * inflation;
 
   // Strategy-weighted value (only moves if hasCatStats)
   const weightedVal = getWeightedVal26(player, weights, hasCatStats, baseValCsv);
@@ -417,6 +456,7 @@ export function computeTargetPricing(target, player, weights, opts = {}) {
   return {
     baseVal,
     weightedVal,
+    inflation,
     plan,
     marketDelta,
     strategyDelta,
@@ -425,5 +465,76 @@ export function computeTargetPricing(target, player, weights, opts = {}) {
   };
 }
 
+/* ========================================================================== */
+/*                               Live inflation                               */
+/* ========================================================================== */
+
+function topValueSum(values, n) {
+  const sorted = values.filter((v) => v > 0).sort((a, b) => b - a);
+  return sorted.slice(0, Math.max(0, n)).reduce((a, b) => a + b, 0);
+}
+
+/**
+ * Inflation = (dollars left in the room / baseline value left on the board),
+ * normalized by the same ratio before the first sale so an untouched board
+ * reads exactly 1.00.
+ *
+ * "Value left on the board" is the top-N undrafted players by baseline, where
+ * N is the number of open roster slots across the league (the players that
+ * will actually be bought). Keepers on our roster are never in the pool.
+ *
+ * Inputs:
+ * - players: auction pool (loadAuctionPlayers / merged pool)
+ * - valueMode: "proj" | "market" | "sgp"
+ * - state: { sales, teamStates, keeperKeys }
+ *
+ * Output:
+ * { rate, dollarsLeft, poolValue, dollarsTotal, poolTotal, openSlots }
+ */
+export function computeInflation(players, valueMode, state = {}) {
+  const sales = state.sales || new Map();
+  const teamStates = state.teamStates || [];
+  const keeperKeys = state.keeperKeys || new Set();
+
+  const dollarsTotal = teamStates.reduce((sum, t) => sum + Math.max(0, t.budgetTotal - t.keeperSpent), 0);
+  const dollarsLeft = teamStates.reduce((sum, t) => sum + t.remaining, 0);
+  const slotsTotal = teamStates.reduce((sum, t) => sum + t.openSlots + t.purchases.length, 0);
+  const openSlots = teamStates.reduce((sum, t) => sum + t.openSlots, 0);
+
+  const all = [];
+  const left = [];
+  for (const p of players || []) {
+    const key = String(p?.player_key || "").trim();
+    if (key && keeperKeys.has(key)) continue;
+
+    const v = getBaselineVal(p, valueMode) ?? 0;
+    all.push(v);
+    if (!key || !sales.has(key)) left.push(v);
+  }
+
+  const poolTotal = topValueSum(all, slotsTotal);
+  const poolValue = topValueSum(left, openSlots);
+
+  const before = poolTotal > 0 ? dollarsTotal / poolTotal : 0;
+  const now = poolValue > 0 ? dollarsLeft / poolValue : 0;
+  const rate = before > 0 && now > 0 ? now / before : 1;
+
+  return { rate, dollarsLeft, poolValue, dollarsTotal, poolTotal, openSlots };
+}
+
+/**
+ * computeInflation() fed from storage (draft log + league teams + roster).
+ */
+export function getLiveInflation(players, valueMode = "proj") {
+  const { sales } = replayDraftLog();
+  const teamStates = getLeagueTeamStates();
+  const keeperKeys = new Set(
+    (getRoster() || [])
+      .filter((p) => !!p.underContract)
+      .map((p) => getPlayerKey({ Type: p.type, Name: p.name }))
+  );
+  return computeInflation(players, valueMode, { sales, teamStates, keeperKeys });
+}
+
 // Back-compat re-exports so other modules can import from auction-data.
 export { normalizeName, getPlayerKey } from "./player-key.js";
@@ -8,7 +8,7 @@ import {
   getCategoryWeights,
   getCategoryWeightsUpdatedAt,
   getRoster,
-  getLivePrices,
+  replayDraftLog,
   setLivePrice,
   getAuctionTargets,
   addAuctionTarget,
@@ -19,9 +19,18 @@ import {
 
 import { mountRecommendedTargets } from "./recommended-targets.js";
 import { mountAllocationVisualizer } from "./allocation.js";
+import { mountBudgetSolver } from "./budget-solver.js";
+import { mountNominationAssistant } from "./nomination.js";
+import { mountBidAdvisor } from "./bid-advisor.js";
+import { mountAuctionSim } from "./auction-sim.js";
 import { initCompare } from "./compare.js";
+import { initDraftLog, refreshDraftLog, teamLabel } from "./draft-log.js";
+import { onLiveSync } from "./live-sync.js";
 
 import { loadPlayers as loadProjectionPlayers } from "./projections-data.js";
+import { applyEngineValues } from "./valuation.js";
+import { getLeagueCategories, getPointsTable } from "./league-config.js";
+import { isPointsLeague } from "./points.js";
 
 import {
   loadAuctionPlayers,
@@ -30,7 +39,10 @@ import {
 ,
   getBaseVal26,
   getMarketEstimate,
-  getBaselineVal
+  getBaselineVal,
+  getLiveInflation,
+  getSgpVal26,
+  normalizeValueMode
 } from "./auction-data.js";
 
 import { normalizeName, getPlayerKey } from "./player-key.js";
@@ -72,10 +84,15 @@ function isStrategyActive(weights) {
 
 function getValueMode() {
   const s = getSettings();
-  const m = String(s?.value_mode ?? "proj").toLowerCase();
-  return m === "market" ? "market" : "proj";
+  return normalizeValueMode(s?.value_mode);
 }
 
+const VALUE_MODE_LABELS = {
+  proj: "Proj Anchor",
+  market: "Market Estimate",
+  sgp: "SGP",
+};
+
 function rosterBadgeText(rosterEntry) {
   if (!rosterEntry) return "";
   const y = Number(rosterEntry?.contractYear);
@@ -330,13 +347,44 @@ function strategyOptions() {
   return {
     hasCatStats: STRATEGY_ENABLED && HAS_CAT_STATS,
     valueMode: getValueMode(),
+    inflation: LIVE_INFLATION.rate,
   };
 }
 
+/* ------------------------------ Live inflation ----------------------------- */
+// Recomputed once per render from the draft log; every pricing call on the
+// page reads the cached rate through strategyOptions().
+let LIVE_INFLATION = { rate: 1 };
+
+function refreshInflation() {
+  try {
+    LIVE_INFLATION = getLiveInflation(AUCTION_PLAYERS, getValueMode());
+  } catch (e) {
+    console.warn("[AUCTION] inflation failed", e);
+    LIVE_INFLATION = { rate: 1 };
+  }
+  hydrateInflationBadge();
+}
+
+function hydrateInflationBadge() {
+  const el = document.getElementById("hdrInflation");
+  if (!el) return;
+
+  const pct = (LIVE_INFLATION.rate - 1) * 100;
+  const sign = pct > 0 ? "+" : "";
+  el.textContent = `Inflation: ${sign}${pct.toFixed(1)}%`;
+  el.title = LIVE_INFLATION.poolValue != null
+    ? `$${Math.round(LIVE_INFLATION.dollarsLeft)} left for ${LIVE_INFLATION.openSlots} slot(s) • ` +
+      `baseline value left ${money(LIVE_INFLATION.poolValue)} • ×${LIVE_INFLATION.rate.toFixed(3)}`
+    : "";
+}
+
 // Build comparable 0..1 category components for weighting.
-const STRAT_CATS_HIT = ["OPS","TB","HR","RBI","R","AVG","SB"];
-const STRAT_CATS_PIT = ["IP","QS","K","HLD","SV","ERA","WHIP"];
-const STRAT_LOWER_BETTER = new Set(["ERA","WHIP"]);
+const STRAT_CATS_HIT = getLeagueCategories("hit").map((c) => c.id);
+const STRAT_CATS_PIT = getLeagueCategories("pit").map((c) => c.id);
+const STRAT_LOWER_BETTER = new Set(
+  getLeagueCategories().filter((c) => c.direction === "lower").map((c) => c.id)
+);
 
 function computePercentiles(players, cats, type) {
   const pool = players.filter(p => typeLabel(p.type) === type);
@@ -468,7 +516,15 @@ async function initAuctionPool() {
     const seen = new Set();
     const idxByKey = new Map();
 
-    const statCols = ["PA","AVG","OPS","TB","HR","RBI","R","SB","ERA","WHIP","IP","QS","K","SV","HLD","POS"];
+    const statCols = [...new Set([
+      "PA", "IP",
+      ...STRAT_CATS_HIT, ...STRAT_CATS_PIT,
+      ...getLeagueCategories().map((c) => c.volume).filter(Boolean),
+      // points leagues: raw events (ER / H+BB derive from ERA / WHIP × IP)
+      ...(isPointsLeague() ? ["ERA", "WHIP", ...Object.keys(getPointsTable().hit), ...Object.keys(getPointsTable().pit)] : []),
+      "fpts_26",
+      "POS",
+    ])];
 
     for (const a of auctionOnly) {
       if (!a.Name) continue;
@@ -527,6 +583,10 @@ async function initAuctionPool() {
       merged.push(a);
     }
 
+    // Proj Anchor from the in-app engine (league settings aware) unless the
+    // user pinned the CSV column in Settings.
+    applyEngineValues(merged);
+
     buildStrategyComponents(merged);
 
     AUCTION_PLAYERS = merged;
@@ -574,6 +634,9 @@ function getTierForPlayer(p, mode) {
   // Tier is derived from the current Value View baseline:
   // - Proj Anchor mode: uses Proj Anchor (or fallback base)
   // - Market Estimate mode: uses Market Estimate
+  // - SGP mode: uses SGP dollars
+  // Engine / SGP dollars are already above positional replacement (valuation.js),
+  // so a catcher and an outfielder with the same raw stats can land in different tiers.
   const v = getBaselineVal(p, mode);
   return tierFromValue(v);
 }
@@ -953,6 +1016,8 @@ function render() {
   const meta = document.getElementById("auctionMeta");
   if (!tbody) return;
 
+  refreshInflation();
+
   const all = getAuctionTargets();
   renderTierSummary(all);
 
@@ -964,6 +1029,7 @@ function render() {
     mountRecommendedTargets({
       players: AUCTION_PLAYERS,
       valueMode: getValueMode(),
+      inflation: LIVE_INFLATION.rate,
     });
   } catch (e) {
     console.warn("[rec] failed to render recommended targets", e);
@@ -975,6 +1041,46 @@ function render() {
     console.warn("[alloc] failed to render allocation", e);
   }
 
+  try {
+    mountBudgetSolver({
+      players: AUCTION_PLAYERS,
+      valueMode: getValueMode(),
+      inflation: LIVE_INFLATION.rate,
+    });
+  } catch (e) {
+    console.warn("[solver] failed to render budget solver", e);
+  }
+
+  try {
+    mountNominationAssistant({
+      players: AUCTION_PLAYERS,
+      valueMode: getValueMode(),
+      inflation: LIVE_INFLATION.rate,
+    });
+  } catch (e) {
+    console.warn("[nominate] failed to render nomination assistant", e);
+  }
+
+  try {
+    mountBidAdvisor({
+      players: AUCTION_PLAYERS,
+      valueMode: getValueMode(),
+      inflation: LIVE_INFLATION.rate,
+    });
+  } catch (e) {
+    console.warn("[bid] failed to render bid advisor", e);
+  }
+
+  try {
+    mountAuctionSim({
+      players: AUCTION_PLAYERS,
+      valueMode: getValueMode(),
+      inflation: LIVE_INFLATION.rate,
+    });
+  } catch (e) {
+    console.warn("[sim] failed to render mock auction", e);
+  }
+
   if (meta) {
     const updatedAt = getCategoryWeightsUpdatedAt();
     const stratTag = updatedAt
@@ -1012,6 +1118,7 @@ function render() {
 
   const weightsNow = getStrategyWeights();
   const opts = strategyOptions();
+  const { sales } = replayDraftLog();
   const rosterMap = new Map(
     (getRoster() || []).map((r) => [normalizeName(r?.name || ""), r])
   );
@@ -1177,8 +1284,10 @@ sel.value = normalizeTier(t.tier) || autoTier || "F";
       tr.appendChild(td);
     }
 
-    // 5) Val / Δ / Adj $ (computed)
-    const pricing = computeTargetPricing(t, rowPlayer, weightsNow, opts);
+    // 5) Val / Δ / Adj $ (computed). Sold players keep their pre-inflation value.
+    const soldKey = String(t?.player_key || "").trim();
+    const rowOpts = soldKey && sales.has(soldKey) ? { ...opts, inflation: 1 } : opts;
+    const pricing = computeTargetPricing(t, rowPlayer, weightsNow, rowOpts);
 
     // Val (polish: valCell + num)
     {
@@ -1188,10 +1297,18 @@ sel.value = normalizeTier(t.tier) || autoTier || "F";
       const mode = getValueMode();
       const projVal = getBaseVal26(rowPlayer);
       const mktVal = getMarketEstimate(rowPlayer);
+      const sgpVal = getSgpVal26(rowPlayer);
       const baseShown = Number(pricing.baseVal ?? 0);
       td.textContent = money(baseShown);
-      const modeLabel = mode === "market" ? "Market Estimate" : "Proj Anchor";
-      td.title = `${modeLabel}: ${money(baseShown)}${projVal != null ? `\nProj Anchor: ${money(projVal)}` : ""}${mktVal != null ? `\nMarket Estimate: ${money(mktVal)}` : ""}`;
+      const modeLabel = VALUE_MODE_LABELS[mode];
+      const inflNote = Math.abs(num(pricing.inflation) - 1) >= 0.0005 ? ` (inflation ×${num(pricing.inflation).toFixed(3)})` : "";
+      const vorpNote = rowPlayer?.vorp_pos
+        ? `\nAbove ${rowPlayer.vorp_pos} replacement: ${num(rowPlayer.vorp_26).toFixed(1)}`
+        : "";
+      const sgpNote = sgpVal != null
+        ? `\nSGP: ${money(sgpVal)}${rowPlayer?.sgp_26 != null ? ` (${num(rowPlayer.sgp_26).toFixed(1)} pts)` : ""}`
+        : "";
+      td.title = `${modeLabel}: ${money(baseShown)}${inflNote}${projVal != null ? `\nProj Anchor: ${money(projVal)}` : ""}${mktVal != null ? `\nMarket Estimate: ${money(mktVal)}` : ""}${sgpNote}${vorpNote}`;
       tr.appendChild(td);
     }
 
@@ -1303,8 +1420,8 @@ sel.value = normalizeTier(t.tier) || autoTier || "F";
       td.className = "num";
 
       const key = String(t?.player_key || "").trim();
-      const liveMap = getLivePrices();
-      const cur = (key && liveMap && liveMap[key] != null) ? Number(liveMap[key]) : "";
+      const sale = key ? sales.get(key) : null;
+      const cur = sale ? Number(sale.price) : "";
 
       const input = document.createElement("input");
       input.type = "number";
@@ -1313,9 +1430,11 @@ sel.value = normalizeTier(t.tier) || autoTier || "F";
       input.placeholder = "—";
       input.value = cur === "" ? "" : String(cur);
       input.style.width = "90px";
+      if (sale) input.title = `Won by ${teamLabel(sale.team)}`;
 
       input.addEventListener("change", () => {
         setLivePrice(key, input.value);
+        refreshDraftLog();
         render();
       });
 
@@ -1611,6 +1730,7 @@ async function init() {
   await initAuctionPool();
   // Compare panel uses AUCTION_PLAYERS (master projections/auction CSV), not 2025 stats.
   try { initCompare(AUCTION_PLAYERS); } catch (e) { console.warn("[COMPARE] init failed", e); }
+  try { initDraftLog(AUCTION_PLAYERS, { onChange: () => render() }); } catch (e) { console.warn("[DRAFT] init failed", e); }
   await loadStats2025();
 
   const pickInput = document.getElementById("pickQuery");
@@ -1647,7 +1767,7 @@ async function init() {
   // Allow other panels (e.g., Recommended Targets quick-add) to request a rerender.
   window.hagRefreshAuction = render;
 
-  // Value Mode toggle (Proj Anchor vs Market Estimate).
+  // Value Mode toggle (Proj Anchor vs Market Estimate vs SGP).
   // This changes the baseline used by the strategy engine, so Value/Adj/Δ all recalc.
   const valueModeSel = document.getElementById("valueMode");
   if (valueModeSel) {
@@ -1665,9 +1785,11 @@ async function init() {
 
     const mode = getValueMode();
     const valLabel = "Value";
-    const valDesc = mode === "market"
-      ? "Market Estimate (projection + flags)"
-      : "Proj Anchor (pure projection value)";
+    const valDesc = {
+      proj: "Proj Anchor (pure projection value)",
+      market: "Market Estimate (projection + flags)",
+      sgp: "SGP (projection converted to standings gain points)",
+    }[mode];
     const deltaNote = "Δ is always computed as (Adj − Value), using the selected baseline.";
 
     el.innerHTML = `
@@ -1682,9 +1804,20 @@ async function init() {
     `;
   }
 
+  refreshInflation();
   syncExistingTargetsFromCsv();
   render();
 
+  // Another tab sold a player, edited targets / roster or saved weights.
+  onLiveSync(() => {
+    if (valueModeSel) valueModeSel.value = getValueMode();
+    renderColumnKey();
+    refreshInflation();
+    hydrateStrategyHeaderBadge();
+    refreshDraftLog();
+    render();
+  }, { topics: ["targets", "roster", "draft", "settings", "planner", "sgp"] });
+
   document.getElementById("btnPickAdd")?.addEventListener("click", () => {
   const input = document.getElementById("pickQuery");
   const typed = String(input?.value ?? "").trim();
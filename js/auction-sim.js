@@ -0,0 +1,808 @@
+// js/auction-sim.js
+// Mock Auction (Auction Board): rehearse against bot teams before draft day.
+//
+// Bots are League Teams rivals. Each one values a player at Market Estimate
+// × the sim's running inflation × (1 + noise), halves that for a bench spot,
+// and never bids past its own true max (budget less the league's reserve per
+// other open spot) or for a player it has no room for. A lot goes to the
+// highest max at the second-highest max + $1, like an open auction would end.
+//
+// Two ways to use it:
+// - Rehearsal: a new workspace (cloned from this one, empty draft log) where
+//   the bots nominate and bid through the Draft Log while we play our side on
+//   the Auction Board (Bid Advisor, targets, Recommended Targets all work).
+//   The rehearsal config lives in the workspace (hag_sim_v1), so undo and a
+//   reload pick up where it left off.
+// - Monte Carlo: N full auctions from the current state in memory, with our
+//   side on autopilot (Auction Board Max $ for targets, value for open slots),
+//   summarised as our finish in projected roto standings and how often we
+//   land each target.
+//
+// Rival keepers are only a count (League Teams), so keeper players stay in the
+// pool and rival standings cover auction buys only.
+
+import {
+  MY_TEAM_ID,
+  getAuctionTargets,
+  getLeagueTeamStates,
+  getSettings,
+  getRoster,
+  load,
+  save,
+  recalcBudgetRemaining,
+  recordNomination,
+  recordSale,
+  replayDraftLog,
+  setDraftLog,
+  getDraftLog,
+  transaction,
+} from "./storage.js";
+import { getBaselineVal, getMarketEstimate, normalizeValueMode } from "./auction-data.js";
+import { getOpenSlotsAfter, isEligibleForSlot } from "./roster-slots.js";
+import { resolveRosterPlayers } from "./team-coverage.js";
+import { ordinal, rankRotoStandings } from "./standings.js";
+import { getLeagueCategories } from "./league-config.js";
+import { adviseBid } from "./bid-advisor.js";
+import {
+  DEFAULT_WORKSPACE_ID,
+  createWorkspace,
+  getActiveWorkspaceId,
+  getWorkspaces,
+  switchWorkspace,
+  withWorkspace,
+} from "./workspaces.js";
+import { num, money, escapeHtml, normType, playerName, playerPos, playerKey } from "./helpers.js";
+
+const SIM_KEY = "hag_sim_v1";
+
+const DEFAULT_NOISE = 0.15;
+const DEFAULT_RUNS = 25;
+const MAX_RUNS = 200;
+// Monte Carlo yields to the page after this much work so the board stays usable.
+const CHUNK_MS = 50;
+// Bench spots are worth this share of a lineup spot to a bot.
+const BENCH_FACTOR = 0.5;
+// Bots nominate at random from the top few players they can use.
+const NOMINATE_FROM = 6;
+// Autopilot pays up to this share of value for non-targets (at the room's money per spot).
+const AUTOPILOT_SHARE = 0.9;
+
+// Seeded PRNG so a rehearsal replays the same way after undo / reload.
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalSampler(rand) {
+  let spare = null;
+  return () => {
+    if (spare != null) {
+      const s = spare;
+      spare = null;
+      return s;
+    }
+    let u = 0;
+    while (u === 0) u = rand();
+    const v = rand();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return r * Math.cos(2 * Math.PI * v);
+  };
+}
+
+/* ------------------------------ Engine ------------------------------ */
+
+// What the room pays for a player before inflation.
+function basePrice(p) {
+  const m = getMarketEstimate(p);
+  if (m != null && m > 0) return m;
+  return Math.max(0, getBaselineVal(p, "proj") ?? 0);
+}
+
+// Slot eligibility per player, rebuilt with each sim state (buildState) so
+// roster-slot changes between runs are picked up. Parsing POS on every check
+// is most of a run's cost otherwise.
+let _fitCache = new WeakMap();
+
+function fitsSlot(p, slotKey) {
+  let bySlot = _fitCache.get(p);
+  if (!bySlot) {
+    bySlot = new Map();
+    _fitCache.set(p, bySlot);
+  }
+  let ok = bySlot.get(slotKey);
+  if (ok === undefined) {
+    ok = isEligibleForSlot(p, slotKey);
+    bySlot.set(slotKey, ok);
+  }
+  return ok;
+}
+
+function seat(team) {
+  team.open = getOpenSlotsAfter(team.seated, { limit: team.slots });
+}
+
+function canRoster(team, p) {
+  if (team.slots <= 0 || team.budget < 1) return false;
+  return team.open.some((k) => fitsSlot(p, k)) || team.slots > team.open.length;
+}
+
+// Same rule as getLeagueTeamStates: keep reserve_per_slot for every other open spot.
+function trueMax(team) {
+  return team.slots > 0 ? Math.max(0, Math.floor(team.budget - team.reserve * (team.slots - 1))) : 0;
+}
+
+/**
+ * Sim state from League Teams + the draft log so far: our team plus the bot
+ * teams, and the unsold pool (most expensive first).
+ */
+function buildState(players, botIds) {
+  _fitCache = new WeakMap();
+  const byKey = new Map((players || []).map((p) => [playerKey(p), p]));
+  const keepers = (getRoster() || []).filter((r) => !!r.underContract);
+  const keeperRows = resolveRosterPlayers(keepers, players);
+  const { sales } = replayDraftLog();
+
+  const reserve = Math.max(0, num(getSettings().reserve_per_slot, 0));
+  const teams = getLeagueTeamStates()
+    .filter((t) => t.isMe || botIds.has(t.id))
+    .map((t) => {
+      const bought = t.purchases.map((s) => byKey.get(s.player_key)).filter(Boolean);
+      const team = {
+        id: t.id,
+        name: t.name,
+        isMe: t.isMe,
+        budget: t.remaining,
+        slots: t.openSlots,
+        reserve,
+        spent: t.spent,
+        seated: [...(t.isMe ? keepers : []), ...t.purchases].map((s) => ({ pos: s.pos, type: s.type })),
+        players: [...(t.isMe ? keeperRows : []), ...bought],
+        buys: t.purchases.map((s) => ({ player: byKey.get(s.player_key) || { Name: s.name, POS: s.pos, type: s.type }, price: s.price })),
+        open: [],
+      };
+      seat(team);
+      return team;
+    });
+
+  const taken = new Set([...sales.keys(), ...keeperRows.map(playerKey)]);
+  const seen = new Set();
+  const pool = [];
+  for (const p of players || []) {
+    const key = playerKey(p);
+    if (!key || taken.has(key) || seen.has(key)) continue;
+    seen.add(key);
+    pool.push({ key, p, base: basePrice(p) });
+  }
+  pool.sort((a, b) => b.base - a.base);
+
+  return { teams, pool };
+}
+
+// Money left ÷ what the room would pay for the players still to be bought.
+function inflation(state) {
+  const money = state.teams.reduce((sum, t) => sum + Math.max(0, t.budget), 0);
+  const spots = state.teams.reduce((sum, t) => sum + Math.max(0, t.slots), 0);
+  let value = 0;
+  for (let i = 0; i < Math.min(spots, state.pool.length); i++) value += state.pool[i].base;
+  if (value <= 0) return 1;
+  return Math.max(0.25, Math.min(3, money / value));
+}
+
+function botMax(team, lot, rate, noise, gauss) {
+  if (!canRoster(team, lot.p)) return 0;
+  const fits = team.open.some((k) => fitsSlot(lot.p, k));
+  let v = lot.base * rate * (1 + noise * gauss());
+  if (!fits) v *= BENCH_FACTOR;
+  return Math.max(0, Math.min(trueMax(team), Math.round(v)));
+}
+
+/**
+ * Our autopilot: target Max $ (or Plan $), else value for an open lineup
+ * slot — paying more when we have more money per open spot than the room.
+ */
+function autopilotMax(team, lot, rate, ctx, state) {
+  if (!canRoster(team, lot.p)) return 0;
+  const target = ctx.targets.get(lot.key);
+  let v;
+  if (target) {
+    v = num(target.max) > 0 ? num(target.max) : num(target.plan);
+  } else if (team.open.some((k) => fitsSlot(lot.p, k))) {
+    const room = state.teams.reduce((sum, t) => sum + Math.max(0, t.budget), 0) /
+      Math.max(1, state.teams.reduce((sum, t) => sum + Math.max(0, t.slots), 0));
+    const share = Math.max(0.5, Math.min(1.5, AUTOPILOT_SHARE * (team.budget / Math.max(1, team.slots)) / Math.max(1, room)));
+    v = (getBaselineVal(lot.p, ctx.valueMode) ?? 0) * rate * share;
+  } else {
+    v = 0;
+  }
+  return Math.max(0, Math.min(trueMax(team), Math.round(v)));
+}
+
+/** Who nominates next: rotate through teams that can still buy someone. */
+function nextNominator(state, lotIndex) {
+  const n = state.teams.length;
+  for (let i = 0; i < n; i++) {
+    const t = state.teams[(lotIndex + i) % n];
+    if (t.slots > 0 && t.budget >= 1 && state.pool.some((lot) => canRoster(t, lot.p))) return t;
+  }
+  return null;
+}
+
+function pickNomination(team, state, rand, ctx) {
+  const usable = [];
+  for (const lot of state.pool) {
+    if (!canRoster(team, lot.p)) continue;
+    // Autopilot drains rivals with players we don't target; bots pick from the top.
+    if (team.isMe && ctx.targets.has(lot.key) && state.pool.length > usable.length + 1) continue;
+    usable.push(lot);
+    if (usable.length >= (team.isMe ? 1 : NOMINATE_FROM)) break;
+  }
+  if (!usable.length) return state.pool.find((lot) => canRoster(team, lot.p)) || null;
+  return usable[Math.floor(rand() * usable.length)];
+}
+
+/**
+ * Run one lot. ourMax: our max bid (null = autopilot).
+ * Returns { lot, nominator, winner, price, second, maxes: Map(team id -> max) }.
+ */
+function runLot(state, lot, nominator, rand, ctx, ourMax = null) {
+  const gauss = normalSampler(rand);
+  const rate = inflation(state);
+
+  const bids = state.teams.map((t) => {
+    let max = t.isMe
+      ? (ourMax == null ? autopilotMax(t, lot, rate, ctx, state) : Math.min(trueMax(t), Math.max(0, Math.round(num(ourMax)))))
+      : botMax(t, lot, rate, ctx.noise, gauss);
+    // The nominator opens at $1.
+    if (t === nominator && max < 1 && canRoster(t, lot.p)) max = 1;
+    if (!canRoster(t, lot.p)) max = 0;
+    return { team: t, max, tie: rand() };
+  });
+  bids.sort((a, b) => b.max - a.max || a.tie - b.tie);
+
+  state.pool.splice(state.pool.indexOf(lot), 1);
+  const maxes = new Map(bids.map((b) => [b.team.id, b.max]));
+  const top = bids[0];
+  if (!top || top.max < 1) return { lot, nominator, winner: null, price: 0, second: 0, maxes };
+
+  const second = bids[1]?.max ?? 0;
+  const price = Math.max(1, Math.min(top.max, second + 1));
+  const w = top.team;
+  w.budget -= price;
+  w.spent += price;
+  w.slots -= 1;
+  w.seated.push({ pos: playerPos(lot.p), type: normType(lot.p.type ?? lot.p.Type) });
+  w.players.push(lot.p);
+  w.buys.push({ player: lot.p, price });
+  seat(w);
+
+  return { lot, nominator, winner: w, price, second, maxes };
+}
+
+function isDone(state) {
+  return !state.pool.length || !state.teams.some((t) => state.pool.some((lot) => canRoster(t, lot.p)));
+}
+
+function standingsFor(state) {
+  return rankRotoStandings(state.teams.map((t) => ({ id: t.id, name: t.name, players: t.players })));
+}
+
+function simContext({ valueMode, noise }) {
+  return {
+    valueMode: normalizeValueMode(valueMode),
+    noise: Math.max(0, num(noise, DEFAULT_NOISE)),
+    targets: new Map((getAuctionTargets() || []).map((t) => [String(t?.player_key || "").trim(), t]).filter(([k]) => k)),
+  };
+}
+
+/** Rival ids in League Teams order; the first `count` play as bots. */
+function botIdsFor(count) {
+  const rivals = getLeagueTeamStates().filter((t) => !t.isMe).map((t) => t.id);
+  const n = count == null || count === "" ? rivals.length : Math.max(1, Math.min(rivals.length, Math.round(num(count, rivals.length))));
+  return rivals.slice(0, n);
+}
+
+/**
+ * One full auction from the current state with our side on autopilot.
+ * Returns { teams, lots, standings }.
+ */
+export function simulateAuction({ players = [], bots = null, noise = DEFAULT_NOISE, seed = 1, valueMode = "proj" } = {}) {
+  const state = buildState(players, new Set(bots || botIdsFor(null)));
+  const ctx = simContext({ valueMode, noise });
+  const rand = mulberry32(seed);
+
+  const lots = [];
+  while (!isDone(state)) {
+    const nominator = nextNominator(state, lots.length);
+    if (!nominator) break;
+    const lot = pickNomination(nominator, state, rand, ctx);
+    if (!lot) break;
+    lots.push(runLot(state, lot, nominator, rand, ctx));
+  }
+  return { teams: state.teams, lots, standings: standingsFor(state) };
+}
+
+/**
+ * Monte Carlo: `runs` auctions with different seeds. Resolves to our finishes,
+ * average roto points per category and how often each target was won.
+ * Runs in chunks (yielding to the page between them); onProgress(done, total)
+ * is called after each chunk.
+ */
+export async function runMonteCarlo({ players = [], runs = DEFAULT_RUNS, bots = null, noise = DEFAULT_NOISE, seed = 1, valueMode = "proj", onProgress = null } = {}) {
+  const n = Math.max(1, Math.min(MAX_RUNS, Math.round(num(runs, DEFAULT_RUNS))));
+  const botIds = bots || botIdsFor(null);
+  const cats = getLeagueCategories();
+  const targets = (getAuctionTargets() || []).filter((t) => String(t?.player_key || "").trim());
+  const sold = replayDraftLog().sales;
+
+  const places = [];
+  const totals = [];
+  const catPoints = Object.fromEntries(cats.map((c) => [c.id, 0]));
+  const targetStats = new Map(targets.filter((t) => !sold.has(String(t.player_key).trim()))
+    .map((t) => [String(t.player_key).trim(), { name: t.name, won: 0, paid: 0, soldFor: 0 }]));
+  let teamCount = 0;
+  let chunkStart = Date.now();
+
+  for (let r = 0; r < n; r++) {
+    if (r > 0 && Date.now() - chunkStart >= CHUNK_MS) {
+      onProgress?.(r, n);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      chunkStart = Date.now();
+    }
+    const out = simulateAuction({ players, bots: botIds, noise, seed: seed + r * 7919, valueMode });
+    teamCount = out.standings.length;
+    const me = out.standings.find((s) => s.id === MY_TEAM_ID);
+    if (me) {
+      places.push(me.place);
+      totals.push(me.total);
+      for (const c of cats) catPoints[c.id] += me.points[c.id] ?? 0;
+    }
+    for (const l of out.lots) {
+      const ts = targetStats.get(l.lot.key);
+      if (!ts || !l.winner) continue;
+      ts.soldFor += l.price;
+      if (l.winner.isMe) {
+        ts.won += 1;
+        ts.paid += l.price;
+      }
+    }
+  }
+
+  const avg = (list) => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : 0);
+  return {
+    runs: n,
+    teams: teamCount,
+    places,
+    avgPlace: avg(places),
+    bestPlace: places.length ? Math.min(...places) : 0,
+    worstPlace: places.length ? Math.max(...places) : 0,
+    avgTotal: avg(totals),
+    catPoints: Object.fromEntries(cats.map((c) => [c.id, catPoints[c.id] / n])),
+    targets: [...targetStats.values()].map((t) => ({
+      name: t.name,
+      winRate: t.won / n,
+      avgPaid: t.won ? t.paid / t.won : null,
+      avgPrice: t.soldFor / n,
+    })),
+  };
+}
+
+/* ------------------------------ Rehearsal ------------------------------ */
+
+/** Rehearsal config for the active workspace: { bots, noise, seed, started_at, from } | null. */
+export function getRehearsal() {
+  const cfg = load(SIM_KEY, null);
+  return cfg && Array.isArray(cfg.bots) && cfg.bots.length ? cfg : null;
+}
+
+/**
+ * Start a rehearsal: clone this workspace into "Mock auction …" with an empty
+ * draft log and switch to it (the page reloads on the switch).
+ */
+export function startRehearsal({ bots = null, noise = DEFAULT_NOISE, seed = null } = {}) {
+  const cfg = {
+    bots: botIdsFor(bots),
+    noise: Math.max(0, num(noise, DEFAULT_NOISE)),
+    seed: seed != null && seed !== "" ? Math.round(num(seed, 1)) : Math.floor(Math.random() * 1e9),
+    started_at: Date.now(),
+    from: getActiveWorkspaceId(), // workspace the rehearsal was cloned from
+  };
+  const stamp = new Date().toLocaleString([], { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+  const ws = createWorkspace(`Mock auction ${stamp}`, { cloneFrom: getActiveWorkspaceId() });
+  withWorkspace(ws.id, () => {
+    transaction(() => {
+      setDraftLog([]);
+      save(SIM_KEY, cfg);
+      recalcBudgetRemaining();
+    });
+  });
+  switchWorkspace(ws.id);
+  return ws;
+}
+
+// Workspace to go back to: the one the rehearsal was cloned from, or Main if
+// that's gone (or the config predates `from`).
+function rehearsalSource(cfg = getRehearsal()) {
+  const list = getWorkspaces();
+  return list.find((w) => w.id === cfg?.from) || list.find((w) => w.id === DEFAULT_WORKSPACE_ID) || list[0];
+}
+
+/** Leave the rehearsal workspace for the one it was cloned from (the rehearsal stays in the switcher). */
+export function endRehearsal() {
+  const source = rehearsalSource();
+  return source ? switchWorkspace(source.id) : false;
+}
+
+function liveState(players, cfg) {
+  const state = buildState(players, new Set(cfg.bots));
+  const lotIndex = replayDraftLog().order.length;
+  return { state, lotIndex, rand: mulberry32(num(cfg.seed, 1) + lotIndex * 7919) };
+}
+
+function lotPlayer(lot) {
+  const p = lot.p;
+  return { player_key: lot.key, name: playerName(p), type: normType(p.type ?? p.Type), pos: playerPos(p) };
+}
+
+/**
+ * Where the rehearsal stands: { cfg, state, onBlock: lot | null, nominator, done }.
+ * onBlock is the Draft Log's player on the block (if still in the pool).
+ */
+export function getRehearsalStatus(players) {
+  const cfg = getRehearsal();
+  if (!cfg) return null;
+  const { state, lotIndex } = liveState(players, cfg);
+  const block = replayDraftLog().onBlock;
+  const onBlock = block ? state.pool.find((lot) => lot.key === block.player_key) || null : null;
+  const nominator = onBlock
+    ? state.teams.find((t) => t.id === String(block.team || "")) || state.teams.find((t) => t.isMe)
+    : nextNominator(state, lotIndex);
+  return { cfg, state, onBlock, nominator, done: isDone(state), lots: lotIndex };
+}
+
+// A bot's turn: put its pick on the block.
+function botNominate(players, cfg) {
+  const { state, lotIndex, rand } = liveState(players, cfg);
+  if (isDone(state)) return null;
+  const nominator = nextNominator(state, lotIndex);
+  if (!nominator || nominator.isMe) return null;
+  const lot = pickNomination(nominator, state, rand, simContext(cfg));
+  if (!lot) return null;
+  recordNomination(lotPlayer(lot), nominator.id);
+  return lot;
+}
+
+/**
+ * Settle the player on the block with our max bid, then let the next bot
+ * nominate. One undoable history entry. Returns the lot result (or null).
+ */
+export function resolveRehearsalLot(players, ourMax, { valueMode = "proj" } = {}) {
+  const status = getRehearsalStatus(players);
+  if (!status?.onBlock) return null;
+  const { cfg } = status;
+  const { state, rand } = liveState(players, cfg);
+  const lot = state.pool.find((l) => l.key === status.onBlock.key);
+  const nominator = state.teams.find((t) => t.id === status.nominator?.id) || state.teams.find((t) => t.isMe);
+
+  const result = runLot(state, lot, nominator, rand, simContext({ ...cfg, valueMode }), ourMax);
+  const label = result.winner
+    ? `Mock sale: ${playerName(lot.p)} to ${result.winner.name} $${result.price}`
+    : `Mock pass: ${playerName(lot.p)}`;
+  // Nobody able to roster him: he stays in the pool and the next nomination replaces him.
+  transaction(() => {
+    if (result.winner) recordSale(lotPlayer(lot), result.winner.id, result.price);
+    botNominate(players, cfg);
+  }, { label });
+  return result;
+}
+
+/** Play the rest of the rehearsal on autopilot (one undoable entry). Returns lots played. */
+export function autoFinishRehearsal(players, { valueMode = "proj" } = {}) {
+  const cfg = getRehearsal();
+  if (!cfg) return 0;
+  const { state, lotIndex } = liveState(players, cfg);
+  const ctx = simContext({ ...cfg, valueMode });
+  const rand = mulberry32(num(cfg.seed, 1) + lotIndex * 7919);
+
+  const block = replayDraftLog().onBlock;
+  const events = [];
+  let lot = block ? state.pool.find((l) => l.key === block.player_key) : null;
+  let nominator = lot ? state.teams.find((t) => t.id === String(block.team || "")) || state.teams.find((t) => t.isMe) : null;
+  let played = 0;
+
+  while (!isDone(state)) {
+    if (!lot) {
+      nominator = nextNominator(state, lotIndex + played);
+      lot = nominator ? pickNomination(nominator, state, rand, ctx) : null;
+      if (!lot) break;
+      events.push({ ...lotPlayer(lot), kind: "nominate", team: nominator.id });
+    }
+    const r = runLot(state, lot, nominator, rand, ctx);
+    if (r.winner) {
+      events.push({ ...lotPlayer(lot), kind: "sale", team: r.winner.id, price: r.price });
+      played += 1;
+    }
+    lot = null;
+  }
+
+  if (events.length) {
+    transaction(() => setDraftLog([...getDraftLog(), ...events.map((e) => ({ ...e, ts: Date.now() }))]), {
+      label: `Mock auction: auto-finish (${played} lots)`,
+    });
+  }
+  return played;
+}
+
+/* ------------------------------ Panel ------------------------------ */
+
+function standingsHtml(rows) {
+  const cats = getLeagueCategories();
+  const head = cats.map((c) => `<th title="${escapeHtml(c.name)}">${escapeHtml(c.id)}</th>`).join("");
+  const body = rows.map((r) => `
+    <tr class="${r.id === MY_TEAM_ID ? "simMe" : ""}">
+      <td>${r.place}</td>
+      <td style="text-align:left;">${escapeHtml(r.name)}</td>
+      <td><strong>${r.total % 1 ? r.total.toFixed(1) : r.total}</strong></td>
+      ${cats.map((c) => `<td>${r.points[c.id] % 1 ? r.points[c.id].toFixed(1) : r.points[c.id]}</td>`).join("")}
+    </tr>
+  `).join("");
+  return `
+    <div style="overflow:auto;">
+      <table class="table simTable">
+        <thead><tr><th>#</th><th style="text-align:left;">Team</th><th>Pts</th>${head}</tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function rostersHtml(teams) {
+  return `
+    <div class="simRosters">
+      ${teams.map((t) => `
+        <div class="simRoster ${t.isMe ? "simMe" : ""}">
+          <div><strong>${escapeHtml(t.name)}</strong> <span class="small" style="opacity:.75;">spent ${money(t.spent)} • left ${money(t.budget)}</span></div>
+          <div class="small">${t.buys.length
+            ? t.buys.map((b) => `${escapeHtml(playerName(b.player))} ${money(b.price)}`).join(", ")
+            : "—"}</div>
+        </div>
+      `).join("")}
+    </div>
+  `;
+}
+
+function monteCarloHtml(mc) {
+  const dist = new Map();
+  for (const p of mc.places) dist.set(p, (dist.get(p) || 0) + 1);
+  const chips = [...dist.entries()].sort((a, b) => a[0] - b[0])
+    .map(([p, c]) => `<span class="chip">${ordinal(p)}: ${Math.round((c / mc.runs) * 100)}%</span>`).join("");
+  const cats = getLeagueCategories()
+    .map((c) => `<span class="chip">${escapeHtml(c.id)} ${mc.catPoints[c.id].toFixed(1)}</span>`).join("");
+  const targets = [...mc.targets].sort((a, b) => b.winRate - a.winRate);
+
+  return `
+    <div class="simSummary small">
+      <span>Runs <strong>${mc.runs}</strong></span>
+      <span>Avg finish <strong>${mc.avgPlace.toFixed(1)}</strong> of ${mc.teams}</span>
+      <span>Best <strong>${ordinal(mc.bestPlace)}</strong> • worst <strong>${ordinal(mc.worstPlace)}</strong></span>
+      <span>Avg roto points <strong>${mc.avgTotal.toFixed(1)}</strong></span>
+    </div>
+    <div class="simChips">${chips}</div>
+    <div class="small" style="margin-top:8px; opacity:.8;">Average roto points by category (of ${mc.teams})</div>
+    <div class="simChips">${cats}</div>
+    ${targets.length ? `
+      <table class="table simTable">
+        <thead><tr><th style="text-align:left;">Target</th><th>Won</th><th>Avg paid</th><th>Avg sale price</th></tr></thead>
+        <tbody>
+          ${targets.map((t) => `
+            <tr>
+              <td style="text-align:left;">${escapeHtml(t.name)}</td>
+              <td>${Math.round(t.winRate * 100)}%</td>
+              <td>${t.avgPaid == null ? "—" : money(t.avgPaid)}</td>
+              <td>${money(t.avgPrice)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    ` : `<div class="small" style="margin-top:8px; opacity:.75;">Add Auction Board targets with a Max $ to see how often you land them.</div>`}
+  `;
+}
+
+function lastLotHtml(r) {
+  if (!r) return "";
+  const name = escapeHtml(playerName(r.lot.p));
+  if (!r.winner) return `<div class="small simLast">Nobody bid on ${name}.</div>`;
+  const mine = r.maxes.get(MY_TEAM_ID) ?? 0;
+  return `<div class="small simLast">${escapeHtml(r.winner.name)} won ${name} for ${money(r.price)} (your max ${money(mine)}, next-best bid ${money(r.second)}).</div>`;
+}
+
+/**
+ * Mount the Mock Auction panel. Outside a rehearsal it offers "Start
+ * rehearsal" and Monte Carlo runs; inside one it runs the bots' side.
+ */
+export function mountAuctionSim({ players, valueMode, inflation: rate, containerId = "auctionSim" } = {}) {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  el.__simArgs = { players, valueMode, inflation: rate };
+  const refresh = () => window.hagRefreshAuction?.();
+
+  if (!(players || []).length) {
+    el.innerHTML = `<div class="small" style="opacity:.75;">Loading players…</div>`;
+    return;
+  }
+
+  const status = getRehearsalStatus(players);
+  if (!status) {
+    renderSetup(el);
+    return;
+  }
+  renderRehearsal(el, status, refresh);
+}
+
+function renderSetup(el) {
+  const rivals = getLeagueTeamStates().filter((t) => !t.isMe).length;
+  // Keep typed values and the last Monte Carlo result across board refreshes.
+  const prev = el.__simForm || { bots: rivals, noise: Math.round(DEFAULT_NOISE * 100), seed: "", runs: DEFAULT_RUNS };
+
+  el.innerHTML = `
+    <div class="simForm">
+      <label class="small">Bots <input id="simBots" type="number" min="1" max="${rivals}" step="1" value="${escapeHtml(Math.min(rivals, prev.bots))}" /></label>
+      <label class="small">Noise % <input id="simNoise" type="number" min="0" max="100" step="1" value="${escapeHtml(prev.noise)}" /></label>
+      <label class="small">Seed <input id="simSeed" type="number" step="1" placeholder="random" value="${escapeHtml(prev.seed)}" /></label>
+      <button type="button" id="simStart">Start rehearsal</button>
+    </div>
+    <div class="simForm">
+      <label class="small">Runs <input id="simRuns" type="number" min="1" max="${MAX_RUNS}" step="1" value="${escapeHtml(prev.runs)}" /></label>
+      <button type="button" class="ghost" id="simRun">Run mock auctions</button>
+      <span class="small" style="opacity:.75;">our side on autopilot: target Max $, value for open slots</span>
+    </div>
+    <div id="simOut">${el.__simMonteCarlo ? monteCarloHtml(el.__simMonteCarlo) : ""}</div>
+  `;
+
+  const form = () => {
+    const f = {
+      bots: Math.round(num(el.querySelector("#simBots")?.value, rivals)),
+      noise: num(el.querySelector("#simNoise")?.value, DEFAULT_NOISE * 100),
+      seed: String(el.querySelector("#simSeed")?.value ?? "").trim(),
+      runs: Math.round(num(el.querySelector("#simRuns")?.value, DEFAULT_RUNS)),
+    };
+    el.__simForm = f;
+    return f;
+  };
+
+  el.querySelector("#simStart")?.addEventListener("click", () => {
+    const f = form();
+    if (!window.confirm(`Start a mock auction against ${f.bots} bot${f.bots === 1 ? "" : "s"}? This creates a new workspace from this one (empty draft log) and switches to it.`)) return;
+    startRehearsal({ bots: f.bots, noise: f.noise / 100, seed: f.seed });
+  });
+
+  // The board can re-render mid-run, so look the output up fresh each time.
+  const showOut = (html) => {
+    const out = el.querySelector("#simOut");
+    if (out) out.innerHTML = html;
+  };
+  const progressHtml = (done, total) =>
+    `<div class="small" style="opacity:.75;">Running mock auctions… ${done} / ${total}</div>`;
+
+  if (el.__simRunning) {
+    showOut(progressHtml(el.__simRunning.done, el.__simRunning.total));
+    el.querySelector("#simRun")?.setAttribute("disabled", "");
+  }
+
+  el.querySelector("#simRun")?.addEventListener("click", () => {
+    if (el.__simRunning) return;
+    const f = form();
+    const { players, valueMode } = el.__simArgs;
+    el.__simRunning = { done: 0, total: f.runs };
+    el.querySelector("#simRun")?.setAttribute("disabled", "");
+    showOut(progressHtml(0, f.runs));
+
+    runMonteCarlo({
+      players,
+      valueMode,
+      runs: f.runs,
+      bots: botIdsFor(f.bots),
+      noise: f.noise / 100,
+      seed: f.seed !== "" ? Math.round(num(f.seed, 1)) : Math.floor(Math.random() * 1e9),
+      onProgress: (done, total) => {
+        el.__simRunning = { done, total };
+        showOut(progressHtml(done, total));
+      },
+    })
+      .then((mc) => {
+        el.__simMonteCarlo = mc;
+        showOut(monteCarloHtml(mc));
+      })
+      .catch((e) => {
+        console.warn("[SIM] mock auctions failed", e);
+        showOut(`<div class="small">Mock auctions failed: ${escapeHtml(e.message)}</div>`);
+      })
+      .finally(() => {
+        el.__simRunning = null;
+        el.querySelector("#simRun")?.removeAttribute("disabled");
+      });
+  });
+}
+
+function renderRehearsal(el, status, refresh) {
+  const { players, valueMode, inflation: rate } = el.__simArgs;
+  const { cfg, state, onBlock, nominator, done } = status;
+  const me = state.teams.find((t) => t.isMe);
+
+  let body;
+  if (done) {
+    body = `
+      <div class="small simLast"><strong>Auction complete.</strong> Projected roto standings (auction buys + our keepers):</div>
+      ${standingsHtml(standingsFor(state))}
+      ${rostersHtml(state.teams)}
+    `;
+  } else if (onBlock) {
+    let suggested = 1;
+    try {
+      suggested = adviseBid(onBlock.p, { players, valueMode, inflation: rate })?.bid ?? 1;
+    } catch (e) {
+      console.warn("[SIM] bid advice failed", e);
+    }
+    body = `
+      <div class="simBlock">
+        <div>On the block: <strong>${escapeHtml(playerName(onBlock.p))}</strong>
+          <span class="small" style="opacity:.75;">${escapeHtml(playerPos(onBlock.p))} • nominated by ${escapeHtml(nominator?.name || "—")} • market ~${money(onBlock.base * inflation(state))}</span></div>
+        <div class="simForm">
+          <label class="small">Your max $ <input id="simMax" type="number" min="0" step="1" value="${Math.max(0, Math.min(trueMax(me), suggested))}" /></label>
+          <button type="button" id="simBid">Bid</button>
+          <button type="button" class="ghost" id="simPass">Pass</button>
+          <span class="small" style="opacity:.75;">prefilled from the Bid Advisor • your true max ${money(trueMax(me))}</span>
+        </div>
+      </div>
+    `;
+  } else if (nominator?.isMe) {
+    body = `<div class="small simLast"><strong>Your nomination.</strong> Put a player on the block with the Draft Log's Nominate button.</div>`;
+  } else {
+    body = `<div class="simForm"><button type="button" id="simNext">Next nomination (${escapeHtml(nominator?.name || "bot")})</button></div>`;
+  }
+
+  el.innerHTML = `
+    <div class="simSummary small">
+      <span>Mock auction vs <strong>${cfg.bots.length}</strong> bot${cfg.bots.length === 1 ? "" : "s"}</span>
+      <span>Noise <strong>${Math.round(num(cfg.noise) * 100)}%</strong></span>
+      <span>Lots sold <strong>${status.lots}</strong></span>
+      <span>You: <strong>${money(me?.budget)}</strong> left, ${me?.slots ?? 0} spots</span>
+    </div>
+    ${lastLotHtml(el.__simLastLot)}
+    ${body}
+    <div class="simForm">
+      ${done ? "" : `<button type="button" class="ghost" id="simAuto">Auto-finish</button>`}
+      <button type="button" class="ghost" id="simEnd">Back to ${escapeHtml(rehearsalSource(cfg)?.name || "Main")}</button>
+    </div>
+  `;
+
+  const settle = (max) => {
+    el.__simLastLot = resolveRehearsalLot(players, max, { valueMode });
+    refresh();
+  };
+  el.querySelector("#simBid")?.addEventListener("click", () => settle(num(el.querySelector("#simMax")?.value, 0)));
+  el.querySelector("#simPass")?.addEventListener("click", () => settle(0));
+  el.querySelector("#simMax")?.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    settle(num(e.target.value, 0));
+  });
+  el.querySelector("#simNext")?.addEventListener("click", () => {
+    botNominate(players, cfg);
+    refresh();
+  });
+  el.querySelector("#simAuto")?.addEventListener("click", () => {
+    if (!window.confirm("Play the rest of the mock auction on autopilot?")) return;
+    el.__simLastLot = null;
+    autoFinishRehearsal(players, { valueMode });
+    refresh();
+  });
+  el.querySelector("#simEnd")?.addEventListener("click", () => endRehearsal());
+}
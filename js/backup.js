@@ -0,0 +1,281 @@
+// js/backup.js
+// Whole-workspace backup / restore: every saved hag_* key in one JSON
+// file (settings, roster, targets, draft log, lineup planner, compare list,
+// filters, league config, ...), so a browser data wipe doesn't cost the prep.
+//
+// File shape (BACKUP_VERSION 1):
+// {
+//   format: "hag-backup",
+//   version: 1,
+//   created_at: "2026-03-01T12:00:00.000Z",
+//   keys: { "hag_settings": {...}, "hag_roster_v1": [...], ... }   // parsed JSON values
+// }
+//
+// Older files are migrated up on import (MIGRATIONS); per-key data migrations
+// (roster ids, legacy live prices -> draft log, league config) run through
+// the normal storage readers right after the restore.
+
+import { getRoster, setRoster, getDraftLog, recalcBudgetRemaining } from "./storage.js";
+import { normalizeLeagueConfig, saveLeagueConfig } from "./league-config.js";
+import { readJSON, writeJSON, removeKey, hasKey, listKeys, transaction, flush } from "./storage-adapter.js";
+import { escapeHtml } from "./helpers.js";
+
+export const BACKUP_FORMAT = "hag-backup";
+export const BACKUP_VERSION = 1;
+
+const KEY_PREFIX = "hag_";
+const LEAGUE_CONFIG_KEY = "hag_league_config_v1";
+const DRAFT_LOG_KEY = "hag_draft_log_v1";
+const WORKSPACES_KEY = "hag_workspaces_v1";
+const HISTORY_KEY = "hag_history_v1";
+const ROOM_KEY = "hag_room_v1";
+
+// Restoring a league config piecemeal would mix two leagues' slots/categories.
+const REPLACE_WHOLE = new Set([LEAGUE_CONFIG_KEY]);
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+// Workspace copies are saved as "<key>@<workspace id>"; rules go by the base key.
+function baseKey(k) {
+  return String(k).split("@")[0];
+}
+
+function toolkitKeys() {
+  return listKeys(KEY_PREFIX);
+}
+
+function readKey(key) {
+  return hasKey(key) ? readJSON(key, null) : undefined;
+}
+
+/** Snapshot every toolkit key into a backup object. */
+export function createBackup() {
+  const keys = {};
+  for (const k of toolkitKeys()) {
+    const v = readKey(k);
+    if (v === undefined) continue;
+    // The draft room's commissioner key would sit in the file in plain text.
+    keys[k] = baseKey(k) === ROOM_KEY && isPlainObject(v) ? { ...v, key: null } : v;
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created_at: new Date().toISOString(),
+    keys,
+  };
+}
+
+/* ------------------------------ Migration ------------------------------ */
+
+// MIGRATIONS[n] upgrades a version-n backup to version n + 1.
+const MIGRATIONS = {
+  // v0: a bare { "hag_settings": ..., ... } map (e.g. a hand-copied
+  // storage dump), values possibly still JSON strings.
+  0: (b) => {
+    const keys = {};
+    for (const [k, v] of Object.entries(b.keys || {})) {
+      if (!k.startsWith(KEY_PREFIX)) continue;
+      if (typeof v === "string") {
+        try {
+          keys[k] = JSON.parse(v);
+          continue;
+        } catch {
+          // keep the string
+        }
+      }
+      keys[k] = v;
+    }
+    return { format: BACKUP_FORMAT, version: 1, created_at: b.created_at ?? null, keys };
+  },
+};
+
+/**
+ * Validate + migrate a parsed backup to BACKUP_VERSION.
+ * Throws with a readable message on files this build can't restore.
+ */
+export function migrateBackup(raw) {
+  if (!isPlainObject(raw)) throw new Error("Backup must be a JSON object.");
+
+  let b;
+  if (raw.format === BACKUP_FORMAT) {
+    const version = Number(raw.version);
+    if (!Number.isInteger(version) || version < 0) throw new Error("Backup has no valid version.");
+    if (version > BACKUP_VERSION) {
+      throw new Error(`Backup is version ${version}; this build reads up to version ${BACKUP_VERSION}.`);
+    }
+    b = { ...raw, version };
+  } else if (Object.keys(raw).some((k) => k.startsWith(KEY_PREFIX))) {
+    b = { format: BACKUP_FORMAT, version: 0, created_at: null, keys: raw };
+  } else {
+    throw new Error("Not a toolkit backup file.");
+  }
+
+  while (b.version < BACKUP_VERSION) b = MIGRATIONS[b.version](b);
+
+  if (!isPlainObject(b.keys)) throw new Error("Backup has no keys.");
+  return b;
+}
+
+/** Parse backup file text into a migrated backup object. */
+export function parseBackupText(text) {
+  let raw;
+  try {
+    raw = JSON.parse(String(text ?? ""));
+  } catch (e) {
+    throw new Error(`Could not read JSON: ${e.message}`);
+  }
+  return migrateBackup(raw);
+}
+
+/* ------------------------------ Restore ------------------------------ */
+
+// Merge one key: lists of records combine by id (backup wins on clashes),
+// lists of plain values union, objects merge shallowly, anything else is
+// taken from the backup.
+function mergeValue(key, current, incoming) {
+  const base = baseKey(key);
+  if (current === undefined || REPLACE_WHOLE.has(base)) return incoming;
+
+  // Workspace index { active, list }: keep the open workspace and every one
+  // made since the backup, so their "@id" keys stay reachable from the switcher.
+  if (base === WORKSPACES_KEY && isPlainObject(current) && isPlainObject(incoming)) {
+    return {
+      ...incoming,
+      active: current.active ?? incoming.active,
+      list: mergeValue("", current.list ?? [], incoming.list ?? []),
+    };
+  }
+
+  if (Array.isArray(current) && Array.isArray(incoming)) {
+    const byId = incoming.every((r) => isPlainObject(r) && r.id != null) && current.every((r) => isPlainObject(r) && r.id != null);
+    if (!byId) return [...new Set([...current, ...incoming].map((v) => JSON.stringify(v)))].map((s) => JSON.parse(s));
+
+    const merged = new Map(current.map((r) => [String(r.id), r]));
+    for (const r of incoming) merged.set(String(r.id), r);
+    const out = [...merged.values()];
+
+    // Draft events replay in order; interleave the two logs by time.
+    if (base === DRAFT_LOG_KEY) out.sort((a, b) => (a.ts ?? 0) - (b.ts ?? 0) || (a.seq ?? 0) - (b.seq ?? 0));
+    return out;
+  }
+
+  if (isPlainObject(current) && isPlainObject(incoming)) return { ...current, ...incoming };
+  return incoming;
+}
+
+/**
+ * Write a (migrated) backup into storage as one transaction.
+ * mode "replace": clear every toolkit key first, so the workspace matches the file.
+ * mode "merge": keep what's here and fold the backup in (see mergeValue). The
+ * undo stack is left alone: another session's snapshots would let Undo write
+ * stale data back over the merged result.
+ * Returns { mode, restored: [keys], removed: [keys] }.
+ */
+export function restoreBackup(backup, { mode = "merge" } = {}) {
+  const b = migrateBackup(backup);
+  const replace = mode === "replace";
+  const incoming = Object.entries(b.keys).filter(([k]) => k.startsWith(KEY_PREFIX) && (replace || baseKey(k) !== HISTORY_KEY));
+
+  // Backups carry no commissioner key; keep this browser's.
+  const roomKeys = new Map(toolkitKeys().filter((k) => baseKey(k) === ROOM_KEY).map((k) => [k, readKey(k)?.key ?? null]));
+
+  const removed = [];
+  transaction(() => {
+    if (replace) {
+      for (const k of toolkitKeys()) {
+        if (!(k in b.keys)) removed.push(k);
+        removeKey(k);
+      }
+    }
+
+    for (const [k, v] of incoming) {
+      let next = replace ? v : mergeValue(k, readKey(k), v);
+      if (baseKey(k) === ROOM_KEY && isPlainObject(next)) next = { ...next, key: roomKeys.get(k) ?? null };
+      writeJSON(k, next);
+    }
+
+    // Bring restored data up to the current schema through the usual readers.
+    if (b.keys[LEAGUE_CONFIG_KEY]) saveLeagueConfig(normalizeLeagueConfig(readKey(LEAGUE_CONFIG_KEY)));
+    setRoster(getRoster());
+    getDraftLog();
+    recalcBudgetRemaining();
+  });
+
+  return { mode: replace ? "replace" : "merge", restored: incoming.map(([k]) => k), removed };
+}
+
+/* ------------------------------ Panel ------------------------------ */
+
+function downloadJson(obj, filename) {
+  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Mount the Backup panel: export everything, or import a backup with a
+ * merge / replace choice. Pages cache settings and the league config, so a
+ * successful import reloads the page.
+ */
+export function mountBackupSettings(containerId = "backupSettings") {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  function render(status = "") {
+    const count = toolkitKeys().length;
+    el.innerHTML = `
+      <div class="small">${count} saved item${count === 1 ? "" : "s"} in this browser.</div>
+
+      <div class="leagueConfigActions">
+        <button type="button" id="backupExport">Export Backup</button>
+        <label class="small backupMode">
+          On import
+          <select id="backupMode">
+            <option value="merge">Merge into current data</option>
+            <option value="replace">Replace everything</option>
+          </select>
+        </label>
+        <label class="btn ghost leagueConfigImport">
+          Import Backup
+          <input type="file" id="backupFile" accept=".json,application/json" hidden />
+        </label>
+      </div>
+      <div class="small leagueConfigStatus">${escapeHtml(status)}</div>
+    `;
+
+    el.querySelector("#backupExport")?.addEventListener("click", () => {
+      const backup = createBackup();
+      downloadJson(backup, `hag-backup-${backup.created_at.slice(0, 10)}.json`);
+      render(`Exported ${Object.keys(backup.keys).length} items ✓`);
+    });
+
+    el.querySelector("#backupFile")?.addEventListener("change", async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      const mode = el.querySelector("#backupMode")?.value === "replace" ? "replace" : "merge";
+      try {
+        const backup = parseBackupText(await file.text());
+        if (mode === "replace" && !window.confirm("Replace all saved data in this browser with the backup?")) {
+          render("Import cancelled.");
+          return;
+        }
+        const res = restoreBackup(backup, { mode });
+        render(`Restored ${res.restored.length} items (${res.mode}) ✓ Reloading…`);
+        flush().then(() => setTimeout(() => window.location.reload(), 600));
+      } catch (err) {
+        console.warn("[BACKUP] import failed", err);
+        render(`Import failed: ${err.message}`);
+      }
+    });
+  }
+
+  render();
+}
@@ -0,0 +1,321 @@
+// js/bid-advisor.js
+// Bid Advisor (Auction Board): one answer for the player on the block.
+//
+// Pulls together what used to take three panels:
+// - budget: the hard max (our true max: money left less reserve_per_slot per
+//   other open spot) and the Plan-aware max from Recommended Targets
+//   (computeAutoMaxBid)
+// - worth: baseline value × live inflation, discounted when no open lineup
+//   slot fits him, vs the market price × inflation
+// - category gain: his z per league category added to our roster's summed z
+//   (team-coverage.js), flagging Weak categories he lifts; projected points
+//   in points leagues
+// - competition: rivals with open spots, their true max bid and whether they
+//   still need his position
+//
+// Our roster = Roster page entries + draft-log wins for our team.
+
+import {
+  getAuctionTargets,
+  getCategoryWeights,
+  getLeagueTeamStates,
+  getRoster,
+  replayDraftLog,
+  resolveLeagueTeamId,
+  MY_TEAM_ID,
+} from "./storage.js";
+import { getBaselineVal, getMarketEstimate, normalizeValueMode } from "./auction-data.js";
+import { normalizeName } from "./player-key.js";
+import { getLeagueCategories } from "./league-config.js";
+import { isPointsLeague, projectPoints, formatPoints } from "./points.js";
+import { computeAutoMaxBid, getEmptySlotKeys } from "./recommended-targets.js";
+import { coverageBadge, getCategoryZ, resolveRosterPlayers } from "./team-coverage.js";
+import { getRivalNeeds } from "./nomination.js";
+import { getSlot, isEligibleForSlot } from "./roster-slots.js";
+import { num, money, escapeHtml, normType, playerName, playerPos, playerKey } from "./helpers.js";
+
+// Worth multiplier when he'd only fill a bench spot.
+const BENCH_FACTOR = 0.6;
+// Extra worth per Weak category he lifts (capped).
+const WEAK_CAT_BONUS = 0.05;
+const WEAK_CAT_BONUS_MAX = 0.15;
+
+function fmtSigned(n) {
+  const v = Math.round(n * 100) / 100;
+  return `${v >= 0 ? "+" : ""}${v.toFixed(2)}`;
+}
+
+// Pool rows by normalized name (same-name rows: prefer the hitter, like the Draft Log).
+const _byName = new WeakMap();
+function findPlayer(players, name) {
+  if (!_byName.has(players)) {
+    const m = new Map();
+    for (const p of players || []) {
+      const n = normalizeName(playerName(p));
+      if (!n) continue;
+      const cur = m.get(n);
+      if (!cur || (normType(cur.type ?? cur.Type) === "pit" && normType(p.type ?? p.Type) !== "pit")) m.set(n, p);
+    }
+    _byName.set(players, m);
+  }
+  const clean = String(name ?? "").split("—")[0].trim();
+  return clean ? _byName.get(players).get(normalizeName(clean)) || null : null;
+}
+
+/** Pool rows on our team: roster entries plus draft-log wins. */
+function ourPlayers(players) {
+  const mine = resolveRosterPlayers(getRoster() || [], players);
+  const have = new Set(mine.map(playerKey));
+  const byKey = new Map((players || []).map((p) => [playerKey(p), p]));
+  for (const s of replayDraftLog().sales.values()) {
+    if (resolveLeagueTeamId(s.team) !== MY_TEAM_ID || have.has(s.player_key)) continue;
+    const p = byKey.get(s.player_key);
+    if (p) {
+      mine.push(p);
+      have.add(s.player_key);
+    }
+  }
+  return mine;
+}
+
+/**
+ * Bid advice for one pool row.
+ * Returns null for an unknown player; otherwise
+ * { name, pos, sold, price, value, worth, bid, verdict, notes: [..],
+ *   budget: { hardMax, planMax, remaining, openSlots },
+ *   slot, cats: [{ cat, z, before, after, from, to, weight }] | null, gain,
+ *   points: { add, before } | null,
+ *   rivals: [{ name, trueMax, remaining, openSlots, needs, canPay }], topRival }
+ */
+export function adviseBid(player, { players = [], inflation = 1, valueMode = "proj" } = {}) {
+  if (!player) return null;
+  const mode = normalizeValueMode(valueMode);
+  const rate = num(inflation, 1) || 1;
+  const key = playerKey(player);
+
+  const market = getMarketEstimate(player);
+  const base = getBaselineVal(player, mode) ?? 0;
+  const price = Math.max(1, Math.round((market != null && market > 0 ? market : base) * rate));
+  const value = Math.max(0, Math.round(base * rate));
+  const sold = replayDraftLog().sales.get(key) || null;
+  const target = (getAuctionTargets() || []).find((t) => String(t?.player_key || "").trim() === key) || null;
+
+  /* ---- Budget ---- */
+  const me = getLeagueTeamStates().find((t) => t.isMe);
+  const openSlots = me?.openSlots ?? 0;
+  const remaining = me?.remaining ?? 0;
+  // True max keeps the league's reserve_per_slot for every other open spot.
+  const hardMax = me?.trueMax ?? 0;
+  // Plan $ already counts this player's own plan; give it back.
+  const planMax = Math.min(hardMax, computeAutoMaxBid().maxBid + (target && !sold ? Math.max(0, num(target.plan)) : 0));
+
+  /* ---- Fit ---- */
+  const slotKey = getEmptySlotKeys().find((k) => isEligibleForSlot(player, k)) || null;
+  const slot = slotKey ? (getSlot(slotKey)?.label ?? slotKey) : null;
+
+  /* ---- Category gain ---- */
+  const roster = ourPlayers(players).filter((p) => playerKey(p) !== key);
+  let cats = null;
+  let gain = 0;
+  let points = null;
+  let weakLifted = 0;
+  if (isPointsLeague()) {
+    points = {
+      add: projectPoints(player).total,
+      before: roster.reduce((sum, p) => sum + projectPoints(p).total, 0),
+    };
+  } else {
+    const zFor = getCategoryZ(players);
+    const weights = getCategoryWeights();
+    cats = getLeagueCategories().map(({ id }) => {
+      const z = zFor(player, id);
+      const before = roster.reduce((sum, p) => sum + zFor(p, id), 0);
+      const from = coverageBadge(before);
+      const to = coverageBadge(before + z);
+      return { cat: id, z, before, after: before + z, from, to, weight: num(weights[id], 1) };
+    });
+    gain = cats.reduce((sum, c) => sum + c.z * c.weight, 0);
+    weakLifted = cats.filter((c) => c.from.cls === "weak" && c.z >= 0.5).length;
+  }
+
+  /* ---- Worth + bid ---- */
+  let worth = value;
+  if (!slot) worth *= BENCH_FACTOR;
+  worth *= 1 + Math.min(WEAK_CAT_BONUS_MAX, weakLifted * WEAK_CAT_BONUS);
+  worth = Math.round(worth);
+
+  /* ---- Competition ---- */
+  const rivals = getRivalNeeds().map(({ team, open }) => ({
+    name: team.name,
+    trueMax: team.trueMax,
+    remaining: team.remaining,
+    openSlots: team.openSlots,
+    needs: open.some((k) => isEligibleForSlot(player, k)),
+    canPay: team.trueMax >= price,
+  })).sort((a, b) => b.trueMax - a.trueMax);
+  const topRival = rivals[0]?.trueMax ?? 0;
+
+  let bid = Math.min(hardMax, Math.max(1, worth));
+  const notes = [];
+  // Nobody can outbid topRival + 1, whatever the market says.
+  const uncontested = rivals.length > 0 && topRival + 1 < bid;
+  if (uncontested) {
+    notes.push(`No rival can go past ${money(topRival)} — ${money(topRival + 1)} wins him.`);
+    bid = topRival + 1;
+  }
+  if (bid > planMax) notes.push(`Above your Plan-aware max (${money(planMax)}): winning him eats money planned for other targets.`);
+  if (target?.max > 0) notes.push(`Your Auction Board Max $ for him: ${money(target.max)}.`);
+  if (!slot) notes.push("No open lineup slot fits him — valued as a bench bat/arm.");
+  if (weakLifted) notes.push(`Lifts ${weakLifted} Weak categor${weakLifted === 1 ? "y" : "ies"}.`);
+
+  let verdict;
+  if (sold) {
+    verdict = `Already sold for ${money(sold.price)}.`;
+  } else if (hardMax < 1) {
+    verdict = "No open roster spots or money left — pass.";
+  } else if (uncontested) {
+    verdict = `Bid up to ${money(bid)}: no rival can pay more than ${money(topRival)}, and he's worth ~${money(worth)} to us.`;
+  } else if (bid >= price) {
+    verdict = `Bid up to ${money(bid)}: worth ~${money(worth)} to us vs ~${money(price)} market.`;
+  } else {
+    verdict = `Stop at ${money(bid)}: the ~${money(price)} market price is more than he's worth to us.`;
+  }
+
+  return {
+    name: playerName(player),
+    pos: playerPos(player),
+    sold,
+    price,
+    value,
+    worth,
+    bid: sold ? 0 : bid,
+    verdict,
+    notes,
+    budget: { hardMax, planMax, remaining, openSlots },
+    slot,
+    cats,
+    gain,
+    points,
+    rivals,
+    topRival,
+  };
+}
+
+/* ------------------------------ Panel ------------------------------ */
+
+function catsHtml(a) {
+  if (a.points) {
+    return `<div class="small" style="margin-top:8px;">Adds ${escapeHtml(formatPoints(a.points.add))} projected points (roster: ${escapeHtml(formatPoints(a.points.before))}).</div>`;
+  }
+  const chips = a.cats.map((c) => {
+    const change = c.from.cls !== c.to.cls ? ` ${c.from.text} → ${c.to.text}` : "";
+    const cls = c.z >= 0.25 ? "bidCatUp" : c.z <= -0.25 ? "bidCatDown" : "";
+    return `<span class="chip ${cls}" title="Roster z ${fmtSigned(c.before)} → ${fmtSigned(c.after)}">${escapeHtml(c.cat)} ${fmtSigned(c.z)}${escapeHtml(change)}</span>`;
+  }).join("");
+  return `
+    <div class="small" style="margin-top:8px; opacity:.8;">Category z added to our roster (weighted gain ${fmtSigned(a.gain)})</div>
+    <div class="bidCats">${chips}</div>
+  `;
+}
+
+function rivalsHtml(a) {
+  if (!a.rivals.length) return `<div class="small" style="opacity:.75;">No rival has an open roster spot.</div>`;
+  const rows = a.rivals.map((r) => `
+    <tr class="${r.canPay ? "" : "bidRivalOut"}">
+      <td style="text-align:left;">${escapeHtml(r.name)}</td>
+      <td>${money(r.trueMax)}</td>
+      <td>${money(r.remaining)}</td>
+      <td>${r.openSlots}</td>
+      <td>${r.needs ? "Yes" : "—"}</td>
+    </tr>
+  `).join("");
+  const bidders = a.rivals.filter((r) => r.canPay);
+  return `
+    <div class="small" style="margin-top:10px;">
+      ${bidders.length} rival${bidders.length === 1 ? "" : "s"} can pay ~${money(a.price)}
+      (${bidders.filter((r) => r.needs).length} still need his position).
+    </div>
+    <table class="table bidRivals">
+      <thead><tr><th style="text-align:left;">Rival</th><th>True Max</th><th>Left</th><th>Open</th><th>Needs</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function adviceHtml(a) {
+  return `
+    <div class="bidHead">
+      <div><strong>${escapeHtml(a.name)}</strong><span class="small" style="opacity:.75;">${a.pos ? ` • ${escapeHtml(a.pos)}` : ""}${a.slot ? ` • fills ${escapeHtml(a.slot)}` : ""}</span></div>
+      <div class="bidVerdict">${escapeHtml(a.verdict)}</div>
+    </div>
+    <div class="bidStats">
+      <span class="chip">Bid to <strong>${money(a.bid)}</strong></span>
+      <span class="chip">Worth ${money(a.worth)}</span>
+      <span class="chip">Value ${money(a.value)}</span>
+      <span class="chip">Market ${money(a.price)}</span>
+      <span class="chip">Hard max ${money(a.budget.hardMax)}</span>
+      <span class="chip">Plan-aware max ${money(a.budget.planMax)}</span>
+    </div>
+    ${a.notes.length ? `<ul class="small bidNotes">${a.notes.map((n) => `<li>${escapeHtml(n)}</li>`).join("")}</ul>` : ""}
+    ${catsHtml(a)}
+    ${rivalsHtml(a)}
+  `;
+}
+
+/**
+ * Mount the Bid Advisor. The player box takes any pool name (blank = whoever
+ * is on the block in the Draft Log); advice re-renders on every board refresh.
+ */
+export function mountBidAdvisor({ players, valueMode, inflation, containerId = "bidAdvisor" } = {}) {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  el.__bidArgs = { players, valueMode, inflation };
+
+  function run() {
+    const out = el.querySelector("#bidAdvisorOut");
+    if (!out) return;
+    const args = el.__bidArgs;
+    if (!(args.players || []).length) {
+      out.innerHTML = `<div class="small" style="opacity:.75;">Loading players…</div>`;
+      return;
+    }
+
+    const typed = String(el.querySelector("#bidAdvisorPlayer")?.value ?? "").trim();
+    let player = null;
+    if (typed) {
+      player = findPlayer(args.players, typed);
+    } else {
+      const block = replayDraftLog().onBlock;
+      if (block) {
+        player = args.players.find((p) => playerKey(p) === block.player_key) || findPlayer(args.players, block.name);
+      }
+    }
+
+    if (!player) {
+      out.innerHTML = `<div class="small" style="opacity:.75;">${typed
+        ? `No player named "${escapeHtml(typed)}" in the pool.`
+        : "Type a player, or nominate one in the Draft Log to get advice on the player on the block."}</div>`;
+      return;
+    }
+
+    try {
+      out.innerHTML = adviceHtml(adviseBid(player, args));
+    } catch (e) {
+      console.warn("[BID] advice failed", e);
+      out.innerHTML = `<div class="small">Bid advice failed: ${escapeHtml(e.message)}</div>`;
+    }
+  }
+
+  if (el.dataset.bidBound !== "1") {
+    el.dataset.bidBound = "1";
+    el.innerHTML = `
+      <div class="bidBar">
+        <input id="bidAdvisorPlayer" list="playerNameList" placeholder="Player (blank = on the block)" autocomplete="off" />
+      </div>
+      <div id="bidAdvisorOut"></div>
+    `;
+    el.querySelector("#bidAdvisorPlayer")?.addEventListener("input", run);
+  }
+  run();
+}
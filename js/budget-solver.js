@@ -0,0 +1,395 @@
+// js/budget-solver.js
+// Budget Solver panel (Auction Board): how to spend what's left.
+//
+// Given the money we still control (budget − keepers − players won), the open
+// lineup slots (getEmptySlotKeys) and the undrafted pool, pick one player (or
+// nobody) per open slot so the team gains the most standings points without
+// going over budget.
+//
+// - Value: a player's SGP per category (valuation.js, SGP mode), weighted by
+//   the Strategy category weights; points leagues use projected points.
+// - Gain: value over what the slot gets for free after the auction (the best
+//   player the engine leaves undrafted who fits it), so leaving a slot empty
+//   is worth 0.
+// - Price: Market Estimate (else the baseline $) × live inflation, $1 minimum.
+// - Solver: knapsack DP over the slots, most restrictive slot first. A player
+//   the DP puts in two slots is kept in the first and banned from the rest,
+//   then the DP runs again (the same player can't be bought twice).
+
+import {
+  computeBudgetSpend,
+  getCategoryWeights,
+  getRoster,
+  getSettings,
+  getSgpDenominators,
+  replayDraftLog,
+  addAuctionTarget,
+  getAuctionTargets,
+  transaction,
+} from "./storage.js";
+import { getEmptySlotKeys } from "./recommended-targets.js";
+import { getBaselineVal, getMarketEstimate, normalizeValueMode } from "./auction-data.js";
+import { computeEngineValues } from "./valuation.js";
+import { getLeagueCategories } from "./league-config.js";
+import { isPointsLeague } from "./points.js";
+import { getSlot, getSlotFillOrder, isEligibleForSlot } from "./roster-slots.js";
+import { num, money, escapeHtml, normType, playerName, playerKey } from "./helpers.js";
+
+const CANDIDATES_PER_SLOT = 40;
+const MAX_PASSES = 30;
+const MIN_BID = 1;
+
+// SGP (or points) engine rows, computed once per pool + denominators.
+const _engine = new WeakMap();
+function engineFor(players) {
+  const method = isPointsLeague() ? "points" : "sgp";
+  const sig = `${method}|${JSON.stringify(method === "sgp" ? getSgpDenominators() : {})}`;
+  const hit = _engine.get(players);
+  if (hit?.sig === sig) return hit.byPlayer;
+
+  let byPlayer = new Map();
+  try {
+    byPlayer = computeEngineValues(players, getSettings(), { method }).byPlayer;
+  } catch (e) {
+    console.warn("[SOLVER] engine values failed", e);
+  }
+  _engine.set(players, { sig, byPlayer });
+  return byPlayer;
+}
+
+/**
+ * Knapsack over slots. options[i] = [{ cost, gain, id }]; leaving a slot empty
+ * costs and gains nothing. Returns the chosen option (or null) per slot.
+ */
+function knapsack(options, budget) {
+  const B = Math.max(0, Math.floor(budget));
+  let best = new Float64Array(B + 1);
+  const choice = [];
+
+  for (const opts of options) {
+    const next = Float64Array.from(best);
+    const pick = new Int32Array(B + 1).fill(-1);
+    opts.forEach((o, j) => {
+      if (o.gain <= 0) return;
+      for (let b = o.cost; b <= B; b++) {
+        const v = best[b - o.cost] + o.gain;
+        if (v > next[b]) {
+          next[b] = v;
+          pick[b] = j;
+        }
+      }
+    });
+    choice.push(pick);
+    best = next;
+  }
+
+  const out = new Array(options.length).fill(null);
+  let b = B;
+  for (let i = options.length - 1; i >= 0; i--) {
+    const j = choice[i][b];
+    if (j >= 0) {
+      out[i] = options[i][j];
+      b -= options[i][j].cost;
+    }
+  }
+  return out;
+}
+
+/**
+ * Find the roster fill that maximizes weighted standings gain under budget.
+ *
+ * Returns:
+ * {
+ *   budget, spent, left, gain,
+ *   slots: [{ slot, label, side, pick: { key, player, price, value, gain } | null }],
+ *   byCat: { [cat]: standings points added },   // empty in points leagues
+ *   points: boolean
+ * }
+ */
+export function solveBudgetAllocation({
+  players = [],
+  inflation = 1,
+  valueMode = "proj",
+  budget = null,
+  slotKeys = null,
+} = {}) {
+  const mode = normalizeValueMode(valueMode);
+  const points = isPointsLeague();
+  const spend = computeBudgetSpend();
+  const money$ = Math.max(0, Math.floor(budget ?? (spend.budgetTotal - spend.contractSpent - spend.wonSpent)));
+
+  // Most restrictive slot first, same as the engine's fill order.
+  const open = new Set(slotKeys || getEmptySlotKeys());
+  const order = [...getSlotFillOrder("hit"), ...getSlotFillOrder("pit")].filter((k) => open.has(k));
+
+  const weights = getCategoryWeights();
+  const cats = getLeagueCategories().map((c) => c.id);
+  const byPlayer = engineFor(players);
+
+  const rostered = new Set((getRoster() || []).map((r) => String(r.id || "").trim()).filter(Boolean));
+  const { sales } = replayDraftLog();
+
+  // Undrafted pool with weighted values + prices.
+  const pool = [];
+  for (const p of players || []) {
+    const ev = byPlayer.get(p);
+    if (!ev) continue;
+    const key = playerKey(p);
+    if (!key || rostered.has(key) || sales.has(key)) continue;
+
+    const value = points
+      ? num(ev.hit?.total) + num(ev.pit?.total)
+      : cats.reduce((sum, c) => sum + num(ev.byCat?.[c]) * num(weights[c], 1), 0);
+    const market = getMarketEstimate(p);
+    const base = market != null && market > 0 ? market : (getBaselineVal(p, mode) ?? 0);
+    const price = Math.max(MIN_BID, Math.round(base * num(inflation, 1)));
+
+    const sides = ["hit", "pit"].filter((side) => ev[side]);
+    pool.push({ key, player: p, sides, value, price, drafted: !!ev.drafted, byCat: ev.byCat || {} });
+  }
+
+  // What each slot gets for free: the best eligible player nobody drafts.
+  const replacement = new Map(); // slot -> free row (or null)
+  const eligible = new Map();
+  for (const k of order) {
+    // Rows are scored on the side they have volume for (two-way rows on both).
+    const side = getSlot(k)?.side;
+    const fits = pool.filter((r) => r.sides.includes(side) && isEligibleForSlot({ ...r.player, type: side }, k));
+    eligible.set(k, fits);
+    const free = fits.filter((r) => !r.drafted).reduce((m, r) => (!m || r.value > m.value ? r : m), null);
+    replacement.set(k, free);
+  }
+
+  const banned = new Map(order.map((k) => [k, new Set()]));
+
+  function optionsFor(k) {
+    const repl = replacement.get(k)?.value ?? 0;
+    const ban = banned.get(k);
+    const rows = eligible.get(k)
+      .filter((r) => !ban.has(r.key) && r.price <= money$)
+      .map((r) => ({ id: r.key, row: r, cost: r.price, gain: r.value - repl }))
+      .filter((o) => o.gain > 0)
+      .sort((a, b) => a.cost - b.cost || b.gain - a.gain);
+
+    // Keep the price / gain frontier: nothing cheaper does at least as well.
+    // (Rebuilt every pass, so a banned player's slot falls back to the next one.)
+    const frontier = [];
+    let bestGain = -Infinity;
+    for (const o of rows) {
+      if (o.gain <= bestGain) continue;
+      frontier.push(o);
+      bestGain = o.gain;
+    }
+    return frontier.slice(-CANDIDATES_PER_SLOT);
+  }
+
+  let picks = [];
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    picks = knapsack(order.map(optionsFor), money$);
+
+    const seen = new Map();
+    let clash = false;
+    picks.forEach((o, i) => {
+      if (!o) return;
+      if (seen.has(o.id)) {
+        banned.get(order[i]).add(o.id);
+        clash = true;
+      } else {
+        seen.set(o.id, i);
+      }
+    });
+    if (!clash) break;
+  }
+
+  // Duplicates left after MAX_PASSES (very unlikely) stay in their first slot.
+  const used = new Set();
+  const slots = order.map((k, i) => {
+    const s = getSlot(k);
+    let o = picks[i];
+    if (o && used.has(o.id)) o = null;
+    if (o) used.add(o.id);
+    return {
+      slot: k,
+      label: s?.label ?? k,
+      side: s?.side ?? "hit",
+      pick: o ? { key: o.id, player: o.row.player, price: o.cost, value: o.row.value, gain: o.gain } : null,
+      row: o?.row ?? null,
+      free: replacement.get(k),
+    };
+  });
+
+  const spent = slots.reduce((sum, s) => sum + (s.pick?.price ?? 0), 0);
+  const gain = slots.reduce((sum, s) => sum + (s.pick?.gain ?? 0), 0);
+
+  // Per category: the picks over the free players they replace (unweighted).
+  const byCat = {};
+  if (!points) {
+    for (const c of cats) {
+      byCat[c] = slots.reduce((sum, s) => (s.row ? sum + num(s.row.byCat[c]) - num(s.free?.byCat?.[c]) : sum), 0);
+    }
+  }
+
+  return {
+    budget: money$,
+    spent,
+    left: money$ - spent,
+    gain,
+    slots: slots.map(({ slot, label, side, pick }) => ({ slot, label, side, pick })),
+    byCat,
+    points,
+  };
+}
+
+/* ------------------------------ Panel ------------------------------ */
+
+function planTable(result) {
+  const rows = result.slots.map((s) => {
+    const p = s.pick;
+    return `
+      <tr>
+        <td style="text-align:left;"><span class="chip chipNeed">${escapeHtml(s.label)}</span></td>
+        <td style="text-align:left;">${p ? escapeHtml(playerName(p.player)) : `<span class="small" style="opacity:.7;">leave open ($0 FA)</span>`}</td>
+        <td>${p ? money(p.price) : "$0"}</td>
+        <td>${p ? `+${p.gain.toFixed(result.points ? 0 : 2)}` : "—"}</td>
+        <td>${p ? `<button type="button" class="ghost recActionBtn" data-solver-add="${escapeHtml(p.key)}">+ Target</button>` : ""}</td>
+      </tr>
+    `;
+  }).join("");
+
+  return `
+    <table class="table solverTable">
+      <thead>
+        <tr>
+          <th style="text-align:left;">Slot</th>
+          <th style="text-align:left;">Target</th>
+          <th>$</th>
+          <th>${result.points ? "Pts +" : "SGP +"}</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function sideSplit(result) {
+  const sum = (side) => result.slots.filter((s) => s.side === side).reduce((a, s) => a + (s.pick?.price ?? 0), 0);
+  const count = (side) => result.slots.filter((s) => s.side === side).length;
+  const per = (side) => (count(side) ? sum(side) / count(side) : 0);
+  return `
+    <div class="solverSplit small">
+      <span class="chip">Hitters ${money(sum("hit"))} • ${count("hit")} slot(s) • $${per("hit").toFixed(1)}/slot</span>
+      <span class="chip">Pitchers ${money(sum("pit"))} • ${count("pit")} slot(s) • $${per("pit").toFixed(1)}/slot</span>
+    </div>
+  `;
+}
+
+function catChips(result) {
+  if (result.points) return "";
+  const cats = Object.entries(result.byCat).filter(([, v]) => Math.abs(v) >= 0.005);
+  if (!cats.length) return "";
+  return `
+    <div class="small" style="margin-top:8px; opacity:.8;">SGP added by category (vs. the free fill for each slot)</div>
+    <div class="solverCats">
+      ${cats.map(([c, v]) => `<span class="chip ${v >= 0 ? "chipDelta" : ""}">${escapeHtml(c)} ${v >= 0 ? "+" : ""}${v.toFixed(2)}</span>`).join("")}
+    </div>
+  `;
+}
+
+/**
+ * Mount the Budget Solver. Solving walks the whole pool, so it runs when asked
+ * (and again on refresh once it has been run).
+ */
+export function mountBudgetSolver({ players, valueMode, inflation, containerId = "budgetSolver" } = {}) {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  el.__solverArgs = { players, valueMode, inflation };
+
+  function run() {
+    const out = el.querySelector("#solverOut");
+    if (!out) return;
+    const args = el.__solverArgs;
+    if (!(args.players || []).length) {
+      out.innerHTML = `<div class="small" style="opacity:.75;">Loading players…</div>`;
+      return;
+    }
+
+    let result;
+    try {
+      result = solveBudgetAllocation(args);
+    } catch (e) {
+      console.warn("[SOLVER] failed", e);
+      out.innerHTML = `<div class="small">Solver failed: ${escapeHtml(e.message)}</div>`;
+      return;
+    }
+    el.__solverResult = result;
+
+    if (!result.slots.length) {
+      out.innerHTML = `<div class="small" style="opacity:.75;">No open lineup slots — the Lineup Planner is full.</div>`;
+      return;
+    }
+
+    out.innerHTML = `
+      <div class="solverSummary small">
+        <span>Budget <strong>${money(result.budget)}</strong></span>
+        <span>Plan <strong>${money(result.spent)}</strong></span>
+        <span>Left <strong>${money(result.left)}</strong></span>
+        <span>Gain <strong>+${result.gain.toFixed(result.points ? 0 : 2)}</strong> ${result.points ? "pts" : "SGP"}</span>
+      </div>
+      ${sideSplit(result)}
+      <div style="overflow:auto;">${planTable(result)}</div>
+      ${catChips(result)}
+    `;
+  }
+
+  if (el.dataset.solverBound !== "1") {
+    el.dataset.solverBound = "1";
+    el.innerHTML = `
+      <div class="solverBar">
+        <button type="button" id="solverRun">Solve</button>
+        <button type="button" class="ghost" id="solverAddAll">Add all as targets</button>
+      </div>
+      <div id="solverOut"><div class="small" style="opacity:.75;">Solve to get a dollars-per-slot plan for the open slots.</div></div>
+    `;
+
+    el.querySelector("#solverRun")?.addEventListener("click", () => {
+      el.dataset.solved = "1";
+      run();
+    });
+
+    const addPick = (pick) => {
+      const targeted = new Set((getAuctionTargets() || []).map((t) => String(t?.player_key || "").trim()));
+      if (targeted.has(pick.key)) return;
+      const p = pick.player;
+      addAuctionTarget({
+        name: playerName(p),
+        type: normType(p.type ?? p.Type),
+        team: String(p.Team ?? p.team ?? ""),
+        pos: String(p.POS ?? p.pos ?? ""),
+        plan: pick.price,
+        max: pick.price + 3,
+        tier: "B",
+        player_key: pick.key,
+      });
+    };
+
+    el.querySelector("#solverAddAll")?.addEventListener("click", () => {
+      const picks = (el.__solverResult?.slots || []).map((s) => s.pick).filter(Boolean);
+      if (!picks.length) return;
+      transaction(() => picks.forEach(addPick), { label: `Add ${picks.length} solver targets` });
+      window.hagRefreshAuction?.();
+    });
+
+    el.addEventListener("click", (e) => {
+      const btn = e.target?.closest?.("[data-solver-add]");
+      if (!btn) return;
+      const pick = (el.__solverResult?.slots || []).map((s) => s.pick).find((p) => p?.key === btn.dataset.solverAdd);
+      if (!pick) return;
+      addPick(pick);
+      window.hagRefreshAuction?.();
+    });
+  }
+
+  if (el.dataset.solved === "1") run();
+}
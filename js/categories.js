@@ -0,0 +1,191 @@
+// js/categories.js
+// Scoring category registry: what each category is and where its number comes from.
+// The league config (league-config.js) picks which categories a league scores;
+// every module reads names / sides / directions / stats through here, so adding
+// OBP, SVH or K/9 to a league file works without code edits.
+//
+// NOTE: no imports — league-config.js (and through it storage.js) builds on this.
+
+/**
+ * Category shape:
+ * {
+ *   id: "OBP",              // key used for weights, SGP denominators, z columns
+ *   name: "On-Base %",      // display label
+ *   side: "hit" | "pit",
+ *   kind: "rate" | "count", // rate stats are weighted by `volume`
+ *   direction: "higher" | "lower",
+ *   column: "OBP",          // projection column (also read as "OBP(2026)" / "OBP 2026")
+ *   volume: "PA" | "IP" | null,
+ *   decimals: 3,            // display precision
+ *   sgp: 0.0035,            // starting SGP denominator (null = none)
+ * }
+ *
+ * Built-ins may also carry `aliases` (other column names) and `derive(stat)`,
+ * used when no column is present (SVH = SV + HLD, K/9 = K × 9 / IP).
+ */
+const BUILT_INS = [
+  // Hitting
+  { id: "AVG", name: "AVG", side: "hit", kind: "rate", volume: "PA", decimals: 3, sgp: 0.0025 },
+  { id: "OBP", name: "On-Base %", side: "hit", kind: "rate", volume: "PA", decimals: 3, sgp: 0.0035 },
+  { id: "SLG", name: "Slugging", side: "hit", kind: "rate", volume: "PA", decimals: 3, sgp: 0.006 },
+  { id: "OPS", name: "OPS", side: "hit", kind: "rate", volume: "PA", decimals: 3, sgp: 0.005 },
+  { id: "TB", name: "Total Bases", side: "hit", aliases: ["total_bases", "TotalBases"], sgp: 35 },
+  { id: "HR", name: "Home Runs", side: "hit", sgp: 7 },
+  { id: "RBI", name: "RBI", side: "hit", sgp: 20 },
+  { id: "R", name: "Runs", side: "hit", aliases: ["runs", "Runs"], sgp: 20 },
+  // We only track SB in the CSV (no CS / Net SB); old builds called it SBN.
+  { id: "SB", name: "SB", side: "hit", aliases: ["sbn", "SBN", "stolen_bases", "StolenBases"], sgp: 6 },
+  { id: "H", name: "Hits", side: "hit", sgp: 20 },
+  { id: "BB", name: "Walks", side: "hit", sgp: 12 },
+
+  // Pitching
+  { id: "ERA", name: "ERA", side: "pit", kind: "rate", direction: "lower", volume: "IP", decimals: 2, sgp: 0.08 },
+  { id: "WHIP", name: "WHIP", side: "pit", kind: "rate", direction: "lower", volume: "IP", decimals: 2, sgp: 0.015 },
+  {
+    id: "K/9", name: "K/9", side: "pit", kind: "rate", volume: "IP", decimals: 2, sgp: 0.12,
+    aliases: ["K9", "K_9", "K per 9"],
+    derive: (stat) => {
+      const k = stat("K");
+      const ip = stat("IP");
+      return k != null && ip > 0 ? (k * 9) / ip : null;
+    },
+  },
+  // Earned runs / baserunners allowed: mostly points-league events.
+  {
+    id: "ER", name: "Earned Runs", side: "pit", direction: "lower", sgp: null,
+    derive: (stat) => {
+      const era = stat("ERA");
+      const ip = stat("IP");
+      return era != null && ip != null ? (era * ip) / 9 : null;
+    },
+  },
+  {
+    id: "H+BB", name: "Hits + Walks Allowed", side: "pit", direction: "lower", sgp: null,
+    aliases: ["HBB", "WH"],
+    derive: (stat) => {
+      const whip = stat("WHIP");
+      const ip = stat("IP");
+      return whip != null && ip != null ? whip * ip : null;
+    },
+  },
+  { id: "IP", name: "Innings", side: "pit", decimals: 1, aliases: ["innings_pitched", "InningsPitched"], sgp: 50 },
+  { id: "QS", name: "QS", side: "pit", aliases: ["quality_starts", "QualityStarts"], sgp: 3.5 },
+  { id: "K", name: "K", side: "pit", aliases: ["SO", "strikeouts", "Strikeouts"], sgp: 30 },
+  { id: "W", name: "Wins", side: "pit", sgp: 3 },
+  { id: "SV", name: "Saves", side: "pit", aliases: ["saves", "Saves"], sgp: 7 },
+  { id: "HLD", name: "Holds", side: "pit", aliases: ["holds", "Holds"], sgp: 7 },
+  {
+    id: "SVH", name: "Saves + Holds", side: "pit", sgp: 9,
+    aliases: ["SV+HLD", "SVHLD", "SV+H"],
+    derive: (stat) => {
+      const sv = stat("SV");
+      const hld = stat("HLD");
+      return sv == null && hld == null ? null : (sv ?? 0) + (hld ?? 0);
+    },
+  },
+];
+
+const REGISTRY = new Map(BUILT_INS.map((c) => [c.id, c]));
+
+function normId(id) {
+  return String(id ?? "").trim().toUpperCase();
+}
+
+/** Built-in definition for an id (undefined for custom categories). */
+export function getBuiltInCategory(id) {
+  return REGISTRY.get(normId(id));
+}
+
+export function listBuiltInCategories() {
+  return BUILT_INS.map((c) => c.id);
+}
+
+/**
+ * Fill a league-file category entry from the registry.
+ * Returns a plain (JSON-safe) category plus `problems` for missing fields.
+ */
+export function resolveCategory(entry) {
+  const e = typeof entry === "string" ? { id: entry } : (entry || {});
+  const id = normId(e.id ?? e.key ?? e.name);
+  const known = REGISTRY.get(id);
+
+  const sideRaw = String(e.side ?? known?.side ?? "").trim().toLowerCase();
+  const side = ["hit", "hitter", "hitting", "batting", "h"].includes(sideRaw)
+    ? "hit"
+    : ["pit", "pitcher", "pitching", "p"].includes(sideRaw) ? "pit" : "";
+
+  const kindRaw = String(e.kind ?? e.type ?? known?.kind ?? (e.volume ? "rate" : "count")).trim().toLowerCase();
+  const kind = kindRaw === "rate" || kindRaw === "ratio" ? "rate" : "count";
+
+  const dirRaw = String(
+    e.direction ?? (e.lower_is_better === true ? "lower" : null) ?? known?.direction ?? "higher"
+  ).trim().toLowerCase();
+  const direction = dirRaw === "lower" || dirRaw === "asc" ? "lower" : "higher";
+
+  const volume = kind === "rate"
+    ? String(e.volume ?? known?.volume ?? (side === "pit" ? "IP" : "PA")).trim().toUpperCase()
+    : null;
+
+  const sgp = Number(e.sgp ?? known?.sgp);
+  const decimals = Number(e.decimals ?? known?.decimals ?? (kind === "rate" ? 3 : 0));
+
+  const problems = [];
+  if (!id) problems.push("has no id");
+  if (!side) problems.push(`(${id || "?"}) needs side: hit or pit`);
+
+  return {
+    category: {
+      id,
+      name: String(e.name ?? e.label ?? known?.name ?? id).trim() || id,
+      side,
+      kind,
+      direction,
+      column: String(e.column ?? e.source ?? known?.column ?? id).trim() || id,
+      volume,
+      decimals: Number.isFinite(decimals) ? Math.max(0, Math.min(4, Math.round(decimals))) : 0,
+      sgp: Number.isFinite(sgp) && sgp > 0 ? sgp : null,
+    },
+    problems,
+  };
+}
+
+// Numeric cell for a column, accepting the normalized key ("HR"), lowercase,
+// and the master CSV headers ("HR(2026)" / "HR 2026").
+function readColumn(player, col) {
+  for (const k of [col, col.toLowerCase(), `${col}(2026)`, `${col} 2026`]) {
+    const v = player[k];
+    if (v == null || String(v).trim() === "") continue;
+    const n = Number(String(v).replace(/[$,]/g, ""));
+    if (Number.isFinite(n)) return n;
+  }
+  return null;
+}
+
+/**
+ * A player's projected number for a category (entry or id), or null.
+ * Reads the category's column, then built-in aliases, then derives it.
+ */
+export function getCategoryStat(player, cat) {
+  if (!player) return null;
+  const c = typeof cat === "string" ? (getBuiltInCategory(cat) || { id: normId(cat) }) : cat;
+  const known = getBuiltInCategory(c.id);
+
+  for (const col of [c.column || c.id, c.id, ...(known?.aliases || [])]) {
+    const v = readColumn(player, col);
+    if (v != null) return v;
+  }
+
+  if (known?.derive) {
+    const v = known.derive((col) => readColumn(player, col));
+    return Number.isFinite(v) ? v : null;
+  }
+  return null;
+}
+
+/** Display a category value at the category's precision ("—" when missing). */
+export function formatCategoryValue(cat, v) {
+  const n = Number(v);
+  if (v == null || v === "" || !Number.isFinite(n)) return "—";
+  const d = Number(cat?.decimals ?? 0);
+  return d > 0 ? n.toFixed(d) : String(Math.round(n));
+}
@@ -4,9 +4,13 @@
 // - Shows identity (team/pos), flags, and side-by-side pricing + key projection cats
 // NOTE: Uses projection/auction master CSV data (NOT 2025 stats).
 
-import { getSettings, getCategoryWeights, getAuctionTargets } from "./storage.js";
+import { getSettings, getCategoryWeights, getAuctionTargets, load, save } from "./storage.js";
 import { normalizeName, getPlayerKey } from "./player-key.js";
-import { computeTargetPricing, detectCatStats } from "./auction-data.js";
+import { computeTargetPricing, detectCatStats, getLiveInflation, normalizeValueMode } from "./auction-data.js";
+import { getLeagueCategories } from "./league-config.js";
+import { getCategoryStat } from "./categories.js";
+import { onLiveSync } from "./live-sync.js";
+import { escapeHtml } from "./helpers.js";
 
 const LS_KEY = "hag_compare_keys_v1";
 const MAX_PLAYERS = 4;
@@ -75,13 +79,6 @@ function getFlags(p) {
     .slice(0, 6);
 }
 
-function getStat(p, keys) {
-  for (const k of keys) {
-    if (p && Object.prototype.hasOwnProperty.call(p, k) && p[k] !== "") return p[k];
-  }
-  return "";
-}
-
 function formatStat(v) {
   if (v === "" || v == null) return "—";
   const n = Number(v);
@@ -100,21 +97,12 @@ function formatStat(v) {
 }
 
 function loadKeys() {
-  try {
-    const raw = localStorage.getItem(LS_KEY);
-    const arr = JSON.parse(raw || "[]");
-    return Array.isArray(arr) ? arr.filter(Boolean) : [];
-  } catch {
-    return [];
-  }
+  const arr = load(LS_KEY, []);
+  return Array.isArray(arr) ? arr.filter(Boolean) : [];
 }
 
 function saveKeys(keys) {
-  try {
-    localStorage.setItem(LS_KEY, JSON.stringify(keys));
-  } catch {
-    // ignore
-  }
+  save(LS_KEY, keys);
 }
 
 let _players = [];
@@ -249,24 +237,19 @@ function renderSuggest(query) {
   box.style.display = "block";
 }
 
-function escapeHtml(s) {
-  return String(s ?? "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/\"/g, "&quot;")
-    .replace(/'/g, "&#39;");
-}
-
 function getTargetForKey(key) {
   const targets = getAuctionTargets() || [];
   return targets.find((t) => String(t?.key) === String(key)) || null;
 }
 
+// Inflation rate for the current render (draft-log driven); reset in render().
+let _inflation = null;
+
 function pricingFor(key, player) {
   const settings = getSettings();
   const weights = getCategoryWeights();
-  const valueMode = String(settings?.value_mode ?? "proj").toLowerCase() === "market" ? "market" : "proj";
+  const valueMode = normalizeValueMode(settings?.value_mode);
+  if (_inflation == null) _inflation = getLiveInflation(_players, valueMode).rate;
 
   const target = getTargetForKey(key) || { plan: 0 };
   const hasCatStats = detectCatStats(player);
@@ -274,6 +257,7 @@ function pricingFor(key, player) {
   const out = computeTargetPricing(target, player, weights, {
     hasCatStats,
     valueMode,
+    inflation: _inflation,
     caps: settings?.caps
   });
 
@@ -297,34 +281,15 @@ function getMetricRows(playersByKey) {
     { label: "Max", kind: "money", get: (k, p) => pricingFor(k, p).max },
   ];
 
-  // Strategy-first categories
-  const statDefs = [
-    { label: "OPS", keys: ["OPS", "ops"] },
-    { label: "TB", keys: ["TB", "Total Bases", "total_bases"] },
-    { label: "HR", keys: ["HR", "Homeruns", "home_runs"] },
-    { label: "R", keys: ["R", "Runs"] },
-    { label: "RBI", keys: ["RBI"] },
-    { label: "AVG", keys: ["AVG", "avg", "BA", "batting_avg"] },
-    { label: "SB", keys: ["SB", "sb", "Stolen Bases", "stolen_bases"] },
-    { label: "IP", keys: ["IP", "Innings", "innings"] },
-    { label: "QS", keys: ["QS", "Quality Starts", "quality_starts"] },
-    { label: "K", keys: ["K", "SO", "Strikeouts", "strikeouts"] },
-    { label: "HLD", keys: ["HLD", "Holds", "Holds+" ,"holds"] },
-  ];
-
+  // League categories (registry columns / derived stats).
   // Only include stats that exist for at least one selected player.
-  for (const def of statDefs) {
+  for (const cat of getLeagueCategories()) {
+    const get = (_k, p) => getCategoryStat(p, cat) ?? "";
     let any = false;
     for (const [key, p] of playersByKey) {
-      if (getStat(p, def.keys) !== "") { any = true; break; }
-    }
-    if (any) {
-      rows.push({
-        label: def.label,
-        kind: "stat",
-        get: (_k, p) => getStat(p, def.keys)
-      });
+      if (get(key, p) !== "") { any = true; break; }
     }
+    if (any) rows.push({ label: cat.id, kind: "stat", get });
   }
 
   return rows;
@@ -348,6 +313,7 @@ function render() {
   panel.style.setProperty("--cmpCols", String(selected.length));
 
   const playersByKey = new Map(selected);
+  _inflation = null;
   const rows = getMetricRows(playersByKey);
 
   const headerCells = selected
@@ -551,10 +517,8 @@ export function initCompare(players) {
 
   if (btnClear) btnClear.addEventListener("click", clearAll);
 
-  // Keep the panel fresh if localStorage changes (multi-tab or other pages).
-  window.addEventListener("storage", (e) => {
-    if (e.key === LS_KEY) render();
-  });
+  // Keep the panel fresh when another tab pins players or edits targets.
+  onLiveSync(render, { topics: ["compare", "targets", "settings", "draft"] });
 
   render();
 }
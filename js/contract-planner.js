@@ -0,0 +1,137 @@
+// js/contract-planner.js
+// Multi-season keeper / contract view for the Roster page.
+// Rolls every roster player under contract forward season by season
+// (contractYear / contractTotal / extensionYears from storage.js, salaries
+// escalated by contract-rules.js), so you can see who is still
+// kept in 2027 / 2028, what each future auction budget is already committed to,
+// which deals run out, and how much is left per open roster spot.
+
+import { getSettings } from "./storage.js";
+import { getLeagueSeason, getMaxContractYears } from "./league-config.js";
+import { getContractSeason } from "./contract-rules.js";
+import { escapeHtml } from "./helpers.js";
+
+const DEFAULT_HORIZON = 3;
+
+let horizon = DEFAULT_HORIZON;
+
+function toInt(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.trunc(n) : fallback;
+}
+
+/**
+ * Project contracts across `seasons` seasons starting with the league season.
+ *
+ * Returns:
+ * {
+ *   seasons: [{ season, offset, committed, keepers, budget, budgetLeft, openSpots, perSpot, expiring: [names] }],
+ *   players: [{ player, bySeason: [getContractSeason(...) | null, ...] }]   // contract players only
+ * }
+ * expiring = deals whose final year is that season (free agents the year after).
+ */
+export function projectContractSeasons(roster, { seasons = DEFAULT_HORIZON, settings = getSettings() } = {}) {
+  const start = getLeagueSeason();
+  const budget = Math.max(0, toInt(settings?.budget_total, 0));
+  const spots = Math.max(0, toInt(settings?.hitter_slots_total, 0)) + Math.max(0, toInt(settings?.pitcher_slots_total, 0));
+
+  const players = (roster || [])
+    .filter((p) => p?.underContract)
+    .map((player) => ({
+      player,
+      bySeason: Array.from({ length: seasons }, (_, offset) => getContractSeason(player, offset)),
+    }));
+
+  const out = Array.from({ length: seasons }, (_, offset) => {
+    const active = players.filter((r) => r.bySeason[offset]);
+    const committed = active.reduce((sum, r) => sum + r.bySeason[offset].salary, 0);
+    const openSpots = Math.max(0, spots - active.length);
+    const budgetLeft = budget - committed;
+
+    return {
+      season: start + offset,
+      offset,
+      committed,
+      keepers: active.length,
+      budget,
+      budgetLeft,
+      openSpots,
+      perSpot: openSpots > 0 ? budgetLeft / openSpots : null,
+      expiring: active.filter((r) => r.bySeason[offset].final).map((r) => r.player.name),
+    };
+  });
+
+  return { seasons: out, players };
+}
+
+function contractCell(c) {
+  if (!c) return `<td class="cpCell cpEmpty">—</td>`;
+  const cls = ["cpCell", c.final ? "cpFinal" : "", c.extension ? "cpExt" : ""].filter(Boolean).join(" ");
+  const title = [c.final ? "Final contract year" : `Year ${c.year} of ${c.total}`, c.extension ? "extension" : ""]
+    .filter(Boolean)
+    .join(" • ");
+  return `<td class="${cls}" title="${title}">$${c.salary} <span class="small">(${c.year}/${c.total})</span></td>`;
+}
+
+/**
+ * Render the planner into `containerId`: a player × season salary grid with
+ * committed $, keepers, budget left and $ per open spot for each future auction.
+ */
+export function renderContractPlanner(roster, containerId = "contractPlanner") {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  const maxYears = Math.max(1, getMaxContractYears());
+  // No deal runs longer than the league's max contract length.
+  const seasonsN = Math.max(1, Math.min(horizon, maxYears));
+  const { seasons, players } = projectContractSeasons(roster, { seasons: seasonsN });
+
+  const horizonOptions = Array.from({ length: maxYears }, (_, i) => i + 1)
+    .map((n) => `<option value="${n}" ${n === seasonsN ? "selected" : ""}>${n} season${n === 1 ? "" : "s"}</option>`)
+    .join("");
+
+  const head = seasons.map((s) => `<th>${s.season}</th>`).join("");
+  const rows = players.length
+    ? players
+      .sort((a, b) => toInt(b.player.price) - toInt(a.player.price))
+      .map((r) => `
+        <tr>
+          <td style="text-align:left;">${escapeHtml(r.player.name)}</td>
+          ${r.bySeason.map(contractCell).join("")}
+        </tr>
+      `).join("")
+    : `<tr><td colspan="${seasons.length + 1}" class="small" style="padding:12px;">No players under contract. Tick "Contract?" in Your Roster to plan keepers.</td></tr>`;
+
+  const foot = (label, fmt) => `
+    <tr class="cpTotals">
+      <td style="text-align:left;">${label}</td>
+      ${seasons.map((s) => `<td>${fmt(s)}</td>`).join("")}
+    </tr>
+  `;
+
+  el.innerHTML = `
+    <div class="cpToolbar">
+      <label class="small">Horizon <select id="cpHorizon">${horizonOptions}</select></label>
+    </div>
+
+    <div style="overflow:auto; margin-top:10px;">
+      <table class="table cpTable">
+        <thead><tr><th style="text-align:left;">Player</th>${head}</tr></thead>
+        <tbody>${rows}</tbody>
+        <tfoot>
+          ${foot("Committed", (s) => `$${s.committed}`)}
+          ${foot("Keepers", (s) => String(s.keepers))}
+          ${foot("Budget left for auction", (s) => `<span class="${s.budgetLeft < 0 ? "cpOver" : ""}">$${s.budgetLeft}</span>`)}
+          ${foot("Open roster spots", (s) => String(s.openSpots))}
+          ${foot("$ per open spot", (s) => (s.perSpot == null ? "—" : `$${s.perSpot.toFixed(1)}`))}
+          ${foot("Expiring after season", (s) => (s.expiring.length ? escapeHtml(s.expiring.join(", ")) : "—"))}
+        </tfoot>
+      </table>
+    </div>
+  `;
+
+  el.querySelector("#cpHorizon")?.addEventListener("change", (e) => {
+    horizon = toInt(e.target.value, DEFAULT_HORIZON);
+    renderContractPlanner(roster, containerId);
+  });
+}
@@ -0,0 +1,81 @@
+// js/contract-rules.js
+// Keeper salaries year by year under the league's escalation rules
+// (league-config.js keepers.escalation):
+// - raise: flat $ or percent added each contract year after the first
+// - extension: extra years bought past the original deal; the salary gets a
+//   one-time bump (per extension year and / or percent) when they start
+// - arbitration: from a given contract year on, salary moves part of the way
+//   toward the player's value (never down)
+//
+// A roster player's `price` is the salary they signed for (contract year 1).
+// Percent raises round up to whole dollars. Arbitration uses the player's
+// `arbValue` (stamped by Keeper Decisions from the player pool) unless a value
+// is passed in, so budget math, the roster and the Contract Planner all see
+// the same salary as Keeper Decisions.
+//
+// NOTE: storage.js imports this module (budget math), so no storage import here.
+
+import { getEscalationRules } from "./league-config.js";
+
+function toInt(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.trunc(n) : fallback;
+}
+
+/** Contract length including bought extension years. */
+export function getContractLength(player) {
+  return Math.max(1, toInt(player?.contractTotal, 1)) + Math.max(0, toInt(player?.extensionYears, 0));
+}
+
+/**
+ * Salary in a given contract year (1 = signing year).
+ * opts.value: the player's $ value, used by arbitration (defaults to the
+ * stored arbValue; arbitration is skipped when unknown).
+ */
+export function getSalaryForYear(player, year, { value = player?.arbValue ?? null, rules = getEscalationRules() } = {}) {
+  const signed = Math.max(0, toInt(player?.price, 0));
+  const originalTotal = Math.max(1, toInt(player?.contractTotal, 1));
+  const extYears = Math.max(0, toInt(player?.extensionYears, 0));
+  const { raise, extension, arbitration } = rules;
+
+  let salary = signed;
+  for (let y = 2; y <= year; y++) {
+    if (raise.type === "flat") salary += raise.amount;
+    else if (raise.type === "percent") salary = Math.ceil(salary * (1 + raise.amount / 100));
+
+    if (extYears > 0 && y === originalTotal + 1) {
+      salary += extension.per_year * extYears;
+      if (extension.percent > 0) salary = Math.ceil(salary * (1 + extension.percent / 100));
+    }
+
+    if (arbitration.after_year != null && y > arbitration.after_year && value != null && value > salary) {
+      salary = Math.round(salary + arbitration.share * (value - salary));
+    }
+  }
+  return Math.round(salary);
+}
+
+/**
+ * A keeper's contract in a season relative to the upcoming one (offset 0).
+ * Returns { year, total, salary, final, extension } or null when the deal has
+ * run out (or the player isn't under contract). `extension` marks bought years.
+ */
+export function getContractSeason(player, offset = 0, opts = {}) {
+  if (!player?.underContract) return null;
+  const total = getContractLength(player);
+  const year = Math.max(1, toInt(player.contractYear, 1)) + offset;
+  if (year > total) return null;
+
+  return {
+    year,
+    total,
+    salary: getSalaryForYear(player, year, opts),
+    final: year === total,
+    extension: year > Math.max(1, toInt(player.contractTotal, 1)),
+  };
+}
+
+/** Keeper salary owed in a season (offset 0 = upcoming auction), 0 when not kept. */
+export function getKeeperSalary(player, offset = 0, opts = {}) {
+  return getContractSeason(player, offset, opts)?.salary ?? 0;
+}
@@ -0,0 +1,211 @@
+// js/draft-log.js
+// Live Draft Log panel for the Auction Board.
+// - Nominate a player (puts them "on the block")
+// - Record the winning team + price
+// - Undo the last entry / clear the log
+// Every number downstream (Live $, budget, recommendations) replays this log.
+// In a draft room (draft-room.js) only the commissioner records; teams see a
+// read-only log that follows the room.
+
+import {
+  getDraftLog,
+  replayDraftLog,
+  recordNomination,
+  recordSale,
+  undoLastDraftEvent,
+  clearDraftLog,
+  getLeagueTeams,
+  resolveLeagueTeamId,
+} from "./storage.js";
+import { normalizeName, getPlayerKey } from "./player-key.js";
+import { DRAFT_ROOM_EVENT, isDraftRoomReadOnly } from "./draft-room.js";
+import { escapeHtml } from "./helpers.js";
+
+const MAX_ROWS = 40;
+
+let _byName = new Map();
+let _onChange = () => {};
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function money(n) {
+  return `$${Math.max(0, Math.round(num(n)))}`;
+}
+
+function getPlayerName(p) {
+  return String(p?.Name ?? p?.player ?? p?.name ?? "").trim();
+}
+
+function buildIndex(players) {
+  _byName = new Map();
+  for (const p of players || []) {
+    const n = normalizeName(getPlayerName(p));
+    if (!n) continue;
+    // Same-name rows (Ohtani): one auction decision, prefer the hitter row.
+    const cur = _byName.get(n);
+    if (!cur || (String(cur.type).toLowerCase() === "pit" && String(p.type).toLowerCase() !== "pit")) {
+      _byName.set(n, p);
+    }
+  }
+}
+
+function resolvePlayer(name) {
+  const clean = String(name ?? "").split("—")[0].trim();
+  if (!clean) return null;
+
+  const p = _byName.get(normalizeName(clean));
+  const type = String(p?.type ?? "hit").toLowerCase() === "pit" ? "pit" : "hit";
+  const display = p ? getPlayerName(p) : clean;
+
+  return {
+    player_key: String(p?.player_key || getPlayerKey({ type, Name: display }) || ""),
+    name: display,
+    type,
+    pos: String(p?.POS ?? p?.pos ?? ""),
+  };
+}
+
+// Sales store a league team id; logs from before League Teams may hold a typed name.
+export function teamLabel(team, teams = getLeagueTeams()) {
+  const t = String(team ?? "").trim();
+  const id = resolveLeagueTeamId(t, teams);
+  const hit = id ? teams.find((x) => x.id === id) : null;
+  return hit ? hit.name : (t || "—");
+}
+
+function formatTime(ts) {
+  if (!ts) return "";
+  try {
+    return new Date(ts).toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+  } catch {
+    return "";
+  }
+}
+
+function populateTeamSelect(teams) {
+  const sel = document.getElementById("draftTeam");
+  if (!sel) return;
+
+  const cur = sel.value;
+  sel.innerHTML = [
+    `<option value="">— team —</option>`,
+    ...teams.map((t) => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`),
+  ].join("");
+  if (teams.some((t) => t.id === cur)) sel.value = cur;
+}
+
+function eventText(e, teams) {
+  const name = escapeHtml(e.name || e.player_key);
+  if (e.kind === "nominate") {
+    const by = e.team ? ` by ${escapeHtml(teamLabel(e.team, teams))}` : "";
+    return `Nominated <strong>${name}</strong>${by}`;
+  }
+  if (e.kind === "void") return `Voided sale of <strong>${name}</strong>`;
+  return `<strong>${name}</strong> → ${escapeHtml(teamLabel(e.team, teams))} <strong>${money(e.price)}</strong>`;
+}
+
+function render() {
+  const list = document.getElementById("draftLogList");
+  const block = document.getElementById("draftOnBlock");
+  const meta = document.getElementById("draftLogMeta");
+
+  const log = getDraftLog();
+  const { order, onBlock } = replayDraftLog(log);
+  const teams = getLeagueTeams();
+
+  populateTeamSelect(teams);
+
+  const readOnly = isDraftRoomReadOnly();
+  for (const id of ["draftNominate", "draftSell", "draftUndo", "draftClear", "draftPlayer", "draftTeam", "draftPrice"]) {
+    const ctl = document.getElementById(id);
+    if (ctl) ctl.disabled = readOnly;
+  }
+
+  if (block) block.textContent = onBlock ? onBlock.name || onBlock.player_key : "—";
+
+  if (meta) {
+    const spent = order.reduce((sum, s) => sum + s.price, 0);
+    meta.textContent = order.length ? `Sold: ${order.length} • Spent: ${money(spent)}` : "";
+  }
+
+  if (!list) return;
+
+  if (!log.length) {
+    list.innerHTML = `<div class="small" style="opacity:.75;">No picks yet. Nominate a player, then record the winning bid.</div>`;
+    return;
+  }
+
+  list.innerHTML = log
+    .slice(-MAX_ROWS)
+    .reverse()
+    .map((e) => `
+      <div class="draftLogRow draftLog-${e.kind}">
+        <span class="draftLogSeq">#${e.seq}</span>
+        <span class="draftLogText">${eventText(e, teams)}</span>
+        <span class="draftLogTime small">${escapeHtml(formatTime(e.ts))}</span>
+      </div>
+    `)
+    .join("");
+}
+
+function changed() {
+  render();
+  _onChange();
+}
+
+export function initDraftLog(players, { onChange } = {}) {
+  buildIndex(players);
+  if (typeof onChange === "function") _onChange = onChange;
+
+  const input = document.getElementById("draftPlayer");
+  const team = document.getElementById("draftTeam");
+  const price = document.getElementById("draftPrice");
+
+  document.getElementById("draftNominate")?.addEventListener("click", () => {
+    const p = resolvePlayer(input?.value);
+    if (!p) return;
+    recordNomination(p, team?.value ?? "");
+    changed();
+  });
+
+  document.getElementById("draftSell")?.addEventListener("click", () => {
+    // Empty player box = sell whoever is on the block.
+    const p = resolvePlayer(input?.value) || replayDraftLog().onBlock;
+    const dollars = num(price?.value, 0);
+    if (!p || dollars <= 0) return;
+
+    recordSale(p, team?.value ?? "", dollars);
+    if (input) input.value = "";
+    if (price) price.value = "";
+    changed();
+  });
+
+  price?.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    document.getElementById("draftSell")?.click();
+  });
+
+  document.getElementById("draftUndo")?.addEventListener("click", () => {
+    undoLastDraftEvent();
+    changed();
+  });
+
+  document.getElementById("draftClear")?.addEventListener("click", () => {
+    if (!window.confirm("Clear the whole draft log?")) return;
+    clearDraftLog();
+    changed();
+  });
+
+  // Joining / leaving a room or changing role flips the controls.
+  window.addEventListener(DRAFT_ROOM_EVENT, () => render());
+
+  render();
+}
+
+export function refreshDraftLog() {
+  render();
+}
@@ -0,0 +1,415 @@
+// js/draft-room.js
+// Browser side of the local draft room (tools/draft-room.mjs). When the page
+// was opened from the room link (?room, plus &commish=KEY for the
+// commissioner), this tab joins the room's WebSocket and keeps its draft log
+// and league teams in step with everyone else:
+//
+// - commissioner: records picks on the Auction Board as usual; every change
+//   to the draft log (this tab, other tabs, undo / redo) is pushed to the room.
+// - teams: the room's log replaces the local one and the page repaints through
+//   the usual live-sync topics (draft / settings), so rosters, budgets and the
+//   remaining pool follow the room. The Draft Log controls are read-only.
+//
+// Sales name league team ids from the commissioner's league ("me" = the
+// commissioner's team). A team claims its id in the room; locally that id
+// and "me" swap places, so "my team" is the claimed team everywhere.
+//
+// The room settings (hag_room_v1) are per browser, not per workspace.
+
+import {
+  MY_TEAM_ID,
+  load,
+  save,
+  getDraftLog,
+  setDraftLog,
+  getLeagueTeams,
+  setLeagueTeams,
+  recalcBudgetRemaining,
+  transaction,
+} from "./storage.js";
+import { STORAGE_SYNC_EVENT, onTransaction } from "./storage-adapter.js";
+import { scopedKey } from "./workspaces.js";
+import { onLiveSync } from "./live-sync.js";
+import { escapeHtml } from "./helpers.js";
+
+const ROOM_KEY = "hag_room_v1";
+const WS_PATH = "/room";
+const RETRY_MS = [1000, 2000, 5000, 10000];
+const PUSH_DELAY_MS = 150;
+
+export const DRAFT_ROOM_EVENT = "hag:draft-room";
+
+let _ws = null;
+let _status = "offline"; // offline | connecting | online
+let _role = null;        // commissioner | team
+let _clients = [];
+let _roomTeams = [];
+let _lastServerLog = null;
+let _lastState = null;
+let _error = "";
+let _retry = 0;
+let _retryTimer = null;
+let _pushTimer = null;
+let _started = false;
+
+/**
+ * Room settings shape:
+ * { enabled: boolean, key: string | null, team: string | null }
+ */
+function loadRoom() {
+  const raw = load(ROOM_KEY, null);
+  return {
+    enabled: !!raw?.enabled,
+    key: raw?.key ? String(raw.key) : null,
+    team: raw?.team ? String(raw.team) : null,
+  };
+}
+
+function saveRoom(next) {
+  save(ROOM_KEY, { ...loadRoom(), ...next });
+}
+
+function notify() {
+  try {
+    window.dispatchEvent(new CustomEvent(DRAFT_ROOM_EVENT, { detail: getDraftRoomStatus() }));
+  } catch {
+    // non-browser context
+  }
+}
+
+// The claimed team and "me" trade places (the swap is its own inverse).
+function mapTeamId(id, claimed) {
+  if (!claimed || claimed === MY_TEAM_ID) return id;
+  if (id === claimed) return MY_TEAM_ID;
+  if (id === MY_TEAM_ID) return claimed;
+  return id;
+}
+
+function mapLog(log, claimed) {
+  return (log || []).map((e) => ({ ...e, team: mapTeamId(e.team, claimed) }));
+}
+
+function mapTeams(teams, claimed) {
+  const out = (teams || []).map((t) => ({ ...t, id: mapTeamId(t.id, claimed) }));
+  // storage.js keeps our team first
+  return [...out.filter((t) => t.id === MY_TEAM_ID), ...out.filter((t) => t.id !== MY_TEAM_ID)];
+}
+
+function logSignature(log) {
+  return JSON.stringify((log || []).map((e) => [e.id, e.kind, e.player_key, e.team, e.price]));
+}
+
+function send(msg) {
+  if (_ws?.readyState === 1) _ws.send(JSON.stringify(msg));
+}
+
+/* ------------------------------ Sync ------------------------------ */
+
+// Team side: write the room's state into this browser and repaint.
+function applyRoomState(msg) {
+  const claimed = _role === "team" ? loadRoom().team : null;
+  const log = mapLog(msg.log, claimed);
+  const teams = mapTeams(msg.teams, claimed);
+  _roomTeams = Array.isArray(msg.teams) ? msg.teams : [];
+
+  if (logSignature(log) === logSignature(getDraftLog()) &&
+    JSON.stringify(teams) === JSON.stringify(getLeagueTeams())) return;
+
+  transaction(() => {
+    if (teams.length) setLeagueTeams(teams);
+    setDraftLog(log);
+    recalcBudgetRemaining();
+  });
+
+  const keys = ["hag_draft_log_v1", "hag_league_teams_v1", "hag_settings"].map((k) => scopedKey(k));
+  try {
+    window.dispatchEvent(new CustomEvent(STORAGE_SYNC_EVENT, { detail: { keys, source: "room" } }));
+  } catch {
+    // non-browser context
+  }
+}
+
+// Commissioner side: push the local log when it differs from the room's.
+function pushIfChanged() {
+  _pushTimer = null;
+  if (_role !== "commissioner" || _status !== "online") return;
+  const log = getDraftLog();
+  if (_lastServerLog != null && logSignature(log) === _lastServerLog) return;
+  send({ type: "state", log, teams: getLeagueTeams() });
+}
+
+function schedulePush() {
+  if (_role !== "commissioner" || _pushTimer) return;
+  _pushTimer = setTimeout(pushIfChanged, PUSH_DELAY_MS);
+}
+
+function onMessage(msg) {
+  if (msg?.type === "welcome") {
+    _role = msg.role === "commissioner" ? "commissioner" : "team";
+    _status = "online";
+    _error = "";
+    _retry = 0;
+  } else if (msg?.type === "state") {
+    const first = _lastServerLog == null;
+    _lastState = msg;
+    _roomTeams = Array.isArray(msg.teams) ? msg.teams : [];
+    if (_role === "commissioner") {
+      // A fresh room takes the commissioner's log; after that the room's copy
+      // is what everyone sees, and local edits are pushed back up.
+      const empty = !(msg.log || []).length;
+      if (first && empty) {
+        _lastServerLog = logSignature([]);
+        schedulePush();
+      } else {
+        _lastServerLog = logSignature(msg.log);
+        if (first) applyRoomState(msg);
+        else schedulePush();
+      }
+    } else {
+      _lastServerLog = logSignature(msg.log);
+      applyRoomState(msg);
+    }
+  } else if (msg?.type === "presence") {
+    _clients = Array.isArray(msg.clients) ? msg.clients : [];
+  } else if (msg?.type === "error") {
+    _error = String(msg.message || "Room error");
+    console.warn("[ROOM]", _error);
+  }
+  notify();
+}
+
+/* ------------------------------ Connection ------------------------------ */
+
+function roomUrl() {
+  const proto = window.location.protocol === "https:" ? "wss:" : "ws:";
+  return `${proto}//${window.location.host}${WS_PATH}`;
+}
+
+function connect() {
+  if (_ws || !loadRoom().enabled) return;
+  if (!/^https?:$/.test(window.location.protocol) || typeof WebSocket === "undefined") {
+    _error = "Open the toolkit from the draft room server to join.";
+    notify();
+    return;
+  }
+
+  _status = "connecting";
+  _lastServerLog = null;
+  notify();
+
+  let ws;
+  try {
+    ws = new WebSocket(roomUrl());
+  } catch (e) {
+    _error = e.message;
+    scheduleReconnect();
+    return;
+  }
+  _ws = ws;
+
+  ws.addEventListener("open", () => {
+    const room = loadRoom();
+    send({ type: "hello", key: room.key, team: room.team });
+  });
+  ws.addEventListener("message", (e) => {
+    try {
+      onMessage(JSON.parse(e.data));
+    } catch (err) {
+      console.warn("[ROOM] bad message", err);
+    }
+  });
+  ws.addEventListener("close", () => {
+    if (_ws !== ws) return;
+    _ws = null;
+    _status = "offline";
+    _role = null;
+    _clients = [];
+    notify();
+    scheduleReconnect();
+  });
+}
+
+function scheduleReconnect() {
+  if (_retryTimer || !loadRoom().enabled) return;
+  const wait = RETRY_MS[Math.min(_retry, RETRY_MS.length - 1)];
+  _retry += 1;
+  _retryTimer = setTimeout(() => {
+    _retryTimer = null;
+    connect();
+  }, wait);
+}
+
+function disconnect() {
+  clearTimeout(_retryTimer);
+  _retryTimer = null;
+  const ws = _ws;
+  _ws = null;
+  _status = "offline";
+  _role = null;
+  _clients = [];
+  try {
+    ws?.close();
+  } catch {
+    // already closed
+  }
+  notify();
+}
+
+/** Join the room (key = commissioner key, if any). */
+export function joinDraftRoom({ key = undefined } = {}) {
+  saveRoom({ enabled: true, ...(key !== undefined ? { key } : {}) });
+  disconnect();
+  connect();
+}
+
+export function leaveDraftRoom() {
+  saveRoom({ enabled: false });
+  disconnect();
+}
+
+/** Claim a league team (room ids); the room's copy is re-applied with it as "me". */
+export function claimDraftRoomTeam(teamId) {
+  saveRoom({ team: teamId || null });
+  send({ type: "hello", key: loadRoom().key, team: teamId || null });
+}
+
+/**
+ * { enabled, status, role, team, teams: [room teams], clients: [{ id, role, team }], error }
+ */
+export function getDraftRoomStatus() {
+  const room = loadRoom();
+  return {
+    enabled: room.enabled,
+    status: _status,
+    role: _role,
+    team: room.team,
+    teams: _roomTeams,
+    clients: _clients,
+    error: _error,
+  };
+}
+
+/** True when this tab follows a room it can't write to (Draft Log is read-only). */
+export function isDraftRoomReadOnly() {
+  return _status === "online" && _role === "team";
+}
+
+/**
+ * Pick up ?room / ?commish=KEY from the URL and connect when enabled.
+ * Safe to call on every page; only the first call does anything.
+ */
+export function startDraftRoom() {
+  if (_started) return;
+  _started = true;
+
+  try {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has("room") || params.has("commish")) {
+      saveRoom({ enabled: true, key: params.get("commish") || null });
+    }
+    // The key is saved now; keep it out of the address bar, bookmarks and screen shares.
+    if (params.has("commish")) {
+      params.delete("commish");
+      const query = params.toString();
+      window.history.replaceState(window.history.state, "", `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`);
+    }
+  } catch {
+    // no URL
+  }
+
+  // Commissioner: local picks (labelled draft log edits), other tabs and undo / redo.
+  // Team: a local pick can't stick, so put the room's log back.
+  onTransaction(({ changes }) => {
+    if (!changes.some((c) => String(c.key).split("@")[0] === "hag_draft_log_v1")) return;
+    if (isDraftRoomReadOnly() && _lastState) {
+      console.warn("[ROOM] only the commissioner records picks; restoring the room's draft log");
+      applyRoomState(_lastState);
+      return;
+    }
+    schedulePush();
+  });
+  onLiveSync(() => schedulePush(), { topics: ["draft"] });
+
+  connect();
+  mountDraftRoomStatus();
+  window.addEventListener(DRAFT_ROOM_EVENT, () => mountDraftRoomStatus());
+}
+
+/* ------------------------------ UI ------------------------------ */
+
+function statusText(s) {
+  if (s.status === "online") {
+    const who = s.role === "commissioner" ? "commissioner" : "team";
+    return `In draft room (${who}) • ${s.clients.length} connected`;
+  }
+  if (s.status === "connecting") return "Connecting to draft room…";
+  return "Draft room offline — retrying…";
+}
+
+/** One-line room status in the sidebar (hidden when not in a room). */
+export function mountDraftRoomStatus(containerId = "draftRoomStatus") {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+  const s = getDraftRoomStatus();
+  el.hidden = !s.enabled;
+  el.className = `sideRoom sideRoom-${s.status}`;
+  el.textContent = s.enabled ? statusText(s) : "";
+}
+
+/**
+ * Draft Room panel (Auction Board, above the Draft Log): connection status,
+ * the team this browser plays as, who's connected, join / leave.
+ */
+export function mountDraftRoomPanel(containerId = "draftRoomPanel") {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  function render() {
+    const s = getDraftRoomStatus();
+
+    if (!s.enabled) {
+      el.innerHTML = `
+        <div class="draftRoomBar">
+          <span class="small">Not in a draft room. Run <code>node tools/draft-room.mjs</code> and open the link it prints to share one board.</span>
+          <button type="button" class="ghost" data-act="join">Join room</button>
+        </div>
+      `;
+      el.querySelector("[data-act='join']")?.addEventListener("click", () => joinDraftRoom());
+      return;
+    }
+
+    const teamName = (id) => s.teams.find((t) => t.id === id)?.name || id;
+    const claimedBy = new Map(s.clients.filter((c) => c.team).map((c) => [c.team, c]));
+    const teamOptions = s.teams
+      .map((t) => `<option value="${escapeHtml(t.id)}" ${t.id === s.team ? "selected" : ""}>${escapeHtml(t.name || t.id)}${claimedBy.has(t.id) && t.id !== s.team ? " (taken)" : ""}</option>`)
+      .join("");
+
+    el.innerHTML = `
+      <div class="draftRoomBar">
+        <span class="draftRoomDot draftRoomDot-${s.status}"></span>
+        <span class="small"><strong>${escapeHtml(statusText(s))}</strong></span>
+        ${s.role === "team" ? `
+          <label class="small">Playing as
+            <select data-f="team">
+              <option value="">— pick your team —</option>
+              ${teamOptions}
+            </select>
+          </label>
+        ` : ""}
+        <button type="button" class="ghost" data-act="leave">Leave room</button>
+      </div>
+      ${s.role === "team" ? `<div class="small draftRoomNote">The commissioner records nominations and sales; this board follows the room.</div>` : ""}
+      ${s.clients.length ? `<div class="small draftRoomNote">Here: ${s.clients.map((c) => escapeHtml(c.role === "commissioner" ? "Commissioner" : c.team ? teamName(c.team) : "guest")).join(", ")}</div>` : ""}
+      ${s.error ? `<div class="small draftRoomError">${escapeHtml(s.error)}</div>` : ""}
+    `;
+
+    el.querySelector("[data-act='leave']")?.addEventListener("click", () => leaveDraftRoom());
+    el.querySelector("[data-f='team']")?.addEventListener("change", (e) => claimDraftRoomTeam(e.target.value));
+  }
+
+  if (!el.dataset.roomBound) {
+    el.dataset.roomBound = "1";
+    window.addEventListener(DRAFT_ROOM_EVENT, render);
+  }
+  render();
+}
@@ -0,0 +1,254 @@
+// js/h2h.js
+// Head-to-head categories: weekly matchup simulation.
+// Season projections are split into weekly lines (league-config weeks), each
+// team's weekly category total gets a spread from per-player variance, and
+// simulated weeks give the chance of winning each category (and the matchup)
+// against a league-average team or a chosen opponent's roster.
+//
+// Variance model (normal approximation per team and category):
+// - counting stats: var = weekly mean × dispersion (Poisson-like, widened for
+//   streaky stats such as R / RBI / TB)
+// - rate stats: a player's weekly rate has sd = rate × cv / √(weekly volume),
+//   so part-timers swing a team's AVG / ERA less than everyday players
+
+import { MY_TEAM_ID, getSettings, getLeagueTeams, replayDraftLog, resolveLeagueTeamId } from "./storage.js";
+import { getLeagueCategories, getSeasonWeeks } from "./league-config.js";
+import { getCategoryStat } from "./categories.js";
+import { computeEngineValues } from "./valuation.js";
+
+const SIMS = 2000;
+const SEED = 20260;
+
+// Weekly variance ÷ mean for counting stats (default 1.3).
+const COUNT_DISPERSION = {
+  R: 1.6, RBI: 1.7, TB: 2.3, HR: 1.2, SB: 1.5, H: 1.0, BB: 1.0,
+  IP: 0.6, QS: 0.5, K: 1.3, W: 0.7, SV: 1.1, HLD: 1.1, SVH: 1.1,
+};
+
+// Weekly rate spread per √(volume), relative to the rate (default 1.5).
+const RATE_CV = {
+  AVG: 1.8, OBP: 1.5, SLG: 2.6, OPS: 1.9, ERA: 2.1, WHIP: 1.0, "K/9": 1.0,
+};
+
+const VOLUME = { hit: "PA", pit: "IP" };
+
+function num(v, fallback = 0) {
+  if (v == null || v === "") return fallback;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Small seeded PRNG so the panel doesn't flicker between renders.
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalSampler(rand) {
+  let spare = null;
+  return () => {
+    if (spare != null) {
+      const s = spare;
+      spare = null;
+      return s;
+    }
+    let u = 0;
+    while (u === 0) u = rand();
+    const v = rand();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return r * Math.cos(2 * Math.PI * v);
+  };
+}
+
+/* ------------------------------ Weekly lines ------------------------------ */
+
+// Running sums for one team: counting stats add means + variances; rate stats
+// keep volume, rate × volume and rate² × volume (for the variance term).
+function emptyLine() {
+  return Object.fromEntries(getLeagueCategories().map((c) => [c.id, { mean: 0, vari: 0, vol: 0, rv: 0, r2v: 0 }]));
+}
+
+function addPlayer(line, player, weeks) {
+  for (const cat of getLeagueCategories()) {
+    const vol = getCategoryStat(player, VOLUME[cat.side]);
+    if (vol == null || vol <= 0) continue;
+
+    const v = getCategoryStat(player, cat);
+    if (v == null) continue;
+    const acc = line[cat.id];
+
+    if (cat.kind === "rate") {
+      const w = (cat.volume === VOLUME[cat.side] ? vol : num(getCategoryStat(player, cat.volume))) / weeks;
+      if (w <= 0) continue;
+      acc.vol += w;
+      acc.rv += v * w;
+      acc.r2v += v * v * w;
+    } else {
+      const m = v / weeks;
+      acc.mean += m;
+      acc.vari += Math.abs(m) * (COUNT_DISPERSION[cat.id] ?? 1.3);
+    }
+  }
+}
+
+/** Weekly line for a set of players: { [catId]: { mean, sd } | null } (null = no volume). */
+export function buildWeeklyLine(players, { weeks = getSeasonWeeks(), share = 1 } = {}) {
+  const line = emptyLine();
+  for (const p of players || []) addPlayer(line, p, weeks);
+
+  // share < 1 turns a pooled line into one team's slice of it (league average).
+  const out = {};
+  for (const cat of getLeagueCategories()) {
+    const a = line[cat.id];
+    if (cat.kind === "rate") {
+      const vol = a.vol * share;
+      if (vol <= 0) {
+        out[cat.id] = null;
+        continue;
+      }
+      const cv = RATE_CV[cat.id] ?? 1.5;
+      out[cat.id] = {
+        mean: a.rv / a.vol,
+        sd: Math.sqrt((cv * cv * a.r2v * share) / (vol * vol)),
+      };
+    } else {
+      out[cat.id] = { mean: a.mean * share, sd: Math.sqrt(a.vari * share) };
+    }
+  }
+  return out;
+}
+
+/* ------------------------------ Opponents ------------------------------ */
+
+const _enginePool = new WeakMap();
+function engineFor(players) {
+  if (!_enginePool.has(players)) {
+    let byPlayer = new Map();
+    try {
+      byPlayer = computeEngineValues(players).byPlayer;
+    } catch (e) {
+      console.warn("[H2H] engine values failed", e);
+    }
+    _enginePool.set(players, byPlayer);
+  }
+  return _enginePool.get(players);
+}
+
+/**
+ * League-average opponent: the top (teams × roster spots) players on each
+ * side by engine value, pooled and split evenly across the league.
+ */
+export function leagueAverageLine(players, settings = getSettings()) {
+  const teams = Math.max(1, Math.round(num(settings?.teams_total, 14)));
+  const spots = {
+    hit: Math.max(0, Math.round(num(settings?.hitter_slots_total, 14))),
+    pit: Math.max(0, Math.round(num(settings?.pitcher_slots_total, 9))),
+  };
+  const byPlayer = engineFor(players || []);
+
+  const pool = new Set();
+  for (const side of ["hit", "pit"]) {
+    [...(players || [])]
+      .filter((p) => byPlayer.get(p)?.[side])
+      .sort((a, b) => byPlayer.get(b)[side].total - byPlayer.get(a)[side].total)
+      .slice(0, teams * spots[side])
+      .forEach((p) => pool.add(p));
+  }
+
+  return buildWeeklyLine([...pool], { share: 1 / teams });
+}
+
+/** Opponents to pick from: every league team but ours, with their drafted players. */
+export function listOpponents(players) {
+  const teams = getLeagueTeams();
+  const byKey = new Map((players || []).map((p) => [String(p.player_key || ""), p]));
+  const { order } = replayDraftLog();
+
+  const rosters = new Map(teams.map((t) => [t.id, []]));
+  for (const s of order) {
+    const id = resolveLeagueTeamId(s.team, teams);
+    const p = byKey.get(s.player_key);
+    if (id && p) rosters.get(id).push(p);
+  }
+
+  return teams
+    .filter((t) => t.id !== MY_TEAM_ID)
+    .map((t) => ({ id: t.id, name: t.name, players: rosters.get(t.id) || [] }));
+}
+
+/* ------------------------------ Simulation ------------------------------ */
+
+function round(v, decimals) {
+  const f = 10 ** decimals;
+  return Math.round(v * f) / f;
+}
+
+/**
+ * Simulate weekly matchups between two weekly lines.
+ * Returns { cats: { [id]: { win, tie, loss } }, matchup: { win, tie, loss }, expectedCats }
+ * Categories are compared at display precision, so close weeks can tie.
+ */
+export function simulateMatchup(mine, theirs, { sims = SIMS, seed = SEED } = {}) {
+  const cats = getLeagueCategories();
+  const normal = normalSampler(mulberry32(seed));
+
+  const tally = Object.fromEntries(cats.map((c) => [c.id, { win: 0, tie: 0, loss: 0 }]));
+  const matchup = { win: 0, tie: 0, loss: 0 };
+  let catsWon = 0;
+
+  for (let s = 0; s < sims; s++) {
+    let won = 0;
+    let lost = 0;
+
+    for (const c of cats) {
+      const a = mine[c.id];
+      const b = theirs[c.id];
+      let cmp = 0;
+
+      if (a && b) {
+        // Counting stats can't go below zero in a week.
+        const floor = c.kind === "rate" ? -Infinity : 0;
+        const x = round(Math.max(floor, a.mean + a.sd * normal()), c.decimals);
+        const y = round(Math.max(floor, b.mean + b.sd * normal()), c.decimals);
+        cmp = x === y ? 0 : ((x > y) === (c.direction !== "lower") ? 1 : -1);
+      } else if (a || b) {
+        // A team with no volume in a rate category forfeits it.
+        cmp = a ? 1 : -1;
+      }
+
+      if (cmp > 0) {
+        tally[c.id].win++;
+        won++;
+      } else if (cmp < 0) {
+        tally[c.id].loss++;
+        lost++;
+      } else {
+        tally[c.id].tie++;
+      }
+    }
+
+    catsWon += won + (cats.length - won - lost) / 2;
+    if (won > lost) matchup.win++;
+    else if (won < lost) matchup.loss++;
+    else matchup.tie++;
+  }
+
+  const share = (t) => ({ win: t.win / sims, tie: t.tie / sims, loss: t.loss / sims });
+  return {
+    cats: Object.fromEntries(cats.map((c) => [c.id, share(tally[c.id])])),
+    matchup: share(matchup),
+    expectedCats: catsWon / sims,
+  };
+}
+
+/** Win probability with ties counted as half a win. */
+export function winShare(r) {
+  return r ? r.win + r.tie / 2 : null;
+}
@@ -0,0 +1,42 @@
+// js/helpers.js
+// Small helpers shared by the panels: number / money formatting, HTML
+// escaping and reading a player's name, type, position and key from either a
+// CSV row (Name / Type / POS) or a stored entry (name / type / pos).
+
+import { getPlayerKey } from "./player-key.js";
+
+export function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/** Whole dollars, never negative: "$12". */
+export function money(n) {
+  return `$${Math.max(0, Math.round(num(n)))}`;
+}
+
+export function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export function normType(t) {
+  return String(t ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit";
+}
+
+export function playerName(p) {
+  return String(p?.Name ?? p?.name ?? p?.player ?? "").trim();
+}
+
+export function playerPos(p) {
+  return String(p?.POS ?? p?.pos ?? "").trim();
+}
+
+/** Stored player_key if present, else type + name (player-key.js). */
+export function playerKey(p) {
+  return String(p?.player_key || getPlayerKey({ Type: normType(p?.type ?? p?.Type), Name: playerName(p) }) || "");
+}
@@ -0,0 +1,289 @@
+// js/history.js
+// Undo / redo for the edits that are easy to get wrong mid-auction: target
+// add / edit / remove, roster edits, live prices (draft log) and lineup
+// planner slot changes.
+//
+// Every labelled storage transaction (storage.js / roster-page.js pass a
+// label like "Sale: Juan Soto $42") becomes one history entry holding what
+// changed in each tracked key it touched. List keys (targets, roster, draft
+// log) keep only the splice between before and after, so a sale costs one
+// event rather than two copies of the log; other keys keep the raw before /
+// after value. Undo puts the "before" side back, redo the "after" side; the
+// budget is recalculated afterwards rather than restored, so it always
+// matches the data.
+//
+// The stack is saved per workspace (hag_history_v1), so a reload mid-auction
+// can still undo. It keeps MAX_ENTRIES entries and at most MAX_SIZE characters
+// per side. Entry shape:
+// { id, label, ts, changes: [change] }
+// change: { key: "<base key>", at, removed: [...], added: [...], len }   // list splice; len = length after
+//       | { key: "<base key>", prev: raw | null, next: raw | null }
+
+import { STORAGE_SYNC_EVENT, onTransaction, readRaw, writeRaw, readJSON, writeJSON, transaction } from "./storage-adapter.js";
+import { recalcBudgetRemaining } from "./storage.js";
+import { scopedKey } from "./workspaces.js";
+import { onLiveSync } from "./live-sync.js";
+import { escapeHtml } from "./helpers.js";
+
+const HISTORY_KEY = "hag_history_v1";
+const MAX_ENTRIES = 30;
+const MAX_SIZE = 256 * 1024;
+const PANEL_ENTRIES = 8;
+
+export const HISTORY_EVENT = "hag:history-changed";
+
+// Keys an entry can restore. hag_settings is left out on purpose: only its
+// budget_remaining changes with these edits, and that is recalculated.
+const TRACKED_KEYS = new Set([
+  "hag_auction_targets_v1",
+  "hag_roster_v1",
+  "hag_draft_log_v1",
+  "hag_lineup_planner_v1",
+]);
+
+function loadHistory() {
+  const raw = readJSON(scopedKey(HISTORY_KEY), null);
+  return {
+    undo: Array.isArray(raw?.undo) ? raw.undo : [],
+    redo: Array.isArray(raw?.redo) ? raw.redo : [],
+  };
+}
+
+// Newest entries that fit; the latest one is kept even when it alone is over.
+function capEntries(entries) {
+  const out = entries.slice(-MAX_ENTRIES);
+  let size = out.reduce((n, e) => n + JSON.stringify(e).length, 0);
+  while (out.length > 1 && size > MAX_SIZE) size -= JSON.stringify(out.shift()).length;
+  return out;
+}
+
+function saveHistory(h) {
+  writeJSON(scopedKey(HISTORY_KEY), { undo: capEntries(h.undo), redo: capEntries(h.redo) });
+  try {
+    window.dispatchEvent(new CustomEvent(HISTORY_EVENT));
+  } catch {
+    // non-browser context
+  }
+}
+
+function parseRaw(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+// Lists become the splice that turns prev into next; anything else stays raw.
+function diffChange(key, prev, next) {
+  const a = parseRaw(prev);
+  const b = parseRaw(next);
+  if (!Array.isArray(a) || !Array.isArray(b)) return { key, prev, next };
+
+  const sa = a.map((v) => JSON.stringify(v));
+  const sb = b.map((v) => JSON.stringify(v));
+  let at = 0;
+  while (at < sa.length && at < sb.length && sa[at] === sb[at]) at += 1;
+  let tail = 0;
+  while (tail < sa.length - at && tail < sb.length - at && sa[sa.length - 1 - tail] === sb[sb.length - 1 - tail]) tail += 1;
+
+  return { key, at, removed: a.slice(at, a.length - tail), added: b.slice(at, b.length - tail), len: b.length };
+}
+
+// Raw value of one side of a change. A splice is replayed on the stored list,
+// which has to still look like the other side; undefined when it doesn't
+// (the list was changed outside history, e.g. by an unlabelled write).
+function sideRaw(c, side) {
+  if (!("at" in c)) return c[side];
+
+  const cur = readJSON(scopedKey(c.key), null);
+  const [put, take] = side === "prev" ? [c.removed, c.added] : [c.added, c.removed];
+  const len = side === "prev" ? c.len : c.len - c.added.length + c.removed.length;
+  if (!Array.isArray(cur) || cur.length !== len) return undefined;
+  if (JSON.stringify(cur.slice(c.at, c.at + take.length)) !== JSON.stringify(take)) return undefined;
+
+  const out = [...cur];
+  out.splice(c.at, take.length, ...put);
+  return JSON.stringify(out);
+}
+
+// Record each labelled transaction that touched a tracked key of this workspace.
+onTransaction(({ label, changes }) => {
+  const tracked = [];
+  for (const c of changes) {
+    const base = String(c.key).split("@")[0];
+    if (!TRACKED_KEYS.has(base) || scopedKey(base) !== c.key) continue;
+    if (c.prev === c.next) continue;
+    tracked.push(diffChange(base, c.prev, c.next));
+  }
+  if (!tracked.length) return;
+
+  const h = loadHistory();
+  h.undo.push({
+    id: `h_${Date.now()}_${Math.random().toString(16).slice(2, 8)}`,
+    label: String(label),
+    ts: Date.now(),
+    changes: tracked,
+  });
+  h.redo = [];
+  saveHistory(h);
+});
+
+// Write one side of an entry back and let the page (and other tabs) repaint.
+// Returns false (and writes nothing) when the entry no longer applies.
+function applyEntry(entry, side) {
+  const writes = [];
+  for (const c of entry.changes || []) {
+    if (!TRACKED_KEYS.has(c.key)) continue;
+    const raw = sideRaw(c, side);
+    if (raw === undefined) {
+      console.warn(`[HISTORY] ${c.key} changed since "${entry.label}"; dropping it from history`);
+      return false;
+    }
+    writes.push([scopedKey(c.key), raw]);
+  }
+
+  const keys = writes.map(([k]) => k);
+  transaction(() => {
+    for (const [k, raw] of writes) writeRaw(k, raw);
+    recalcBudgetRemaining();
+  });
+
+  keys.push(scopedKey("hag_settings"));
+  try {
+    window.dispatchEvent(new CustomEvent(STORAGE_SYNC_EVENT, { detail: { keys, source: "history" } }));
+  } catch {
+    // non-browser context
+  }
+  return true;
+}
+
+/** { undo: [entries, oldest first], redo: [entries, oldest first] } */
+export function getHistory() {
+  return loadHistory();
+}
+
+export function canUndo() {
+  return loadHistory().undo.length > 0;
+}
+
+export function canRedo() {
+  return loadHistory().redo.length > 0;
+}
+
+/** Undo the latest entry. Returns it (null when there's nothing to undo, or it no longer applies). */
+export function undo() {
+  const h = loadHistory();
+  const entry = h.undo.pop();
+  if (!entry) return null;
+  const applied = applyEntry(entry, "prev");
+  if (applied) h.redo.push(entry);
+  saveHistory(h);
+  return applied ? entry : null;
+}
+
+/** Redo the most recently undone entry. Returns it (null when there's nothing to redo, or it no longer applies). */
+export function redo() {
+  const h = loadHistory();
+  const entry = h.redo.pop();
+  if (!entry) return null;
+  const applied = applyEntry(entry, "next");
+  if (applied) h.undo.push(entry);
+  saveHistory(h);
+  return applied ? entry : null;
+}
+
+/** Undo every entry back to and including `id`. Returns how many were undone. */
+export function undoTo(id) {
+  const h = loadHistory();
+  const idx = h.undo.findIndex((e) => e.id === id);
+  if (idx === -1) return 0;
+  let n = 0;
+  while (loadHistory().undo.length > idx && undo()) n += 1;
+  return n;
+}
+
+export function clearHistory() {
+  saveHistory({ undo: [], redo: [] });
+}
+
+/* ------------------------------ Keyboard ------------------------------ */
+
+function isTypingTarget(el) {
+  if (!el) return false;
+  const tag = String(el.tagName || "").toLowerCase();
+  return tag === "input" || tag === "textarea" || tag === "select" || !!el.isContentEditable;
+}
+
+// Ctrl/Cmd+Z undo; Ctrl/Cmd+Shift+Z or Ctrl+Y redo. Text fields keep their
+// own undo.
+try {
+  window.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || isTypingTarget(e.target)) return;
+    const key = String(e.key || "").toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      if (undo()) e.preventDefault();
+    } else if ((key === "z" && e.shiftKey) || (key === "y" && !e.metaKey)) {
+      if (redo()) e.preventDefault();
+    }
+  });
+} catch {
+  // non-browser context
+}
+
+/* ------------------------------ Panel ------------------------------ */
+
+function timeLabel(ts) {
+  const d = new Date(Number(ts) || 0);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+}
+
+/**
+ * History list in the sidebar: Undo / Redo buttons and the latest changes.
+ * Clicking an entry undoes everything back to (and including) it.
+ */
+export function mountHistoryPanel(containerId = "historyPanel") {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  function render() {
+    const h = loadHistory();
+    const recent = h.undo.slice(-PANEL_ENTRIES).reverse();
+    const nextRedo = h.redo[h.redo.length - 1];
+
+    el.innerHTML = `
+      <div class="sideHistoryLabel">History</div>
+      <div class="sideHistoryActions">
+        <button type="button" data-act="undo" ${h.undo.length ? "" : "disabled"} title="Undo (Ctrl+Z)">Undo</button>
+        <button type="button" data-act="redo" ${h.redo.length ? "" : "disabled"} title="${nextRedo ? `Redo: ${escapeHtml(nextRedo.label)}` : "Redo"} (Ctrl+Shift+Z)">Redo</button>
+      </div>
+      ${recent.length
+        ? `<ol class="sideHistoryList">
+            ${recent.map((e) => `
+              <li><button type="button" class="sideHistoryItem" data-id="${escapeHtml(e.id)}" title="Undo back to here">
+                <span>${escapeHtml(e.label)}</span><span class="sideHistoryTime">${escapeHtml(timeLabel(e.ts))}</span>
+              </button></li>
+            `).join("")}
+          </ol>`
+        : `<div class="sideHistoryEmpty">No changes yet.</div>`}
+    `;
+
+    el.querySelector("[data-act='undo']")?.addEventListener("click", () => undo());
+    el.querySelector("[data-act='redo']")?.addEventListener("click", () => redo());
+    el.querySelectorAll(".sideHistoryItem").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const entry = h.undo.find((e) => e.id === btn.dataset.id);
+        const n = h.undo.length - h.undo.indexOf(entry);
+        if (!entry || (n > 1 && !window.confirm(`Undo the last ${n} changes, back to "${entry.label}"?`))) return;
+        undoTo(entry.id);
+      });
+    });
+  }
+
+  if (!el.dataset.historyBound) {
+    el.dataset.historyBound = "1";
+    window.addEventListener(HISTORY_EVENT, render);
+    onLiveSync(render, { topics: ["history"] });
+  }
+  render();
+}
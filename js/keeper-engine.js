@@ -0,0 +1,265 @@
+// js/keeper-engine.js
+// Keep vs release: surplus for every roster player under contract, and the
+// best keeper set under the league's max-keepers limit and keeper budget cap.
+//
+// Value is priced the way the Auction Board prices it: the same master.csv
+// pool with engine values stamped (valuation.js) and getBaselineVal in the
+// saved Value View (Proj / Market / SGP). Price is what the keeper costs in
+// the upcoming season under the escalation rules (contract-rules.js), with
+// arbitration measured against that same value. That value is stamped on the
+// roster (arbValue) so the budget and Contract Planner use the same salary.
+
+import { getSettings, applyLeagueConfig, getRoster, setRoster, transaction, recalcBudgetRemaining } from "./storage.js";
+import { getKeeperLimits, getLeagueConfig } from "./league-config.js";
+import { loadAuctionPlayers, getBaselineVal, normalizeValueMode, getPlayerKey, normalizeName } from "./auction-data.js";
+import { applyEngineValues } from "./valuation.js";
+import { getContractSeason } from "./contract-rules.js";
+import { escapeHtml } from "./helpers.js";
+
+const VALUE_MODE_LABELS = { proj: "Proj Anchor", market: "Market Estimate", sgp: "SGP" };
+
+let _poolPromise = null;
+
+/** Auction pool priced like the Auction Board (loaded once per page). */
+export function loadKeeperPool() {
+  if (!_poolPromise) {
+    _poolPromise = loadAuctionPlayers().then((players) => applyEngineValues(players));
+  }
+  return _poolPromise;
+}
+
+function fmtMoney(n) {
+  const v = Math.round(Number(n) || 0);
+  return v < 0 ? `-$${Math.abs(v)}` : `$${v}`;
+}
+
+function indexPool(pool) {
+  const byKey = new Map();
+  const byName = new Map();
+  for (const p of pool || []) {
+    if (p.player_key) byKey.set(p.player_key, p);
+    const nn = normalizeName(p.Name || "");
+    if (nn && !byName.has(nn)) byName.set(nn, p);
+  }
+  return { byKey, byName };
+}
+
+/**
+ * Surplus rows for roster players under contract.
+ * Each: { player, id, value, price, surplus, contract, matched }
+ * value = getBaselineVal(pool row, valueMode); price = upcoming-season salary.
+ */
+export function computeKeeperSurplus(roster, pool, { valueMode = getSettings()?.value_mode } = {}) {
+  const mode = normalizeValueMode(valueMode);
+  const { byKey, byName } = indexPool(pool);
+
+  return (roster || [])
+    .filter((r) => r?.underContract)
+    .map((r) => {
+      const key = getPlayerKey({ Type: r.type, Name: r.name });
+      const row = byKey.get(key) || byName.get(normalizeName(r.name || "")) || null;
+      const value = row ? Math.max(0, Number(getBaselineVal(row, mode)) || 0) : 0;
+      const contract = getContractSeason(r, 0, { value: row ? Math.round(value) : null });
+      const price = contract ? contract.salary : Math.max(0, Number(r.price) || 0);
+      return {
+        player: r,
+        id: r.id,
+        value,
+        price,
+        surplus: value - price,
+        contract,
+        matched: !!row,
+      };
+    });
+}
+
+/**
+ * Stamp each contract player's current value (arbValue) on the saved roster so
+ * salaries outside this panel arbitrate against it. Writes only on change;
+ * returns true when the roster was updated.
+ */
+export function syncKeeperValues(rows) {
+  const next = new Map((rows || []).map((r) => [r.id, r.matched ? Math.round(r.value) : null]));
+  const roster = getRoster();
+  if (!roster.some((p) => next.has(p.id) && next.get(p.id) !== (p.arbValue ?? null))) return false;
+
+  transaction(() => {
+    setRoster(roster.map((p) => (next.has(p.id) ? { ...p, arbValue: next.get(p.id) } : p)));
+    recalcBudgetRemaining();
+  });
+  return true;
+}
+
+/**
+ * Best keeper set: maximise total surplus with at most `maxKeepers` players
+ * and at most `budgetCap` dollars of keeper salary. Only positive-surplus
+ * players are worth keeping. Returns a Set of roster ids.
+ *
+ * Small rosters + whole-dollar prices, so an exact count × budget knapsack.
+ */
+export function recommendKeepers(rows, { maxKeepers = null, budgetCap = null } = {}) {
+  const items = (rows || []).filter((r) => r.contract && r.surplus > 0);
+  const kMax = maxKeepers == null ? items.length : Math.max(0, Math.min(maxKeepers, items.length));
+
+  if (budgetCap == null) {
+    return new Set([...items].sort((a, b) => b.surplus - a.surplus).slice(0, kMax).map((r) => r.id));
+  }
+
+  const cap = Math.max(0, Math.trunc(budgetCap));
+  const n = items.length;
+  // best[i][k][b]: best surplus from items i.. with k picks and b dollars left
+  const best = Array.from({ length: n + 1 }, () =>
+    Array.from({ length: kMax + 1 }, () => new Float64Array(cap + 1))
+  );
+
+  for (let i = n - 1; i >= 0; i--) {
+    const price = Math.round(items[i].price);
+    for (let k = 0; k <= kMax; k++) {
+      for (let b = 0; b <= cap; b++) {
+        let v = best[i + 1][k][b];
+        if (k > 0 && price <= b) v = Math.max(v, items[i].surplus + best[i + 1][k - 1][b - price]);
+        best[i][k][b] = v;
+      }
+    }
+  }
+
+  const keep = new Set();
+  let k = kMax;
+  let b = cap;
+  for (let i = 0; i < n; i++) {
+    const price = Math.round(items[i].price);
+    if (k > 0 && price <= b && best[i][k][b] !== best[i + 1][k][b]) {
+      keep.add(items[i].id);
+      k -= 1;
+      b -= price;
+    }
+  }
+  return keep;
+}
+
+/**
+ * Render the Keeper Decisions panel for the current roster.
+ * The pool loads on first call; the panel fills in once it's ready.
+ */
+export function renderKeeperDecisions(roster, containerId = "keeperDecisions") {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  loadKeeperPool()
+    .then((pool) => renderWithPool(el, roster, pool))
+    .catch((e) => {
+      console.warn("[KEEPERS] pool load failed", e);
+      el.innerHTML = `<div class="small">Couldn't load player values: ${escapeHtml(e.message)}</div>`;
+    });
+}
+
+function renderWithPool(el, roster, pool) {
+  const settings = getSettings();
+  const mode = normalizeValueMode(settings?.value_mode);
+  const limits = getKeeperLimits();
+
+  const rows = computeKeeperSurplus(roster, pool, { valueMode: mode });
+  const keep = recommendKeepers(rows, limits);
+
+  // New values change arbitrated salaries elsewhere on the page (roster, planner).
+  try {
+    if (syncKeeperValues(rows)) window.hagRefreshRoster?.();
+  } catch (e) {
+    console.warn("[KEEPERS] value sync failed", e);
+  }
+
+  const limitInputs = `
+    <div class="kdLimits">
+      <label class="small">Max keepers
+        <input type="number" id="kdMaxKeepers" min="0" step="1" value="${limits.maxKeepers ?? ""}" placeholder="none" />
+      </label>
+      <label class="small">Keeper budget cap
+        <input type="number" id="kdBudgetCap" min="0" step="1" value="${limits.budgetCap ?? ""}" placeholder="none" />
+      </label>
+    </div>
+  `;
+
+  const bindLimits = () => {
+    const onChange = () => {
+      const read = (id) => {
+        const v = String(el.querySelector(id)?.value ?? "").trim();
+        return v === "" ? null : Number(v);
+      };
+      try {
+        const cfg = getLeagueConfig();
+        applyLeagueConfig({
+          ...cfg,
+          keepers: { ...cfg.keepers, max_keepers: read("#kdMaxKeepers"), budget_cap: read("#kdBudgetCap") },
+        });
+      } catch (e) {
+        console.warn("[KEEPERS] limit save failed", e);
+      }
+      renderWithPool(el, roster, pool);
+    };
+    el.querySelector("#kdMaxKeepers")?.addEventListener("change", onChange);
+    el.querySelector("#kdBudgetCap")?.addEventListener("change", onChange);
+  };
+
+  if (!rows.length) {
+    el.innerHTML = `${limitInputs}<div class="small" style="margin-top:10px;">No players under contract. Tick "Contract?" in Your Roster to weigh keepers.</div>`;
+    bindLimits();
+    return;
+  }
+
+  rows.sort((a, b) => b.surplus - a.surplus);
+
+  const kept = rows.filter((r) => keep.has(r.id));
+  const keptSalary = kept.reduce((s, r) => s + r.price, 0);
+  const keptSurplus = kept.reduce((s, r) => s + r.surplus, 0);
+
+  const limitText = [
+    limits.maxKeepers == null ? "no keeper limit" : `max ${limits.maxKeepers} keepers`,
+    limits.budgetCap == null ? "no keeper budget cap" : `$${limits.budgetCap} keeper budget`,
+  ].join(" • ");
+
+  const body = rows.map((r) => {
+    const isKeep = keep.has(r.id);
+    const why = !r.contract
+      ? "Contract has run out"
+      : r.surplus <= 0
+        ? "Price is above value"
+        : isKeep ? "" : "Squeezed out by the keeper limit / budget";
+    return `
+      <tr>
+        <td style="text-align:left;">${escapeHtml(r.player.name)}${r.matched ? "" : ` <span class="small" title="No match in the player pool">(no value)</span>`}</td>
+        <td>${r.contract ? `${r.contract.year}/${r.contract.total}` : "—"}</td>
+        <td>${fmtMoney(r.price)}</td>
+        <td>${fmtMoney(r.value)}</td>
+        <td class="${r.surplus > 0 ? "kdPos" : "kdNeg"}">${fmtMoney(r.surplus)}</td>
+        <td style="text-align:left;">
+          <span class="tc-badge ${isKeep ? "strong" : "weak"}">${isKeep ? "Keep" : "Release"}</span>
+          ${why ? `<span class="small" style="opacity:.75;">${why}</span>` : ""}
+        </td>
+      </tr>
+    `;
+  }).join("");
+
+  el.innerHTML = `
+    ${limitInputs}
+    <div class="small kdSummary">
+      Keeping ${kept.length} • ${fmtMoney(keptSalary)} salary • ${fmtMoney(keptSurplus)} surplus
+      <span style="opacity:.75;">(${limitText}; values: ${VALUE_MODE_LABELS[mode] || mode})</span>
+    </div>
+    <div style="overflow:auto; margin-top:10px;">
+      <table class="table kdTable">
+        <thead>
+          <tr>
+            <th style="text-align:left;">Player</th>
+            <th>Contract</th>
+            <th>Keeper $</th>
+            <th>Value</th>
+            <th>Surplus</th>
+            <th style="text-align:left;">Recommendation</th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>
+    </div>
+  `;
+  bindLimits();
+}
@@ -0,0 +1,420 @@
+// js/league-config-panel.js
+// League Config panel (Settings on index.html): import a JSON / YAML league
+// file, export the active config, or reset to the built-in league.
+// Importing rewrites budget / teams / slot totals in Settings too (see
+// storage.applyLeagueConfig). Slots + categories are read once per page load,
+// so other pages pick up a new config the next time they open.
+
+import { applyLeagueConfig } from "./storage.js";
+import {
+  DEFAULT_LEAGUE_CONFIG,
+  RAISE_TYPES,
+  SCORING_FORMATS,
+  getLeagueConfig,
+  parseLeagueConfigText,
+  resetLeagueConfig,
+} from "./league-config.js";
+import { escapeHtml } from "./helpers.js";
+
+const FORMAT_LABELS = { roto: "Roto (categories)", h2h: "H2H categories (weekly)", points: "Points" };
+
+function summaryText(cfg) {
+  const cats = (side) => cfg.categories.filter((c) => c.side === side).map((c) => c.id).join(", ");
+  const minors = cfg.roster.minors == null ? "no minors cap" : `${cfg.roster.minors} minors`;
+  const keepers = [
+    cfg.keepers.max_keepers == null ? "no keeper cap" : `${cfg.keepers.max_keepers} keepers`,
+    cfg.keepers.budget_cap == null ? null : `$${cfg.keepers.budget_cap} keeper budget`,
+  ].filter(Boolean).join(" • ");
+  return [
+    `${cfg.name} ${cfg.season}: ${cfg.teams} teams • $${cfg.budget} budget • $${cfg.min_bid} min bid • ${FORMAT_LABELS[cfg.scoring.format] || "Roto"} scoring`,
+    `Slots: ${cfg.slots.map((s) => s.label).join(" ")} (${cfg.roster.hitters} H / ${cfg.roster.pitchers} P)`,
+    `Hitting: ${cats("hit")}`,
+    `Pitching: ${cats("pit")}`,
+    `${minors} • ${keepers} • contracts up to ${cfg.keepers.max_contract_years} yrs`,
+  ];
+}
+
+function downloadJson(obj, filename) {
+  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Mount the League Config panel.
+ * onApplied(cfg) runs after an import or reset so the page can refresh
+ * whatever shows budget / slot totals.
+ */
+export function mountLeagueConfigSettings(containerId = "leagueConfigSettings", { onApplied } = {}) {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  function render(status = "") {
+    const cfg = getLeagueConfig();
+    el.innerHTML = `
+      <div class="small leagueConfigSummary">
+        ${summaryText(cfg).map((line) => `<div>${escapeHtml(line)}</div>`).join("")}
+      </div>
+
+      <div class="leagueConfigActions">
+        <label class="btn ghost leagueConfigImport">
+          Import league file (JSON / YAML)
+          <input type="file" id="leagueConfigFile" accept=".json,.yaml,.yml,application/json,text/yaml" hidden />
+        </label>
+        <button type="button" class="ghost" id="leagueConfigExport">Export JSON</button>
+        <button type="button" class="ghost" id="leagueConfigReset">Reset to Defaults</button>
+      </div>
+      <div class="small leagueConfigStatus" id="leagueConfigStatus">${escapeHtml(status)}</div>
+    `;
+
+    el.querySelector("#leagueConfigFile")?.addEventListener("change", async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      try {
+        const next = parseLeagueConfigText(await file.text(), file.name);
+        const saved = applyLeagueConfig(next);
+        onApplied?.(saved);
+        render(`Imported ✓ ${file.name}`);
+      } catch (err) {
+        console.warn("[LEAGUE] config import failed", err);
+        render(`Import failed: ${err.message}`);
+      }
+    });
+
+    el.querySelector("#leagueConfigExport")?.addEventListener("click", () => {
+      const cfg = getLeagueConfig();
+      const slug = String(cfg.name || "league").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+      downloadJson(cfg, `${slug || "league"}-config.json`);
+    });
+
+    el.querySelector("#leagueConfigReset")?.addEventListener("click", () => {
+      resetLeagueConfig();
+      const saved = applyLeagueConfig(DEFAULT_LEAGUE_CONFIG);
+      onApplied?.(saved);
+      render("Reset ✓");
+    });
+  }
+
+  render();
+}
+
+/* ------------------------------ Roster slots ------------------------------ */
+
+// Consecutive identical slots collapse into one editor row with a count
+// (OF1 / OF2 -> OF × 2, P1..P9 -> P × 9).
+function groupSlots(slots) {
+  const same = (a, b) =>
+    a.label === b.label &&
+    a.side === b.side &&
+    !!a.bench === !!b.bench &&
+    (a.boost ?? null) === (b.boost ?? null) &&
+    a.eligible.join(",") === b.eligible.join(",");
+
+  const groups = [];
+  for (const s of slots) {
+    const last = groups[groups.length - 1];
+    if (last && same(last.first, s)) {
+      last.count += 1;
+      continue;
+    }
+    groups.push({ first: s, count: 1 });
+  }
+
+  return groups.map(({ first, count }) => ({
+    key: count > 1 ? first.key.replace(/\d+$/, "") : first.key,
+    label: first.label,
+    side: first.side,
+    eligible: first.eligible,
+    bench: !!first.bench,
+    boost: first.boost ?? null,
+    count,
+  }));
+}
+
+function slotRowHtml(g) {
+  const elig = g.eligible.includes("*") ? "*" : g.eligible.join(", ");
+  return `
+    <div class="slotEditRow" data-slot-key="${escapeHtml(g.key)}">
+      <input type="text" data-f="label" value="${escapeHtml(g.label)}" placeholder="Label" />
+      <select data-f="side">
+        <option value="hit" ${g.side === "hit" ? "selected" : ""}>Hit</option>
+        <option value="pit" ${g.side === "pit" ? "selected" : ""}>Pit</option>
+      </select>
+      <input type="text" data-f="eligible" value="${escapeHtml(elig)}" placeholder="1B, 3B or *" />
+      <input type="number" data-f="count" min="0" step="1" value="${g.count}" title="How many of this slot" />
+      <input type="number" data-f="boost" step="1" value="${g.boost ?? ""}" placeholder="auto" title="Need boost when empty (blank = auto)" />
+      <label class="small slotEditBench"><input type="checkbox" data-f="bench" ${g.bench ? "checked" : ""} /> Bench</label>
+      <button type="button" class="ghost" data-slot-remove>✕</button>
+    </div>
+  `;
+}
+
+function readSlotRows(el) {
+  return [...el.querySelectorAll(".slotEditRow")].map((row) => {
+    const f = (name) => row.querySelector(`[data-f="${name}"]`);
+    const label = String(f("label").value || "").trim();
+    const key = row.dataset.slotKey || label.toUpperCase().replace(/[^A-Z0-9]+/g, "");
+    const boost = String(f("boost").value).trim();
+    return {
+      key,
+      label: label || key,
+      side: f("side").value,
+      eligible: String(f("eligible").value || "*"),
+      count: Number(f("count").value),
+      bench: f("bench").checked,
+      boost: boost === "" ? null : Number(boost),
+    };
+  }).filter((s) => s.count > 0);
+}
+
+/**
+ * Mount the Roster Slots editor: counts, labels, eligibility, bench and
+ * need boost per slot. Saves into the league config (lineup planner,
+ * recommended-target needs and engine replacement level all read it).
+ */
+export function mountRosterSlotEditor(containerId = "rosterSlotEditor", { onApplied } = {}) {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  if (!el.dataset.slotEditBound) {
+    el.addEventListener("click", (e) => {
+      const btn = e.target.closest?.("[data-slot-remove]");
+      if (btn) btn.closest(".slotEditRow")?.remove();
+    });
+    el.dataset.slotEditBound = "1";
+  }
+
+  function render(status = "") {
+    const groups = groupSlots(getLeagueConfig().slots);
+    el.innerHTML = `
+      <div class="slotEditHead small">
+        <span>Label</span><span>Side</span><span>Eligible</span><span>Count</span><span>Boost</span><span></span><span></span>
+      </div>
+      <div id="slotEditRows">${groups.map(slotRowHtml).join("")}</div>
+
+      <div class="leagueConfigActions">
+        <button type="button" class="ghost" id="slotEditAdd">+ Add Slot</button>
+        <button type="button" id="slotEditSave">Save Slots</button>
+      </div>
+      <div class="small leagueConfigStatus">${escapeHtml(status)}</div>
+    `;
+
+    el.querySelector("#slotEditAdd")?.addEventListener("click", () => {
+      const wrap = el.querySelector("#slotEditRows");
+      wrap?.insertAdjacentHTML(
+        "beforeend",
+        slotRowHtml({ key: "", label: "", side: "hit", eligible: ["*"], count: 1, bench: false, boost: null })
+      );
+    });
+
+    el.querySelector("#slotEditSave")?.addEventListener("click", () => {
+      try {
+        const cfg = getLeagueConfig();
+        // Drop hitter / pitcher totals so they follow the new slot counts.
+        const saved = applyLeagueConfig({
+          ...cfg,
+          slots: readSlotRows(el),
+          roster: { minors: cfg.roster.minors },
+        });
+        onApplied?.(saved);
+        render("Saved ✓ Other pages use the new slots next time they load.");
+      } catch (err) {
+        console.warn("[LEAGUE] slot save failed", err);
+        render(`Save failed: ${err.message}`);
+      }
+    });
+  }
+
+  render();
+}
+
+/* ------------------------------ Scoring ------------------------------ */
+
+function pointsRowHtml(side, stat, pts) {
+  return `
+    <div class="scoringRow" data-side="${side}">
+      <input type="text" data-f="stat" value="${escapeHtml(stat)}" placeholder="Stat (HR, K, ER…)" />
+      <input type="number" data-f="pts" step="0.5" value="${escapeHtml(pts)}" placeholder="Points" />
+      <button type="button" class="ghost" data-points-remove>✕</button>
+    </div>
+  `;
+}
+
+function readPointsRows(el) {
+  const points = { hit: {}, pit: {} };
+  for (const row of el.querySelectorAll(".scoringRow")) {
+    const stat = String(row.querySelector('[data-f="stat"]').value || "").trim().toUpperCase();
+    const pts = String(row.querySelector('[data-f="pts"]').value).trim();
+    if (!stat || pts === "") continue;
+    points[row.dataset.side][stat] = Number(pts);
+  }
+  return points;
+}
+
+/**
+ * Mount the Scoring editor: roto / H2H categories or points per stat event.
+ * In points mode values, Projections Rank, Recommended Targets and roster
+ * coverage all run off projected fantasy points (points.js).
+ */
+export function mountScoringSettings(containerId = "scoringSettings", { onApplied } = {}) {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  if (!el.dataset.scoringBound) {
+    el.addEventListener("click", (e) => {
+      const btn = e.target.closest?.("[data-points-remove]");
+      if (btn) btn.closest(".scoringRow")?.remove();
+    });
+    el.dataset.scoringBound = "1";
+  }
+
+  function render(status = "") {
+    const { scoring } = getLeagueConfig();
+    const side = (key, title) => `
+      <div>
+        <div class="small"><strong>${title}</strong></div>
+        <div id="scoringRows-${key}">
+          ${Object.entries(scoring.points[key] || {}).map(([st, pts]) => pointsRowHtml(key, st, pts)).join("")}
+        </div>
+        <button type="button" class="ghost" data-points-add="${key}" style="margin-top:6px;">+ Add Stat</button>
+      </div>
+    `;
+
+    el.innerHTML = `
+      <label class="small scoringFormat">
+        Format
+        <select id="scoringFormat">
+          ${SCORING_FORMATS.map((f) => `<option value="${f}" ${scoring.format === f ? "selected" : ""}>${FORMAT_LABELS[f] || f}</option>`).join("")}
+        </select>
+        Weeks
+        <input type="number" id="scoringWeeks" min="1" step="1" value="${scoring.weeks}" title="Scoring weeks in the season (H2H weekly lines)" style="width:70px;" />
+      </label>
+
+      <div class="scoringSides">
+        ${side("hit", "Hitting points")}
+        ${side("pit", "Pitching points")}
+      </div>
+
+      <div class="leagueConfigActions">
+        <button type="button" id="scoringSave">Save Scoring</button>
+      </div>
+      <div class="small leagueConfigStatus">${escapeHtml(status)}</div>
+    `;
+
+    el.querySelectorAll("[data-points-add]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const key = btn.dataset.pointsAdd;
+        el.querySelector(`#scoringRows-${key}`)?.insertAdjacentHTML("beforeend", pointsRowHtml(key, "", ""));
+      });
+    });
+
+    el.querySelector("#scoringSave")?.addEventListener("click", () => {
+      try {
+        const cfg = getLeagueConfig();
+        const saved = applyLeagueConfig({
+          ...cfg,
+          scoring: {
+            ...cfg.scoring,
+            format: el.querySelector("#scoringFormat").value,
+            weeks: el.querySelector("#scoringWeeks").value,
+            points: readPointsRows(el),
+          },
+        });
+        onApplied?.(saved);
+        render("Saved ✓ Other pages use the new scoring next time they load.");
+      } catch (err) {
+        console.warn("[LEAGUE] scoring save failed", err);
+        render(`Save failed: ${err.message}`);
+      }
+    });
+  }
+
+  render();
+}
+
+/* ------------------------------ Keeper rules ------------------------------ */
+
+const RAISE_LABELS = { none: "No raise", flat: "Flat $ per year", percent: "Percent per year" };
+
+/**
+ * Mount the Keeper Rules editor: keeper limits plus salary escalation
+ * (yearly raise, extension pricing, arbitration). Keeper salaries on the
+ * Roster page, the budget header and the keeper engine all follow these.
+ */
+export function mountKeeperRulesSettings(containerId = "keeperRulesSettings", { onApplied } = {}) {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  function render(status = "") {
+    const { keepers } = getLeagueConfig();
+    const esc = keepers.escalation;
+    const field = (id, label, value, attrs = "") => `
+      <label class="small keeperRulesField">${label}
+        <input type="number" id="${id}" value="${value ?? ""}" ${attrs} />
+      </label>
+    `;
+
+    el.innerHTML = `
+      <div class="keeperRulesGrid">
+        ${field("krMaxKeepers", "Max keepers", keepers.max_keepers, `min="0" step="1" placeholder="none"`)}
+        ${field("krBudgetCap", "Keeper budget cap ($)", keepers.budget_cap, `min="0" step="1" placeholder="none"`)}
+        ${field("krMaxYears", "Max contract years", keepers.max_contract_years, `min="1" step="1"`)}
+
+        <label class="small keeperRulesField">Yearly raise
+          <select id="krRaiseType">
+            ${RAISE_TYPES.map((t) => `<option value="${t}" ${esc.raise.type === t ? "selected" : ""}>${RAISE_LABELS[t]}</option>`).join("")}
+          </select>
+        </label>
+        ${field("krRaiseAmount", "Raise ($ or %)", esc.raise.amount, `min="0" step="1"`)}
+
+        ${field("krExtPerYear", "Extension $ per year added", esc.extension.per_year, `min="0" step="1"`)}
+        ${field("krExtPercent", "Extension % bump", esc.extension.percent, `min="0" step="1"`)}
+
+        ${field("krArbAfter", "Arbitration after contract year", esc.arbitration.after_year, `min="1" step="1" placeholder="off"`)}
+        ${field("krArbShare", "Arbitration share of gap to value", esc.arbitration.share, `min="0" max="1" step="0.05"`)}
+      </div>
+
+      <div class="leagueConfigActions">
+        <button type="button" id="keeperRulesSave">Save Keeper Rules</button>
+      </div>
+      <div class="small leagueConfigStatus">${escapeHtml(status)}</div>
+    `;
+
+    el.querySelector("#keeperRulesSave")?.addEventListener("click", () => {
+      const val = (id) => {
+        const v = String(el.querySelector(`#${id}`)?.value ?? "").trim();
+        return v === "" ? null : Number(v);
+      };
+      try {
+        const cfg = getLeagueConfig();
+        const saved = applyLeagueConfig({
+          ...cfg,
+          keepers: {
+            ...cfg.keepers,
+            max_keepers: val("krMaxKeepers"),
+            budget_cap: val("krBudgetCap"),
+            max_contract_years: val("krMaxYears"),
+            escalation: {
+              raise: { type: el.querySelector("#krRaiseType").value, amount: val("krRaiseAmount") },
+              extension: { per_year: val("krExtPerYear"), percent: val("krExtPercent") },
+              arbitration: { after_year: val("krArbAfter"), share: val("krArbShare") },
+            },
+          },
+        });
+        onApplied?.(saved);
+        render("Saved ✓");
+      } catch (err) {
+        console.warn("[LEAGUE] keeper rules save failed", err);
+        render(`Save failed: ${err.message}`);
+      }
+    });
+  }
+
+  render();
+}
@@ -0,0 +1,585 @@
+// js/league-config.js
+// One league definition (teams, budget, categories, lineup slots, keeper and
+// contract rules, minors) that every page reads instead of hardcoding.
+// Loadable from a JSON or YAML file; the default matches our home league.
+//
+// NOTE: storage.js imports this module, so it reads / writes through the
+// storage adapter directly (no storage.js import) to keep the module graph
+// acyclic. Category definitions come from categories.js.
+
+import { resolveCategory } from "./categories.js";
+import { readJSON, writeJSON, removeKey } from "./storage-adapter.js";
+
+const CONFIG_KEY = "hag_league_config_v1";
+export const LEAGUE_CONFIG_EVENT = "hag:league-config-updated";
+
+/**
+ * League config shape:
+ * {
+ *   name: "Home League",
+ *   teams: 14,
+ *   budget: 300,
+ *   min_bid: 1,
+ *   season: 2026,                                         // the upcoming auction's season
+ *   roster: { hitters: 14, pitchers: 9, minors: null },   // minors null = unlimited
+ *   categories: [{ id: "HR", name: "Home Runs", side: "hit", kind: "count", ... }, ...],  // see categories.js
+ *   slots: [{ key: "CI", label: "CI", side: "hit", eligible: ["1B", "3B"], bench: false, boost: null }, ...],
+ *   keepers: {
+ *     max_keepers: null, budget_cap: null, max_contract_years: 10,   // null = no limit
+ *     escalation: {                                   // keeper salary rules (contract-rules.js)
+ *       raise: { type: "none" | "flat" | "percent", amount: 0 },   // each contract year after the first
+ *       extension: { per_year: 0, percent: 0 },       // one-time bump when extension years start
+ *       arbitration: { after_year: null, share: 0.5 }, // from that contract year on, salary moves toward value
+ *     },
+ *   },
+ *   scoring: {
+ *     format: "roto" | "h2h" | "points",   // h2h = weekly head-to-head categories
+ *     weeks: 26,                           // scoring weeks in the season (H2H weekly lines)
+ *     points: { hit: { HR: 4, ... }, pit: { K: 1, ... } },
+ *   }
+ * }
+ *
+ * Slot eligibility lists positions (POS tokens like "C", "OF", "SP");
+ * "*" means any player on that side. In a file, `count: N` repeats a slot
+ * (key OF + count 3 -> OF1, OF2, OF3, all labelled OF). `bench: true` slots
+ * hold reserves: they are never a roster need and don't set replacement level.
+ * `boost` overrides the Recommended Targets need boost for that slot.
+ */
+export const DEFAULT_LEAGUE_CONFIG = Object.freeze({
+  name: "Home League",
+  teams: 14,
+  budget: 300,
+  min_bid: 1,
+  season: 2026,
+  roster: { hitters: 14, pitchers: 9, minors: null },
+  categories: ["AVG", "OPS", "TB", "HR", "RBI", "R", "SB", "ERA", "WHIP", "IP", "QS", "K", "SV", "HLD"]
+    .map((id) => resolveCategory(id).category),
+  slots: [
+    { key: "C", label: "C", side: "hit", eligible: ["C"] },
+    { key: "1B", label: "1B", side: "hit", eligible: ["1B"] },
+    { key: "2B", label: "2B", side: "hit", eligible: ["2B"] },
+    { key: "3B", label: "3B", side: "hit", eligible: ["3B"] },
+    { key: "SS", label: "SS", side: "hit", eligible: ["SS"] },
+    { key: "CI", label: "CI", side: "hit", eligible: ["1B", "3B"] },
+    { key: "MI", label: "MI", side: "hit", eligible: ["2B", "SS"] },
+    { key: "LF", label: "LF", side: "hit", eligible: ["LF"] },
+    { key: "CF", label: "CF", side: "hit", eligible: ["CF"] },
+    { key: "RF", label: "RF", side: "hit", eligible: ["RF"] },
+    { key: "OF1", label: "OF", side: "hit", eligible: ["OF", "LF", "CF", "RF"] },
+    { key: "OF2", label: "OF", side: "hit", eligible: ["OF", "LF", "CF", "RF"] },
+    { key: "UT", label: "UT", side: "hit", eligible: ["*"] },
+    ...Array.from({ length: 9 }).map((_, i) => ({
+      key: `P${i + 1}`,
+      label: "P",
+      side: "pit",
+      eligible: ["*"],
+    })),
+  ],
+  keepers: {
+    max_keepers: null,
+    budget_cap: null,
+    max_contract_years: 10,
+    escalation: {
+      raise: { type: "none", amount: 0 },
+      extension: { per_year: 0, percent: 0 },
+      arbitration: { after_year: null, share: 0.5 },
+    },
+  },
+  scoring: {
+    format: "roto",
+    weeks: 26,
+    // Points per projected stat event, per side (used when format is "points").
+    // Any category id / projection column works (ER and H+BB are derived from ERA / WHIP × IP).
+    points: {
+      hit: { R: 1, HR: 4, RBI: 1, SB: 2, TB: 1 },
+      pit: { IP: 3, K: 1, "H+BB": -1, ER: -2, QS: 3, SV: 5, HLD: 2 },
+    },
+  },
+});
+
+export const SCORING_FORMATS = ["roto", "h2h", "points"];
+
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+function intOr(v, fallback, min = 0) {
+  if (v == null || v === "") return fallback;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(min, Math.trunc(n)) : fallback;
+}
+
+function intOrNull(v, min = 0) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(min, Math.trunc(n)) : null;
+}
+
+function normSide(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  if (["hit", "hitter", "hitting", "batting", "h"].includes(s)) return "hit";
+  if (["pit", "pitcher", "pitching", "p"].includes(s)) return "pit";
+  return "";
+}
+
+function toList(v) {
+  if (Array.isArray(v)) return v;
+  if (v == null || v === "") return [];
+  return String(v).split(/[,/|\s]+/);
+}
+
+export const RAISE_TYPES = ["none", "flat", "percent"];
+
+// Keeper salary rules. Shorthand: `escalation: { flat: 5 }` or `{ percent: 10 }`.
+function normalizeEscalation(raw, problems) {
+  const def = DEFAULT_LEAGUE_CONFIG.keepers.escalation;
+  const e = raw && typeof raw === "object" ? raw : {};
+  const number = (v, fallback, label) => {
+    if (v == null || v === "") return fallback;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0) {
+      problems.push(`keepers.escalation.${label} must be a number >= 0`);
+      return fallback;
+    }
+    return n;
+  };
+
+  const raiseRaw = e.raise && typeof e.raise === "object" ? e.raise : {};
+  let type = String(raiseRaw.type ?? (e.flat != null ? "flat" : e.percent != null ? "percent" : def.raise.type))
+    .trim()
+    .toLowerCase();
+  if (!RAISE_TYPES.includes(type)) {
+    problems.push(`keepers.escalation.raise.type must be one of: ${RAISE_TYPES.join(", ")}`);
+    type = "none";
+  }
+  const amount = number(raiseRaw.amount ?? e.flat ?? e.percent, def.raise.amount, "raise.amount");
+
+  const extRaw = e.extension && typeof e.extension === "object" ? e.extension : {};
+  const arbRaw = e.arbitration && typeof e.arbitration === "object" ? e.arbitration : {};
+  const share = number(arbRaw.share, def.arbitration.share, "arbitration.share");
+
+  return {
+    raise: { type, amount: type === "none" ? 0 : amount },
+    extension: {
+      per_year: number(extRaw.per_year ?? extRaw.cost_per_year, def.extension.per_year, "extension.per_year"),
+      percent: number(extRaw.percent, def.extension.percent, "extension.percent"),
+    },
+    arbitration: {
+      after_year: intOrNull(arbRaw.after_year ?? arbRaw.after_years, 1),
+      share: Math.min(1, share),
+    },
+  };
+}
+
+/**
+ * Validate + fill a raw config (parsed JSON/YAML).
+ * Missing sections fall back to the default league; malformed entries throw
+ * with every problem listed so the import UI can show them at once.
+ */
+export function normalizeLeagueConfig(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("League config must be an object.");
+  }
+
+  const def = DEFAULT_LEAGUE_CONFIG;
+  const problems = [];
+
+  const teams = intOr(raw.teams, def.teams, 1);
+  const budget = intOr(raw.budget, def.budget, 0);
+  const minBid = intOr(raw.min_bid, def.min_bid, 0);
+  const season = intOr(raw.season, def.season, 1900);
+
+  const rosterRaw = raw.roster || {};
+  let categories = def.categories;
+  if (raw.categories != null) {
+    if (!Array.isArray(raw.categories) || !raw.categories.length) {
+      problems.push("categories must be a non-empty list");
+    } else {
+      const seen = new Set();
+      categories = raw.categories.map((c, i) => {
+        // Registry fills whatever the file leaves out (categories.js).
+        const { category, problems: catProblems } = resolveCategory(c);
+        for (const msg of catProblems) problems.push(`categories[${i}] ${msg}`);
+        if (category.id && seen.has(category.id)) problems.push(`categories[${i}] duplicates ${category.id}`);
+        seen.add(category.id);
+        return category;
+      });
+    }
+  }
+
+  let slots = def.slots;
+  if (raw.slots != null) {
+    if (!Array.isArray(raw.slots) || !raw.slots.length) {
+      problems.push("slots must be a non-empty list");
+    } else {
+      const seen = new Set();
+      slots = raw.slots.flatMap((s, i) => {
+        const entry = typeof s === "string" ? { key: s } : (s || {});
+        const key = String(entry.key ?? entry.id ?? "").trim().toUpperCase();
+        const baseKey = key.replace(/\d+$/, "");
+        const side = normSide(entry.side) || (/^P\d*$/.test(key) || ["SP", "RP"].includes(key) ? "pit" : "hit");
+        const bench = entry.bench === true || String(entry.bench).toLowerCase() === "true";
+        const count = intOr(entry.count, 1, 0);
+        const boost = entry.boost == null || entry.boost === "" ? null : Number(entry.boost);
+        // Without an eligible list the key names the position; UT / DH / P take anyone.
+        const keyPos = bench || ["UT", "UTIL", "DH", "P"].includes(baseKey) ? "*" : baseKey;
+        const eligible = toList(entry.eligible ?? entry.positions ?? keyPos)
+          .map((p) => String(p).trim().toUpperCase())
+          .filter(Boolean);
+
+        if (!key) problems.push(`slots[${i}] has no key`);
+        if (boost != null && !Number.isFinite(boost)) problems.push(`slots[${i}] (${key || "?"}) boost must be a number`);
+
+        const keys = count === 1 ? [key] : Array.from({ length: count }, (_, n) => `${key}${n + 1}`);
+        return keys.map((k) => {
+          if (k && seen.has(k)) problems.push(`slots[${i}] duplicates ${k} (use count: N for repeats)`);
+          seen.add(k);
+          return {
+            key: k,
+            label: String(entry.label ?? (count === 1 ? key : baseKey)).trim() || k,
+            side,
+            eligible: eligible.length ? eligible : ["*"],
+            bench,
+            boost: Number.isFinite(boost) ? boost : null,
+          };
+        });
+      });
+      if (!problems.length && !slots.some((s) => !s.bench)) {
+        problems.push("slots need at least one non-bench slot");
+      }
+    }
+  }
+
+  const hitSlots = slots.filter((s) => s.side === "hit").length;
+  const pitSlots = slots.filter((s) => s.side === "pit").length;
+
+  const keepersRaw = raw.keepers || raw.contracts || {};
+  const keepers = {
+    ...keepersRaw,
+    max_keepers: intOrNull(keepersRaw.max_keepers ?? def.keepers.max_keepers),
+    // Most $ a team may spend on keepers (keeper decision engine).
+    budget_cap: intOrNull(keepersRaw.budget_cap ?? keepersRaw.max_keeper_budget ?? def.keepers.budget_cap),
+    max_contract_years: intOr(
+      keepersRaw.max_contract_years ?? keepersRaw.max_years,
+      def.keepers.max_contract_years,
+      1
+    ),
+    escalation: normalizeEscalation(keepersRaw.escalation, problems),
+  };
+
+  const scoringRaw = raw.scoring || {};
+  const format = String(scoringRaw.format ?? raw.format ?? def.scoring.format).trim().toLowerCase();
+  if (!SCORING_FORMATS.includes(format)) {
+    problems.push(`scoring.format must be one of: ${SCORING_FORMATS.join(", ")}`);
+  }
+  const weeks = intOr(scoringRaw.weeks, def.scoring.weeks, 1);
+  const pointsRaw = scoringRaw.points || null;
+  const points = { hit: {}, pit: {} };
+  for (const side of ["hit", "pit"]) {
+    const table = pointsRaw ? (pointsRaw[side] ?? pointsRaw[side === "hit" ? "hitting" : "pitching"] ?? {}) : def.scoring.points[side];
+    if (!table || typeof table !== "object" || Array.isArray(table)) {
+      problems.push(`scoring.points.${side} must be a map of stat: points`);
+      continue;
+    }
+    for (const [stat, v] of Object.entries(table)) {
+      const n = Number(v);
+      const id = String(stat).trim().toUpperCase();
+      if (!id) continue;
+      if (!Number.isFinite(n)) problems.push(`scoring.points.${side}.${stat} must be a number`);
+      else if (n !== 0) points[side][id] = n;
+    }
+  }
+  if (format === "points" && !Object.keys(points.hit).length && !Object.keys(points.pit).length) {
+    problems.push("points format needs scoring.points for at least one stat");
+  }
+
+  if (problems.length) {
+    throw new Error(`League config problems:\n- ${problems.join("\n- ")}`);
+  }
+
+  return {
+    ...raw,
+    name: String(raw.name ?? def.name).trim() || def.name,
+    teams,
+    budget,
+    min_bid: minBid,
+    season,
+    roster: {
+      // Roster counts default to the lineup slot count for that side.
+      hitters: intOr(rosterRaw.hitters, raw.slots ? hitSlots : def.roster.hitters, 0),
+      pitchers: intOr(rosterRaw.pitchers, raw.slots ? pitSlots : def.roster.pitchers, 0),
+      minors: intOrNull(rosterRaw.minors ?? raw.minors_slots),
+    },
+    categories,
+    slots,
+    keepers,
+    scoring: { ...scoringRaw, format, weeks, points },
+  };
+}
+
+/* ------------------------------- YAML (subset) ------------------------------ */
+// Enough YAML for a hand-written league file: nested maps, "- " lists (of
+// scalars or maps), inline [a, b] / {k: v}, quotes, numbers, true/false/null
+// and # comments. Anchors, multi-line strings and tags are not supported.
+
+function stripComment(line) {
+  let q = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (q) {
+      if (c === q) q = null;
+    } else if (c === '"' || c === "'") {
+      q = c;
+    } else if (c === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function splitFlow(inner) {
+  const parts = [];
+  let depth = 0;
+  let q = null;
+  let cur = "";
+  for (const c of inner) {
+    if (q) {
+      if (c === q) q = null;
+      cur += c;
+      continue;
+    }
+    if (c === '"' || c === "'") q = c;
+    if (c === "[" || c === "{") depth++;
+    if (c === "]" || c === "}") depth--;
+    if (c === "," && depth === 0) {
+      parts.push(cur);
+      cur = "";
+      continue;
+    }
+    cur += c;
+  }
+  if (cur.trim()) parts.push(cur);
+  return parts.map((p) => p.trim());
+}
+
+// Split "key: value" on the first unquoted colon followed by space/end.
+function splitKey(text) {
+  let q = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (q) {
+      if (c === q) q = null;
+      continue;
+    }
+    if (c === '"' || c === "'") q = c;
+    else if (c === ":" && (i === text.length - 1 || text[i + 1] === " ")) {
+      return [parseScalar(text.slice(0, i).trim()), text.slice(i + 1).trim()];
+    }
+  }
+  return null;
+}
+
+function parseScalar(raw) {
+  const s = String(raw ?? "").trim();
+  if (s === "" || s === "~" || s === "null") return null;
+  if (s === "true") return true;
+  if (s === "false") return false;
+  if ((s.startsWith('"') && s.endsWith('"')) || (s.startsWith("'") && s.endsWith("'"))) {
+    return s.slice(1, -1);
+  }
+  if (s.startsWith("[") && s.endsWith("]")) return splitFlow(s.slice(1, -1)).map(parseScalar);
+  if (s.startsWith("{") && s.endsWith("}")) {
+    const out = {};
+    for (const part of splitFlow(s.slice(1, -1))) {
+      const kv = splitKey(part);
+      if (kv) out[kv[0]] = parseScalar(kv[1]);
+    }
+    return out;
+  }
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) return Number(s);
+  return s;
+}
+
+export function parseYaml(text) {
+  const lines = String(text ?? "")
+    .replace(/\t/g, "  ")
+    .split(/\r?\n/)
+    .map((l, i) => ({ n: i + 1, raw: stripComment(l).replace(/\s+$/, "") }))
+    .filter((l) => l.raw.trim() !== "" && l.raw.trim() !== "---")
+    .map((l) => ({ n: l.n, indent: l.raw.length - l.raw.trimStart().length, text: l.raw.trim() }));
+
+  let i = 0;
+
+  function parseBlock(indent) {
+    if (i >= lines.length) return null;
+    return lines[i].text.startsWith("- ") || lines[i].text === "-"
+      ? parseSeq(lines[i].indent)
+      : parseMap(indent);
+  }
+
+  // Value after "key:" — inline scalar or a nested block on following lines.
+  function parseValue(rest, parentIndent) {
+    if (rest !== "") return parseScalar(rest);
+    if (i < lines.length && lines[i].indent > parentIndent) return parseBlock(lines[i].indent);
+    // "key:\n- item" at the same indent is a list in YAML.
+    if (i < lines.length && lines[i].indent === parentIndent && lines[i].text.startsWith("-")) {
+      return parseSeq(parentIndent);
+    }
+    return null;
+  }
+
+  function parseMap(indent) {
+    const out = {};
+    while (i < lines.length && lines[i].indent === indent && !lines[i].text.startsWith("- ")) {
+      const line = lines[i];
+      const kv = splitKey(line.text);
+      if (!kv) throw new Error(`YAML line ${line.n}: expected "key: value"`);
+      i++;
+      out[kv[0]] = parseValue(kv[1], indent);
+    }
+    if (i < lines.length && lines[i].indent > indent) {
+      throw new Error(`YAML line ${lines[i].n}: unexpected indentation`);
+    }
+    return out;
+  }
+
+  function parseSeq(indent) {
+    const out = [];
+    while (i < lines.length && lines[i].indent === indent && (lines[i].text.startsWith("- ") || lines[i].text === "-")) {
+      const line = lines[i];
+      const rest = line.text.slice(1).trim();
+      i++;
+
+      if (rest === "") {
+        out.push(i < lines.length && lines[i].indent > indent ? parseBlock(lines[i].indent) : null);
+        continue;
+      }
+
+      const kv = rest.startsWith("[") || rest.startsWith("{") || rest.startsWith('"') || rest.startsWith("'")
+        ? null
+        : splitKey(rest);
+      if (!kv) {
+        out.push(parseScalar(rest));
+        continue;
+      }
+
+      // "- key: value" starts a map; its other keys sit at the item's content indent.
+      const itemIndent = indent + (line.text.length - rest.length);
+      const item = {};
+      item[kv[0]] = parseValue(kv[1], itemIndent);
+      if (i < lines.length && lines[i].indent === itemIndent && !lines[i].text.startsWith("- ")) {
+        Object.assign(item, parseMap(itemIndent));
+      }
+      out.push(item);
+    }
+    return out;
+  }
+
+  const doc = lines.length ? parseBlock(lines[0].indent) : null;
+  if (i < lines.length) throw new Error(`YAML line ${lines[i].n}: could not parse`);
+  return doc;
+}
+
+/**
+ * Parse a league config file's text. JSON when it looks like JSON (or the
+ * file ends in .json), YAML otherwise. Returns the normalized config.
+ */
+export function parseLeagueConfigText(text, filename = "") {
+  const s = String(text ?? "").trim();
+  if (!s) throw new Error("League config file is empty.");
+
+  const isJson = /\.json$/i.test(filename) || s.startsWith("{");
+  let raw;
+  try {
+    raw = isJson ? JSON.parse(s) : parseYaml(s);
+  } catch (e) {
+    throw new Error(`Could not read ${isJson ? "JSON" : "YAML"}: ${e.message}`);
+  }
+  return normalizeLeagueConfig(raw);
+}
+
+/* --------------------------------- Storage -------------------------------- */
+
+let _cache = null;
+
+export function getLeagueConfig() {
+  if (_cache) return _cache;
+  try {
+    const raw = readJSON(CONFIG_KEY, null);
+    _cache = raw ? normalizeLeagueConfig(raw) : clone(DEFAULT_LEAGUE_CONFIG);
+  } catch (e) {
+    console.warn("[LEAGUE] stored config invalid; using default", e);
+    _cache = clone(DEFAULT_LEAGUE_CONFIG);
+  }
+  return _cache;
+}
+
+/** Persist a config (normalizes first). Use storage.applyLeagueConfig to also sync settings. */
+export function saveLeagueConfig(next) {
+  const cfg = normalizeLeagueConfig(next);
+  writeJSON(CONFIG_KEY, cfg);
+  _cache = cfg;
+  try {
+    window.dispatchEvent(new CustomEvent(LEAGUE_CONFIG_EVENT, { detail: { name: cfg.name } }));
+  } catch {
+    // non-browser context
+  }
+  return cfg;
+}
+
+export function resetLeagueConfig() {
+  removeKey(CONFIG_KEY);
+  _cache = null;
+  return getLeagueConfig();
+}
+
+/* --------------------------------- Readers -------------------------------- */
+
+export function getLeagueCategories(side = null) {
+  const cats = getLeagueConfig().categories;
+  return side ? cats.filter((c) => c.side === side) : cats;
+}
+
+export function getLeagueSlots(side = null) {
+  const slots = getLeagueConfig().slots;
+  return side ? slots.filter((s) => s.side === side) : slots;
+}
+
+/** Season of the upcoming auction (contract year 1 of a new deal). */
+export function getLeagueSeason() {
+  return getLeagueConfig().season || DEFAULT_LEAGUE_CONFIG.season;
+}
+
+export function getMaxContractYears() {
+  return getLeagueConfig().keepers.max_contract_years;
+}
+
+/** Keeper salary escalation rules (see normalizeEscalation). */
+export function getEscalationRules() {
+  return getLeagueConfig().keepers.escalation || DEFAULT_LEAGUE_CONFIG.keepers.escalation;
+}
+
+/** Keeper limits: { maxKeepers, budgetCap } (null = no limit). */
+export function getKeeperLimits() {
+  const k = getLeagueConfig().keepers;
+  return { maxKeepers: k.max_keepers ?? null, budgetCap: k.budget_cap ?? null };
+}
+
+export function getMinorsLimit() {
+  return getLeagueConfig().roster.minors;
+}
+
+/** "roto" (default), "h2h" or "points". */
+export function getScoringFormat() {
+  return getLeagueConfig().scoring?.format || "roto";
+}
+
+/** Scoring weeks in the season (splits season projections into weekly lines). */
+export function getSeasonWeeks() {
+  return getLeagueConfig().scoring?.weeks || DEFAULT_LEAGUE_CONFIG.scoring.weeks;
+}
+
+/** Points per stat event: { hit: { HR: 4, ... }, pit: { K: 1, ... } }. */
+export function getPointsTable() {
+  return getLeagueConfig().scoring?.points || DEFAULT_LEAGUE_CONFIG.scoring.points;
+}
@@ -0,0 +1,95 @@
+// js/live-sync.js
+// Keeps every open tab on the same auction state. The storage adapter hears
+// about other tabs' writes (BroadcastChannel + storage events) and fires
+// STORAGE_SYNC_EVENT (history.js fires it too after an undo / redo, so this
+// tab repaints the same way); this module sorts the changed keys into topics for the
+// active workspace and calls the page's refresh handlers, batched so a burst of
+// writes (e.g. a sale + budget recalculation) repaints once.
+//
+// Topics: targets, roster, draft (draft log / live prices / league teams /
+// mock auction), settings (budget, weights, value view), planner (lineup
+// planner + target filters), compare, sgp, h2h, history (undo / redo stack).
+//
+// Changes that reshape the page (league config, switching the active
+// workspace) reload the tab instead, the same as after a config import.
+
+import { STORAGE_SYNC_EVENT } from "./storage-adapter.js";
+import { WORKSPACE_EVENT, getActiveWorkspaceId, scopedKey } from "./workspaces.js";
+
+const TOPIC_BY_KEY = {
+  hag_auction_targets_v1: "targets",
+  hag_roster_v1: "roster",
+  hag_draft_log_v1: "draft",
+  hag_live_prices_v1: "draft",
+  hag_league_teams_v1: "draft",
+  hag_settings: "settings",
+  hag_lineup_planner_v1: "planner",
+  hag_rec_filters_v1: "planner",
+  hag_compare_keys_v1: "compare",
+  hag_sgp_v1: "sgp",
+  hag_h2h_v1: "h2h",
+  hag_history_v1: "history",
+  hag_sim_v1: "draft",
+};
+
+const LEAGUE_KEY = "hag_league_config_v1";
+const WORKSPACES_KEY = "hag_workspaces_v1";
+const BATCH_MS = 50;
+
+const _handlers = new Set();
+const _workspace = getActiveWorkspaceId();
+let _queued = new Set();
+let _timer = null;
+
+// Topic for a raw storage key in this tab's workspace (null = not ours).
+function topicFor(key) {
+  const base = String(key).split("@")[0];
+  const topic = TOPIC_BY_KEY[base];
+  if (!topic) return null;
+  return scopedKey(base, _workspace) === key ? topic : null;
+}
+
+function flushQueued() {
+  _timer = null;
+  const topics = _queued;
+  _queued = new Set();
+  for (const h of _handlers) {
+    if (h.topics && ![...h.topics].some((t) => topics.has(t))) continue;
+    try {
+      h.fn(topics);
+    } catch (e) {
+      console.warn("[SYNC] refresh failed", e);
+    }
+  }
+}
+
+/**
+ * Call fn(topics: Set) when another tab (or an undo / redo) changes state this page shows.
+ * topics: only these topics (default: any). Returns an unsubscribe function.
+ */
+export function onLiveSync(fn, { topics = null } = {}) {
+  const h = { fn, topics: topics ? new Set(topics) : null };
+  _handlers.add(h);
+  return () => _handlers.delete(h);
+}
+
+window.addEventListener(STORAGE_SYNC_EVENT, (e) => {
+  const keys = e.detail?.keys || [];
+
+  if (keys.includes(LEAGUE_KEY)) {
+    window.location.reload();
+    return;
+  }
+  if (keys.includes(WORKSPACES_KEY)) {
+    const active = getActiveWorkspaceId();
+    window.dispatchEvent(new CustomEvent(WORKSPACE_EVENT, {
+      detail: active === _workspace ? { id: active, renamed: true } : { id: active },
+    }));
+  }
+
+  for (const k of keys) {
+    const t = topicFor(k);
+    if (t) _queued.add(t);
+  }
+  if (_queued.size && !_timer) _timer = setTimeout(flushQueued, BATCH_MS);
+});
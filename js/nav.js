@@ -1,4 +1,14 @@
 import { getSettings } from "./storage.js";
+import { STORAGE_ERROR_EVENT, flush } from "./storage-adapter.js";
+import { onLiveSync } from "./live-sync.js";
+import {
+  WORKSPACE_EVENT,
+  getWorkspaces,
+  getActiveWorkspaceId,
+  switchWorkspace,
+  createWorkspace,
+} from "./workspaces.js";
+import { escapeHtml } from "./helpers.js";
 
 export function setActiveTab() {
   const path = window.location.pathname.split("/").pop() || "index.html";
@@ -24,4 +34,78 @@ export function hydrateHeader() {
 // When budget changes (contracts OR auction plan $), repaint header immediately
 window.addEventListener("hag:budget-updated", () => {
   hydrateHeader();
-});
\ No newline at end of file
+});
+
+// ...and when another tab changes it.
+onLiveSync(hydrateHeader, { topics: ["settings"] });
+// ==============================
+// Workspace switcher (sidebar)
+// ==============================
+/**
+ * Workspace picker in the sidebar: switch between saved scenarios, start a
+ * new one or clone the current one. Switching reloads the page so every
+ * panel reads the new workspace's settings / targets / planner.
+ */
+export function mountWorkspaceSwitcher(containerId = "workspaceSwitcher") {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  const active = getActiveWorkspaceId();
+  el.innerHTML = `
+    <label class="sideWorkspaceLabel" for="wsSelect">Workspace</label>
+    <select id="wsSelect">
+      ${getWorkspaces().map((w) => `<option value="${escapeHtml(w.id)}" ${w.id === active ? "selected" : ""}>${escapeHtml(w.name)}</option>`).join("")}
+    </select>
+    <div class="sideWorkspaceActions">
+      <button type="button" id="wsNew" title="New workspace with default settings">New</button>
+      <button type="button" id="wsClone" title="Copy this workspace's settings, targets and planner">Clone</button>
+    </div>
+  `;
+
+  el.querySelector("#wsSelect")?.addEventListener("change", (e) => {
+    switchWorkspace(e.target.value);
+  });
+
+  const create = (cloneFrom) => {
+    const current = getWorkspaces().find((w) => w.id === active);
+    const suggested = cloneFrom ? `${current?.name || "Workspace"} copy` : "";
+    const name = window.prompt(cloneFrom ? "Name for the cloned workspace" : "Name for the new workspace", suggested);
+    if (name == null) return;
+    const ws = createWorkspace(name, { cloneFrom });
+    switchWorkspace(ws.id);
+  };
+  el.querySelector("#wsNew")?.addEventListener("click", () => create(null));
+  el.querySelector("#wsClone")?.addEventListener("click", () => create(active));
+}
+
+// Another workspace is now active: every panel on the page is stale.
+window.addEventListener(WORKSPACE_EVENT, (e) => {
+  if (e.detail?.renamed) {
+    mountWorkspaceSwitcher();
+    return;
+  }
+  flush().then(() => window.location.reload());
+});
+
+// ==============================
+// Storage errors
+// ==============================
+// Writes are committed in the background (storage-adapter.js); when one fails
+// (usually the browser's storage quota) the change is rolled back, so say so.
+window.addEventListener(STORAGE_ERROR_EVENT, (e) => {
+  let bar = document.getElementById("storageErrorBar");
+  if (!bar) {
+    bar = document.createElement("div");
+    bar.id = "storageErrorBar";
+    bar.className = "storageErrorBar";
+    bar.setAttribute("role", "alert");
+    document.body.appendChild(bar);
+  }
+  bar.innerHTML = `
+    <span>${e.detail?.quota
+      ? "Couldn't save: browser storage is full. Export a backup (Settings) and clear old workspaces."
+      : `Couldn't save your last change: ${escapeHtml(e.detail?.message || "storage error")}`}</span>
+    <button type="button" class="ghost" aria-label="Dismiss">×</button>
+  `;
+  bar.querySelector("button")?.addEventListener("click", () => bar.remove());
+});
@@ -0,0 +1,234 @@
+// js/nomination.js
+// Nomination Assistant (Auction Board): what to put on the block.
+//
+// Two lists, each row with a one-line reason:
+// - Drain: players we don't want that several rivals both need and can
+//   afford (or that the room will overpay for), so nominating them spends
+//   rival money before our targets come up.
+// - Nominate late: our Auction Board targets that get cheaper the longer we
+//   wait (little rival demand, deep position, end-game prices, or rivals who
+//   can still outbid our Max $ today).
+//
+// Rival needs: each team's draft-log purchases are seated in the lineup slots
+// (roster-slots.js); keepers are only a count there, so they're assumed to
+// fill the flex slots. A rival "needs" a player when one of its open slots
+// fits him and its true max bid covers his price.
+
+import {
+  getAuctionTargets,
+  getLeagueTeamStates,
+  getRoster,
+  replayDraftLog,
+} from "./storage.js";
+import { getEmptySlotKeys } from "./recommended-targets.js";
+import { getBaselineVal, getMarketEstimate, normalizeValueMode } from "./auction-data.js";
+import { getOpenSlotsAfter, getReplacementPositions, getSlot, isEligibleForSlot } from "./roster-slots.js";
+import { num, money, escapeHtml, normType, playerName, playerPos, playerKey } from "./helpers.js";
+
+const DRAIN_MIN_PRICE = 8;
+const DRAIN_ROWS = 8;
+const LATE_ROWS = 8;
+const ENDGAME_PRICE = 3;
+
+// Position used for depth + reasons: the player's first replacement position.
+function mainPosition(p) {
+  const side = normType(p?.type ?? p?.Type);
+  return getReplacementPositions(p, side)[0] || playerPos(p).split(/[,/\s]+/)[0] || (side === "pit" ? "P" : "UT");
+}
+
+/**
+ * Open lineup slots per rival, from their draft-log purchases.
+ * Returns [{ team: league team state, open: [slot keys] }].
+ */
+export function getRivalNeeds(states = getLeagueTeamStates()) {
+  return states
+    .filter((t) => !t.isMe && t.openSlots > 0)
+    .map((t) => {
+      const open = getOpenSlotsAfter(t.purchases.map((s) => ({ pos: s.pos, type: s.type })), { limit: t.openSlots });
+      return { team: t, open };
+    });
+}
+
+/**
+ * Build both lists.
+ * players: auction pool; inflation: live rate; valueMode: Value View.
+ * Returns { drain: [row], late: [row] }, row = { key, name, pos, price, value, reason, demand }.
+ */
+export function recommendNominations({ players = [], inflation = 1, valueMode = "proj" } = {}) {
+  const mode = normalizeValueMode(valueMode);
+  const rate = num(inflation, 1) || 1;
+  const states = getLeagueTeamStates();
+  const rivals = getRivalNeeds(states);
+
+  const rostered = new Set((getRoster() || []).map((r) => String(r.id || "").trim()).filter(Boolean));
+  const { sales } = replayDraftLog();
+  const targets = (getAuctionTargets() || []).filter((t) => {
+    const k = String(t?.player_key || "").trim();
+    return k && !sales.has(k) && !rostered.has(k);
+  });
+  const targetKeys = new Set(targets.map((t) => String(t.player_key).trim()));
+  const myOpen = getEmptySlotKeys();
+
+  // Remaining pool, priced.
+  const pool = [];
+  const byKey = new Map();
+  for (const p of players || []) {
+    const key = playerKey(p);
+    if (!key || sales.has(key) || rostered.has(key) || byKey.has(key)) continue;
+    const market = getMarketEstimate(p);
+    const base = market != null && market > 0 ? market : (getBaselineVal(p, mode) ?? 0);
+    const row = {
+      key,
+      player: p,
+      name: playerName(p) || key,
+      pos: mainPosition(p),
+      price: Math.max(1, Math.round(base * rate)),
+      value: Math.round((getBaselineVal(p, mode) ?? 0) * rate),
+    };
+    pool.push(row);
+    byKey.set(key, row);
+  }
+
+  // Rivals who need a player (open slot he fits) and can pay his price.
+  const demandFor = (p, price) => rivals.filter(({ team, open }) =>
+    team.trueMax >= price && open.some((k) => isEligibleForSlot(p, k))
+  );
+  // Similar players still available at the same position.
+  const depthFor = (row) => pool.filter((r) =>
+    r.key !== row.key && r.pos === row.pos && r.price >= Math.max(ENDGAME_PRICE, row.price * 0.6)
+  ).length;
+  const neededSlotLabel = (p, needing) => {
+    for (const { open } of needing) {
+      const k = open.find((x) => isEligibleForSlot(p, x));
+      if (k) return getSlot(k)?.label ?? k;
+    }
+    return mainPosition(p);
+  };
+
+  /* ---- Drain ---- */
+  const drain = [];
+  for (const row of pool) {
+    if (row.price < DRAIN_MIN_PRICE || targetKeys.has(row.key)) continue;
+
+    // Don't offer players we'd happily buy for an open slot.
+    const fitsUs = myOpen.some((k) => isEligibleForSlot(row.player, k));
+    if (fitsUs && row.value - row.price >= 3) continue;
+
+    const needing = demandFor(row.player, row.price);
+    if (needing.length < 2) continue;
+
+    const depth = depthFor(row);
+    const overpay = Math.max(0, row.price - row.value);
+    const scarce = needing.length > depth;
+    const score = row.price * Math.min(needing.length, 4) / 4 + overpay + (scarce ? 5 : 0);
+
+    const slot = neededSlotLabel(row.player, needing);
+    let reason;
+    if (scarce) {
+      reason = `${needing.length} rivals still need ${slot} and only ${depth} comparable ${row.pos} left — a bidding war drains them.`;
+    } else if (overpay >= 3) {
+      reason = `Room prices him ~${money(row.price)}, ${money(overpay)} over our value — let a rival overpay.`;
+    } else {
+      reason = `${needing.length} rivals with an open ${slot} can pay ~${money(row.price)}; we don't need him.`;
+    }
+
+    drain.push({ key: row.key, name: row.name, pos: playerPos(row.player), price: row.price, value: row.value, demand: needing.length, reason, score });
+  }
+  drain.sort((a, b) => b.score - a.score);
+
+  /* ---- Nominate late ---- */
+  const late = [];
+  for (const t of targets) {
+    const key = String(t.player_key).trim();
+    const row = byKey.get(key) || {
+      key,
+      player: { name: t.name, type: t.type, pos: t.pos },
+      name: t.name,
+      pos: mainPosition({ name: t.name, type: t.type, pos: t.pos }),
+      price: Math.max(1, Math.round(num(t.plan, 1))),
+      value: Math.round(num(t.plan, 0)),
+    };
+    const p = row.player;
+    const price = row.price;
+    const myMax = num(t.max, 0);
+
+    const needing = demandFor(p, price);
+    const depth = depthFor(row);
+    // Rivals who can pay more than our Max $ today, when the room already prices him above it.
+    const outbid = myMax > 0 && price > myMax
+      ? rivals.filter(({ team, open }) => team.trueMax > myMax && open.some((k) => isEligibleForSlot(p, k))).length
+      : 0;
+
+    let reason = null;
+    let score = 0;
+    if (price <= ENDGAME_PRICE) {
+      reason = `End-game buy (~${money(price)}): nominate in the last rounds when budgets are spent.`;
+      score = 1;
+    } else if (needing.length === 0) {
+      reason = `No rival both needs ${row.pos} and can pay ~${money(price)} — wait; he should go cheaper late.`;
+      score = 4;
+    } else if (needing.length <= 2 && depth >= 3) {
+      reason = `Only ${needing.length} rival${needing.length === 1 ? "" : "s"} need${needing.length === 1 ? "s" : ""} ${row.pos} and ${depth} similar players remain — let others set the market.`;
+      score = 3;
+    } else if (outbid >= 3) {
+      reason = `Room prices him ~${money(price)}, over your ${money(myMax)} max, and ${outbid} rivals who need ${row.pos} can pay it — wait for their budgets to shrink.`;
+      score = 2;
+    }
+    if (!reason) continue;
+
+    late.push({ key, name: row.name || t.name, pos: t.pos || playerPos(p), price, value: row.value, demand: needing.length, reason, score });
+  }
+  late.sort((a, b) => b.score - a.score || b.price - a.price);
+
+  return { drain: drain.slice(0, DRAIN_ROWS), late: late.slice(0, LATE_ROWS) };
+}
+
+/* ------------------------------ Panel ------------------------------ */
+
+function rowsHtml(rows, empty) {
+  if (!rows.length) return `<div class="small" style="opacity:.75;">${escapeHtml(empty)}</div>`;
+  return rows.map((r) => `
+    <div class="recRow nomRow">
+      <div class="recMain">
+        <div class="recName">${escapeHtml(r.name)}<span class="recMeta">${r.pos ? ` • ${escapeHtml(r.pos)}` : ""}</span></div>
+        <div class="recSub">
+          <span class="chip">~${money(r.price)}</span>
+          <span class="chip chipNeed">${r.demand} rival${r.demand === 1 ? "" : "s"} need</span>
+        </div>
+        <div class="small nomReason">${escapeHtml(r.reason)}</div>
+      </div>
+    </div>
+  `).join("");
+}
+
+export function mountNominationAssistant({ players, valueMode, inflation, containerId = "nominationAssistant" } = {}) {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  if (!(players || []).length) {
+    el.innerHTML = `<div class="small" style="opacity:.75;">Loading players…</div>`;
+    return;
+  }
+
+  let out;
+  try {
+    out = recommendNominations({ players, valueMode, inflation });
+  } catch (e) {
+    console.warn("[NOMINATE] failed", e);
+    el.innerHTML = `<div class="small">Nomination ideas failed: ${escapeHtml(e.message)}</div>`;
+    return;
+  }
+
+  el.innerHTML = `
+    <div class="nomCols">
+      <div>
+        <div class="small nomHead">Nominate to drain rivals</div>
+        ${rowsHtml(out.drain, "No clear money drains right now — rivals' needs are spread thin.")}
+      </div>
+      <div>
+        <div class="small nomHead">Your targets: nominate late</div>
+        ${rowsHtml(out.late, "None of your targets need holding back. Add targets with a Max $ to get timing hints.")}
+      </div>
+    </div>
+  `;
+}
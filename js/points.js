@@ -0,0 +1,67 @@
+// js/points.js
+// Points-league scoring: projected stat events × points per event.
+// The league config (league-config.js) holds the format and the points table;
+// stats are read through the category registry (categories.js), so derived
+// events like ER (ERA × IP / 9) and H+BB (WHIP × IP) work from the projections.
+//
+// In points mode the valuation engine prices off these totals instead of
+// category z-scores; Projections Rank, Recommended Targets and the roster
+// coverage panel follow.
+
+import { getScoringFormat, getPointsTable } from "./league-config.js";
+import { getCategoryStat } from "./categories.js";
+
+const VOLUME = { hit: "PA", pit: "IP" };
+
+export function isPointsLeague() {
+  return getScoringFormat() === "points";
+}
+
+/** Scoring stat ids for one side, in points-table order. */
+export function getPointsStatIds(side, table = getPointsTable()) {
+  return Object.keys(table?.[side] || {});
+}
+
+/**
+ * Projected fantasy points for one side of a player.
+ * Returns { total, byStat } or null when the player has no volume on that side.
+ */
+export function projectSidePoints(player, side, table = getPointsTable()) {
+  const vol = getCategoryStat(player, VOLUME[side]);
+  if (vol == null || vol <= 0) return null;
+
+  const byStat = {};
+  let total = 0;
+  for (const [stat, pts] of Object.entries(table?.[side] || {})) {
+    const v = getCategoryStat(player, stat);
+    if (v == null) continue;
+    byStat[stat] = v * pts;
+    total += byStat[stat];
+  }
+  return { total, byStat };
+}
+
+/**
+ * Projected fantasy points for a player (both sides for two-way rows).
+ * Returns { total, hit, pit } where hit / pit are projectSidePoints results (or null).
+ */
+export function projectPoints(player, table = getPointsTable()) {
+  const hit = projectSidePoints(player, "hit", table);
+  const pit = projectSidePoints(player, "pit", table);
+  return { total: (hit?.total ?? 0) + (pit?.total ?? 0), hit, pit };
+}
+
+/** Stamp `fpts_26` (projected fantasy points) onto a loaded pool (mutates rows). */
+export function applyProjectedPoints(players, table = getPointsTable()) {
+  for (const p of players || []) {
+    const pts = projectPoints(p, table);
+    p.fpts_26 = pts.hit || pts.pit ? Math.round(pts.total * 10) / 10 : "";
+  }
+  return players;
+}
+
+export function formatPoints(v) {
+  const n = Number(v);
+  if (v == null || v === "" || !Number.isFinite(n)) return "—";
+  return String(Math.round(n));
+}
@@ -2,6 +2,9 @@
 // Responsible ONLY for loading + parsing the CSV
 
 import { getPlayerKey } from "./player-key.js";
+import { getLeagueCategories } from "./league-config.js";
+import { getCategoryStat } from "./categories.js";
+import { applyProjectedPoints } from "./points.js";
 
 function parseCSV(text) {
   const rows = [];
@@ -104,6 +107,13 @@ function normalizeStats(obj) {
   obj.SV   = pick("SV", "sv", "saves", "Saves", "SV(2026)", "SV 2026");
   obj.HLD  = pick("HLD", "hld", "holds", "Holds", "HLD(2026)", "HLD 2026");
 
+  // ---- Any other league categories (OBP, SVH, K/9, ...) via the registry ----
+  for (const cat of getLeagueCategories()) {
+    if (obj[cat.id] !== undefined && obj[cat.id] !== "") continue;
+    const v = getCategoryStat(obj, cat);
+    obj[cat.id] = v == null ? "" : v;
+  }
+
   return obj;
 }
 
@@ -115,10 +125,11 @@ function hasDiacritics(s) {
 
 function filledCount(p) {
   // Prefer rows with more populated stat fields (prevents empty duplicate "winning")
-  const keys = [
+  const keys = new Set([
     "PA","AVG","OPS","TB","HR","RBI","R","SB",
-    "ERA","WHIP","IP","QS","K","SV","HLD"
-  ];
+    "ERA","WHIP","IP","QS","K","SV","HLD",
+    ...getLeagueCategories().map((c) => c.id),
+  ]);
 
   let c = 0;
   for (const k of keys) {
@@ -232,6 +243,9 @@ return obj;
   // ✅ Dedupe here so UI/search/tables all operate on the same canonical set
   const dedupedPlayers = dedupeByPlayerKey(players);
 
+  // Projected fantasy points (fpts_26) from the league's points table
+  applyProjectedPoints(dedupedPlayers);
+
   const hitters = dedupedPlayers.filter((p) => p.type === "hit");
   const pitchers = dedupedPlayers.filter((p) => ["pit", "sp", "rp", "cp"].includes(p.type));
 
@@ -1,7 +1,11 @@
 // projections-page.js
 
 import { loadPlayers } from "./projections-data.js";
+import { computeEngineValues, getValueSource } from "./valuation.js";
 import { normalizeName } from "./player-key.js";
+import { getLeagueCategories } from "./league-config.js";
+import { formatCategoryValue } from "./categories.js";
+import { isPointsLeague, projectSidePoints, formatPoints } from "./points.js";
 
 let ALL = [];
 let currentSort = "rank";
@@ -10,9 +14,17 @@ let updateSortIndicators = () => {}; // set in init()
 // Final position list + required order (user spec)
 const POS_ORDER = ["C","1B","2B","3B","SS","CI","MI","LF","CF","RF","OF","UT","SP","RP","CP"];
 
-// Columns considered "hitting" vs "pitching" for hide/show by Type
-const hitCols = ["AVG","OPS","TB","HR","R","RBI","SB"];
-const pitCols = ["ERA","WHIP","IP","QS","K","SV","HLD"];
+// League categories become the stat columns (league-config.js / categories.js).
+// Hitting vs pitching decides hide/show by Type.
+const HIT_CATS = getLeagueCategories("hit");
+const PIT_CATS = getLeagueCategories("pit");
+const CATS = [...HIT_CATS, ...PIT_CATS];
+const hitCols = HIT_CATS.map((c) => c.id);
+const pitCols = PIT_CATS.map((c) => c.id);
+const LOWER_BETTER = CATS.filter((c) => c.direction === "lower").map((c) => c.id);
+
+// Points leagues rank by projected fantasy points and show them as a column.
+const POINTS = isPointsLeague();
 
 function normalize(s) {
   return normalizeName(s ?? "");
@@ -32,6 +44,7 @@ function isPitcher(p) {
 }
 
 function getProjValue(p) {
+  if (POINTS) return num(p.fpts_26);
   return num(p.ProjVal ?? p["Proj Anchor"] ?? 0);
 }
 
@@ -118,11 +131,11 @@ function applyFilters(players) {
 
 // Fixed sort direction rules:
 // - Name/Team/POS ascending
-// - ERA/WHIP ascending (lower is better)
+// - Lower-is-better categories (ERA/WHIP) ascending
 // - Everything else descending
 function sortDir(key) {
   if (["Name","Team","POS"].includes(key)) return +1;
-  if (["ERA","WHIP"].includes(key)) return +1;
+  if (LOWER_BETTER.includes(key)) return +1;
   return -1;
 }
 
@@ -144,8 +157,8 @@ function sortPlayers(players) {
     let av = num(a[currentSort]);
     let bv = num(b[currentSort]);
 
-    // For ERA/WHIP specifically: missing should sort LAST, not first.
-    if (["ERA","WHIP"].includes(currentSort)) {
+    // For lower-is-better stats: missing should sort LAST, not first.
+    if (LOWER_BETTER.includes(currentSort)) {
       const aMissing = !(Number(a[currentSort]) > 0);
       const bMissing = !(Number(b[currentSort]) > 0);
       if (aMissing && !bMissing) return +1;
@@ -157,7 +170,7 @@ function sortPlayers(players) {
 }
 
 function assignProjRank(filteredPool) {
-  // Rank within the filtered pool by ProjVal descending
+  // Rank within the filtered pool by ProjVal (points leagues: FPTS) descending
   const byProj = [...filteredPool].sort((a, b) => getProjValue(b) - getProjValue(a));
   byProj.forEach((p, i) => (p._projRank = i + 1));
 }
@@ -186,17 +199,25 @@ function updateTotals(filteredPool) {
 
   const sum = (arr, key) => arr.reduce((t, p) => t + num(p[key]), 0);
 
-  const hitPA = sum(hitters, "PA");
-
-  const avgW = weightedAvg(hitters, "AVG", "PA");
-  const eraW = weightedAvg(pitchers, "ERA", "IP");
-  const whipW = weightedAvg(pitchers, "WHIP", "IP");
-
-  document.getElementById("hitTotals").textContent =
-    `PA: ${Math.round(hitPA)} • AVG: ${avgW ? avgW.toFixed(3) : "—"} • OPS: ${weightedAvg(hitters,"OPS","PA") ? weightedAvg(hitters,"OPS","PA").toFixed(3) : "—"} • TB: ${Math.round(sum(hitters,"TB"))} • HR: ${Math.round(sum(hitters,"HR"))} • RBI: ${Math.round(sum(hitters,"RBI"))} • R: ${Math.round(sum(hitters,"R"))} • SB: ${Math.round(sum(hitters,"SB"))}`;
+  // Rate stats are volume-weighted (AVG by PA, ERA by IP); counting stats sum.
+  const totalText = (arr, cats, volume) => {
+    const parts = cats.some((c) => c.id === volume)
+      ? []
+      : [`${volume}: ${volume === "IP" ? sum(arr, volume).toFixed(1) : Math.round(sum(arr, volume))}`];
+    for (const c of cats) {
+      const v = c.kind === "rate" ? weightedAvg(arr, c.id, c.volume) : sum(arr, c.id);
+      parts.push(`${c.id}: ${c.kind === "rate" && !v ? "—" : formatCategoryValue(c, v)}`);
+    }
+    if (POINTS) {
+      const side = volume === "IP" ? "pit" : "hit";
+      const pts = arr.reduce((t, p) => t + (projectSidePoints(p, side)?.total ?? 0), 0);
+      parts.unshift(`FPTS: ${formatPoints(pts)}`);
+    }
+    return parts.join(" • ");
+  };
 
-  document.getElementById("pitTotals").textContent =
-    `IP: ${sum(pitchers,"IP").toFixed(1)} • ERA: ${eraW ? eraW.toFixed(2) : "—"} • WHIP: ${whipW ? whipW.toFixed(2) : "—"} • QS: ${Math.round(sum(pitchers,"QS"))} • K: ${Math.round(sum(pitchers,"K"))} • SV: ${Math.round(sum(pitchers,"SV"))} • HLD: ${Math.round(sum(pitchers,"HLD"))}`;
+  document.getElementById("hitTotals").textContent = totalText(hitters, HIT_CATS, "PA");
+  document.getElementById("pitTotals").textContent = totalText(pitchers, PIT_CATS, "IP");
 
   // Hide/show totals boxes depending on type
   const hitBox = document.getElementById("hitTotals").parentElement;
@@ -246,22 +267,9 @@ function render(players) {
       <td>${p.Name}</td>
       <td>${p.Team ?? ""}</td>
       <td>${p.POS ?? ""}</td>
+      ${POINTS ? `<td>${formatPoints(p.fpts_26)}</td>` : ""}
 
-      <td>${num(p.AVG) ? num(p.AVG).toFixed(3) : 0}</td>
-      <td>${num(p.OPS) ? num(p.OPS).toFixed(3) : 0}</td>
-      <td>${Math.round(num(p.TB))}</td>
-      <td>${Math.round(num(p.HR))}</td>
-      <td>${Math.round(num(p.R))}</td>
-      <td>${Math.round(num(p.RBI))}</td>
-      <td>${Math.round(num(p.SB))}</td>
-
-      <td>${num(p.ERA) ? num(p.ERA).toFixed(2) : 0}</td>
-      <td>${num(p.WHIP) ? num(p.WHIP).toFixed(2) : 0}</td>
-      <td>${num(p.IP) ? num(p.IP).toFixed(1) : 0}</td>
-      <td>${Math.round(num(p.QS))}</td>
-      <td>${Math.round(num(p.K))}</td>
-      <td>${Math.round(num(p.SV))}</td>
-      <td>${Math.round(num(p.HLD))}</td>
+      ${CATS.map((c) => `<td>${num(p[c.id]) ? formatCategoryValue(c, p[c.id]) : 0}</td>`).join("")}
     `;
 
     tbody.appendChild(tr);
@@ -292,6 +300,19 @@ async function init() {
   const { hitters, pitchers } = await loadPlayers();
   ALL = [...hitters, ...pitchers];
 
+  // Proj column follows the same value source as the Auction Board.
+  if (getValueSource() === "engine") {
+    try {
+      const { byPlayer } = computeEngineValues(ALL);
+      for (const p of ALL) {
+        const v = byPlayer.get(p);
+        if (v) p.ProjVal = v.value;
+      }
+    } catch (e) {
+      console.warn("[PROJ] valuation engine failed; using CSV Proj", e);
+    }
+  }
+
   // Populate Position dropdown in your REQUIRED order (not dynamic garbage)
   const posSelect = document.getElementById("projPos");
   posSelect.innerHTML = `<option value="all">All</option>`;
@@ -302,6 +323,25 @@ async function init() {
     posSelect.appendChild(opt);
   });
 
+  // One header per league category after the fixed Rank / Name / Team / Pos columns
+  const headRow = document.querySelector("#projTable thead tr");
+  if (headRow) {
+    if (POINTS) {
+      const th = document.createElement("th");
+      th.dataset.sort = "fpts_26";
+      th.textContent = "FPTS";
+      th.title = "Projected fantasy points";
+      headRow.appendChild(th);
+    }
+    for (const c of CATS) {
+      const th = document.createElement("th");
+      th.dataset.sort = c.id;
+      th.textContent = c.id;
+      th.title = c.name;
+      headRow.appendChild(th);
+    }
+  }
+
     // Header click sorting + "clickable" styling + sort indicator arrows
   const headers = Array.from(document.querySelectorAll("#projTable th"));
 
@@ -329,7 +369,7 @@ async function init() {
         return;
       }
 
-      // Fixed direction rules from your sortDir(): Name/Team/POS asc, ERA/WHIP asc, others desc.
+      // Fixed direction rules from your sortDir(): Name/Team/POS asc, lower-is-better asc, others desc.
       // Rank is Proj (desc).
       const dir = (currentSort === "rank") ? -1 : sortDir(currentSort);
       const arrow = dir === +1 ? " ↑" : " ↓";
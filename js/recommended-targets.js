@@ -1,20 +1,36 @@
 // js/recommended-targets.js
 // Recommended Targets panel (objective + biased only via user strategy weights).
 
-import { getCategoryWeights, getRoster, getLivePrices, getSettings, addAuctionTarget, addToRosterFromCsv, getAuctionTargets } from "./storage.js";
+import { getCategoryWeights, getRoster, replayDraftLog, getSettings, addAuctionTarget, addToRosterFromCsv, getAuctionTargets, load, save } from "./storage.js";
 import {
   detectCatStats,
-  getCatStat,
+  getCatStatEntry,
   getBaselineVal,
   getMarketEstimate,
   getPlayerKey,
+  getLiveInflation,
+  normalizeValueMode,
 } from "./auction-data.js";
 
+import { getLeagueCategories } from "./league-config.js";
+import { isPointsLeague, projectPoints } from "./points.js";
+import {
+  getSlot,
+  getSlotBoost,
+  getSlotFillOrder,
+  getStartingSlots,
+  isEligibleForSlot,
+  summarizeOpenSlots,
+} from "./roster-slots.js";
+
 const PLANNER_STORAGE_KEY = "hag_lineup_planner_v1";
 
-// Keep these aligned with auction-data.js categories.
-const HIT_CATS = ["OPS", "TB", "HR", "RBI", "R", "AVG", "SB"];
-const PIT_CATS = ["ERA", "WHIP", "IP", "K", "QS", "SV", "HLD"];
+// League categories (same list auction-data.js weights against).
+const HIT_CATS = getLeagueCategories("hit").map((c) => c.id);
+const PIT_CATS = getLeagueCategories("pit").map((c) => c.id);
+const LOWER_IS_BETTER = new Set(
+  getLeagueCategories().filter((c) => c.direction === "lower").map((c) => c.id)
+);
 
 const REC_FILTER_KEY = "hag_rec_filters_v1";
 
@@ -32,27 +48,22 @@ function clamp(n, lo, hi) {
 }
 
 function loadRecFilters() {
-  try {
-    const raw = localStorage.getItem(REC_FILTER_KEY);
-    const obj = raw ? JSON.parse(raw) : {};
-    return {
-      affordable_only: !!obj.affordable_only,
-      max_price: obj.max_price != null && obj.max_price !== "" ? Number(obj.max_price) : null,
-    };
-  } catch {
-    return { affordable_only: false, max_price: null };
-  }
+  const obj = load(REC_FILTER_KEY, {}) || {};
+  return {
+    affordable_only: !!obj.affordable_only,
+    max_price: obj.max_price != null && obj.max_price !== "" ? Number(obj.max_price) : null,
+  };
 }
 
 function saveRecFilters(next) {
-  try {
-    localStorage.setItem(REC_FILTER_KEY, JSON.stringify(next || {}));
-  } catch {
-    // ignore
-  }
+  save(REC_FILTER_KEY, next || {});
 }
 
-function computeAutoMaxBid() {
+/**
+ * Most we can bid on one player: money left (after keepers, wins and Plan $)
+ * less $1 for every other open roster spot.
+ */
+export function computeAutoMaxBid() {
   const s = getSettings();
   const roster = getRoster() || [];
   const totalSlots = Math.max(0, num(s?.hitter_slots_total, 0)) + Math.max(0, num(s?.pitcher_slots_total, 0));
@@ -65,61 +76,26 @@ function computeAutoMaxBid() {
   return { maxBid, remainingBudget, remainingSlots, totalSlots, filled };
 }
 
-function normPosList(pos) {
-  return String(pos ?? "")
-    .split(/[,/\s]+/)
-    .map((p) => p.trim().toUpperCase())
-    .filter(Boolean);
-}
-
 function normType(t) {
   const s = String(t ?? "").trim().toLowerCase();
   return s === "pit" ? "pit" : "hit";
 }
 
-function isEligibleForSlot(player, slotKey) {
-  const type = normType(player.type ?? player.Type ?? "");
-  const posList = normPosList(player.POS ?? player.pos ?? player.Position ?? "");
-
-  // Pitching slots
-  if (slotKey.startsWith("P")) return type === "pit";
-
-  // UT
-  if (slotKey === "UT") return type === "hit";
-
-  // OF duplicates
-  if (slotKey === "OF1" || slotKey === "OF2") {
-    return type === "hit" && (posList.includes("OF") || posList.includes("LF") || posList.includes("CF") || posList.includes("RF"));
-  }
-
-  // CI / MI
-  if (slotKey === "CI") return type === "hit" && (posList.includes("1B") || posList.includes("3B"));
-  if (slotKey === "MI") return type === "hit" && (posList.includes("2B") || posList.includes("SS"));
-
-  // Standard
-  return type === "hit" && posList.includes(slotKey);
-}
-
 function loadPlannerState() {
-  try {
-    const raw = localStorage.getItem(PLANNER_STORAGE_KEY);
-    if (!raw) return { slots: {}, minors: [] };
-    const parsed = JSON.parse(raw);
-    return {
-      slots: parsed?.slots && typeof parsed.slots === "object" ? parsed.slots : {},
-      minors: Array.isArray(parsed?.minors) ? parsed.minors : [],
-    };
-  } catch {
-    return { slots: {}, minors: [] };
-  }
+  const parsed = load(PLANNER_STORAGE_KEY, null);
+  return {
+    slots: parsed?.slots && typeof parsed.slots === "object" ? parsed.slots : {},
+    minors: Array.isArray(parsed?.minors) ? parsed.minors : [],
+  };
 }
 
 export function getEmptySlotKeys() {
   const state = loadPlannerState();
   const slots = state.slots || {};
 
-  const hit = ["C","1B","2B","3B","SS","CI","MI","LF","CF","RF","OF1","OF2","UT"];
-  const pit = Array.from({ length: 9 }).map((_, i) => `P${i + 1}`);
+  // Lineup slots only: bench spots are never a roster need.
+  const hit = getStartingSlots("hit").map((s) => s.key);
+  const pit = getStartingSlots("pit").map((s) => s.key);
 
   const empty = [];
   for (const k of [...hit, ...pit]) {
@@ -134,16 +110,8 @@ function needBoostForPlayer(player, emptySlots) {
   let boost = 0;
   for (const k of emptySlots) {
     if (!isEligibleForSlot(player, k)) continue;
-
-    // Tuneable boosts
-    let b = 0;
-    if (k.startsWith("P")) b = 6;
-    else if (k === "UT") b = 4;
-    else if (k === "OF1" || k === "OF2") b = 8;
-    else if (k === "CI" || k === "MI") b = 10;
-    else b = 10;
-
-    boost = Math.max(boost, b);
+    // Per-slot boost from the slot definition (roster-slots.js)
+    boost = Math.max(boost, getSlotBoost(k));
   }
   return boost;
 }
@@ -176,6 +144,12 @@ function pickFallbackPrice(p) {
 function computeFitRaw(player, weights, hasCatStats) {
   // Objective "fit" uses ONLY user weights applied to raw category stats.
   // We normalize later so different stat magnitudes don't dominate.
+  // Points leagues: fit is projected fantasy points (weights don't apply).
+  if (player && isPointsLeague()) {
+    const fpts = Number(player.fpts_26);
+    if (player.fpts_26 !== "" && player.fpts_26 != null && Number.isFinite(fpts)) return fpts;
+    return projectPoints(player).total;
+  }
   if (!player || !hasCatStats) return 0;
   const w = weights || {};
   const cats = normType(player.type ?? player.Type ?? "") === "pit" ? PIT_CATS : HIT_CATS;
@@ -185,9 +159,11 @@ function computeFitRaw(player, weights, hasCatStats) {
   for (const cat of cats) {
     const ww = num(w[cat], 0);
     if (!ww) continue;
-    const v = getCatStat(player, cat);
-    if (v == null) continue;
+    const stat = getCatStatEntry(player, cat);
+    if (!stat) continue;
     any = true;
+    // __w components are already flipped for ERA / WHIP; only raw stats need it.
+    const v = stat.component || !LOWER_IS_BETTER.has(cat) ? stat.value : -stat.value;
     sum += v * ww;
   }
   return any && Number.isFinite(sum) ? sum : 0;
@@ -206,7 +182,8 @@ function scorePlayers(players, valueMode, opts = {}) {
   );
 
   const emptySlots = getEmptySlotKeys();
-  const livePrices = getLivePrices();
+  // Players already sold in the live draft are off the board.
+  const { sales } = replayDraftLog();
   // Some pools start with auction-only rows that don't have stat columns.
   // Scan a slice so we don't incorrectly think the dataset has no stats.
   let hasCatStats = false;
@@ -218,6 +195,11 @@ function scorePlayers(players, valueMode, opts = {}) {
   const scored = [];
   const fitRaws = [];
 
+  // Inflation scales both value and price, so edges track the room's remaining money.
+  const inflation = Number.isFinite(Number(opts.inflation))
+    ? Number(opts.inflation)
+    : getLiveInflation(players, valueMode).rate;
+
   const affordableOnly = !!opts.affordableOnly;
   const maxPrice = Number.isFinite(Number(opts.maxPrice)) ? Number(opts.maxPrice) : null;
 
@@ -231,15 +213,17 @@ function scorePlayers(players, valueMode, opts = {}) {
     // Exclude already-targeted players
     if (targetKeys.has(key)) continue;
 
+    // Exclude players sold in the draft log
+    if (sales.has(key)) continue;
+
     // $ value for pricing / delta (does NOT include strategy weighting)
-    const baseVal = getBaselineVal(p, valueMode) ?? 0;
+    const baseVal = (getBaselineVal(p, valueMode) ?? 0) * inflation;
 
     // Strategy fit (raw), normalized later.
     const fitRaw = computeFitRaw(p, weights, hasCatStats);
     fitRaws.push(fitRaw);
 
-    const live = livePrices[key];
-    const price = (live != null && live !== "") ? num(live, 0) : pickFallbackPrice(p);
+    const price = pickFallbackPrice(p) * inflation;
 
     const needBoost = needBoostForPlayer(p, emptySlots);
 
@@ -285,20 +269,15 @@ function slotChipText(emptySlots, p) {
     if (isEligibleForSlot(p, k)) hits.push(k);
   }
   if (!hits.length) return "";
-  // Prefer MI/CI/C/SS/2B/3B/1B over OF/UT, and OF/UT over pitching
+  // Prefer the most restrictive slot (same order the valuation engine fills),
+  // hitting before pitching.
+  const order = [...getSlotFillOrder("hit"), ...getSlotFillOrder("pit")];
   const priority = (k) => {
-    if (k === "MI" || k === "CI") return 1;
-    if (k === "C" || k === "SS" || k === "2B" || k === "3B" || k === "1B") return 2;
-    if (k === "OF1" || k === "OF2" || k === "LF" || k === "CF" || k === "RF") return 3;
-    if (k === "UT") return 4;
-    if (k.startsWith("P")) return 5;
-    return 9;
+    const i = order.indexOf(k);
+    return i >= 0 ? i : order.length;
   };
   hits.sort((a, b) => priority(a) - priority(b));
-  const k = hits[0];
-  if (k === "OF1" || k === "OF2") return "Fills OF";
-  if (k.startsWith("P")) return "Fills P";
-  return `Fills ${k}`;
+  return `Fills ${getSlot(hits[0])?.label ?? hits[0]}`;
 }
 
 function renderRows(container, rows, emptySlots, maxRows = 10, { showActions = false } = {}) {
@@ -351,6 +330,7 @@ function renderRows(container, rows, emptySlots, maxRows = 10, { showActions = f
 export function mountRecommendedTargets({
   players,
   valueMode,
+  inflation,
   fullContainerId = "recTargets",
   needsContainerId = "recNeeds",
   valuesContainerId = "recValues",
@@ -363,7 +343,7 @@ export function mountRecommendedTargets({
   const elValues = document.getElementById(valuesContainerId);
   const elFits = document.getElementById(fitsContainerId);
 
-  const mode = String(valueMode || "proj").toLowerCase() === "market" ? "market" : "proj";
+  const mode = normalizeValueMode(valueMode);
 
   // Affordability controls (Auction Board only; safe no-ops elsewhere)
   const cb = document.getElementById("recAffordableOnly");
@@ -401,7 +381,7 @@ export function mountRecommendedTargets({
   // Persist latest settings (so refresh keeps behavior)
   saveRecFilters({ affordable_only: affordableOnly, max_price: maxInput && String(maxInput.value || "").trim() ? Math.round(maxPrice) : null });
 
-  const { scored, emptySlots } = scorePlayers(players || [], mode, { affordableOnly, maxPrice });
+  const { scored, emptySlots } = scorePlayers(players || [], mode, { affordableOnly, maxPrice, inflation });
 
   // Bucket A: Fill Needs
   const needs = scored.filter((r) => r.needBoost > 0);
@@ -474,11 +454,9 @@ export function mountRecommendedTargets({
   // Header helpers
   const elEmpty = document.getElementById("recEmptySlots");
   if (elEmpty) {
-    const pretty = emptySlots
-      .filter((k) => !k.startsWith("P"))
-      .map((k) => (k === "OF1" || k === "OF2") ? "OF" : k)
-      .join(", ");
-    const pitEmpty = emptySlots.filter((k) => k.startsWith("P")).length;
+    const open = summarizeOpenSlots(emptySlots);
+    const pretty = open.hit.join(", ");
+    const pitEmpty = open.pit;
     const extra = pitEmpty ? ` • P slots open: ${pitEmpty}` : "";
     elEmpty.textContent = pretty ? `Empty slots: ${pretty}${extra}` : `Empty slots: —${extra}`;
   }
@@ -492,13 +470,13 @@ export function mountRosterMiniRecommended({
   const el = document.getElementById(containerId);
   if (!el) return;
 
-  const mode = String(valueMode || "proj").toLowerCase() === "market" ? "market" : "proj";
+  const mode = normalizeValueMode(valueMode);
   const { scored, emptySlots } = scorePlayers(players || [], mode);
   const needs = scored.filter((r) => r.needBoost > 0);
 
   el.innerHTML = `
     <div class="small" style="opacity:.8; margin-bottom:8px;" id="rosterRecEmpty">
-      ${emptySlots.length ? `Empty slots: ${emptySlots.filter(k=>!k.startsWith('P')).map(k => (k==='OF1'||k==='OF2')?'OF':k).join(', ')}` : "Empty slots: —"}
+      ${emptySlots.length ? `Empty slots: ${summarizeOpenSlots(emptySlots).hit.join(", ")}` : "Empty slots: —"}
     </div>
     <div id="${containerId}Rows"></div>
     <div class="small" style="opacity:.75; margin-top:10px;">
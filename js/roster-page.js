@@ -4,11 +4,21 @@ import {
   updateRosterPlayer,
   removeRosterPlayer,
   getSettings,
-  recalcBudgetRemaining
+  recalcBudgetRemaining,
+  load,
+  save,
+  transaction
 } from "./storage.js";
 import { getPlayerKey, normalizeName } from "./player-key.js";
 import { hydrateHeader } from "./nav.js";
 import { renderTeamCoverage } from "./team-coverage.js";
+import { renderProjectedStandings } from "./standings.js";
+import { renderContractPlanner } from "./contract-planner.js";
+import { getContractSeason, getKeeperSalary } from "./contract-rules.js";
+import { renderKeeperDecisions } from "./keeper-engine.js";
+import { HITTING_SLOTS, PITCHING_SLOTS, getSlot, getStartingSlots, isEligibleForSlot } from "./roster-slots.js";
+import { getMaxContractYears, getMinorsLimit } from "./league-config.js";
+import { onLiveSync } from "./live-sync.js";
 
 // ✅ Update this if your CSV filename differs
 const CSV_PATH = "./data/master.csv";
@@ -19,43 +29,18 @@ const CSV_PATH = "./data/master.csv";
 
 const PLANNER_STORAGE_KEY = "hag_lineup_planner_v1";
 
-const HITTING_SLOTS = [
-  { key: "C", label: "C" },
-  { key: "1B", label: "1B" },
-  { key: "2B", label: "2B" },
-  { key: "3B", label: "3B" },
-  { key: "SS", label: "SS" },
-  { key: "CI", label: "CI" },
-  { key: "MI", label: "MI" },
-  { key: "LF", label: "LF" },
-  { key: "CF", label: "CF" },
-  { key: "RF", label: "RF" },
-  { key: "OF1", label: "OF" },
-  { key: "OF2", label: "OF" },
-  { key: "UT", label: "UT" }
-];
-
-const PITCHING_SLOTS = Array.from({ length: 9 }).map((_, i) => ({
-  key: `P${i + 1}`,
-  label: `P${i + 1}`
-}));
-
 function loadPlannerState() {
-  try {
-    const raw = localStorage.getItem(PLANNER_STORAGE_KEY);
-    if (!raw) return { slots: {}, minors: [] };
-    const parsed = JSON.parse(raw);
-    return {
-      slots: parsed?.slots && typeof parsed.slots === "object" ? parsed.slots : {},
-      minors: Array.isArray(parsed?.minors) ? parsed.minors : []
-    };
-  } catch {
-    return { slots: {}, minors: [] };
-  }
+  const parsed = load(PLANNER_STORAGE_KEY, null);
+  return {
+    slots: parsed?.slots && typeof parsed.slots === "object" ? parsed.slots : {},
+    minors: Array.isArray(parsed?.minors) ? parsed.minors : []
+  };
 }
 
-function savePlannerState(state) {
-  localStorage.setItem(PLANNER_STORAGE_KEY, JSON.stringify(state));
+// label: history entry for the user's slot changes (history.js); the
+// clean-up save in renderPlanner() stays unlabelled.
+function savePlannerState(state, label = null) {
+  transaction(() => save(PLANNER_STORAGE_KEY, state), { label });
 }
 function getCoverageRoster(roster) {
   const state = loadPlannerState();
@@ -63,40 +48,10 @@ function getCoverageRoster(roster) {
   return roster.filter((p) => !minorsSet.has(p.id));
 }
 
-function normPosList(pos) {
-  return String(pos ?? "")
-    .split(/[,/\s]+/)
-    .map((p) => p.trim().toUpperCase())
-    .filter(Boolean);
-}
-
-function isEligibleForSlot(player, slotKey) {
-  const type = String(player.type ?? player.Type ?? "").toLowerCase();
-  const posList = normPosList(player.pos ?? player.POS ?? "");
-
-  // Pitching
-  if (slotKey.startsWith("P")) return type === "pit";
-
-  // UT
-  if (slotKey === "UT") return type === "hit";
-
-  // OF duplicates
-  if (slotKey === "OF1" || slotKey === "OF2") {
-    return type === "hit" && (posList.includes("OF") || posList.includes("LF") || posList.includes("CF") || posList.includes("RF"));
-  }
-
-  // CI / MI
-  if (slotKey === "CI") return type === "hit" && (posList.includes("1B") || posList.includes("3B"));
-  if (slotKey === "MI") return type === "hit" && (posList.includes("2B") || posList.includes("SS"));
-
-  // Standard hitting slots
-  return type === "hit" && posList.includes(slotKey);
-}
-
 function buildPlayerLabel(p) {
   const team = p.team ? ` • ${p.team}` : "";
   const pos = p.pos ? ` • ${p.pos}` : "";
-  const price = p.underContract ? ` • $${Number(p.price ?? 0)}` : "";
+  const price = p.underContract ? ` • $${getKeeperSalary(p, 0)}` : "";
   return `${p.name}${team}${pos}${price}`;
 }
 
@@ -121,10 +76,12 @@ function renderPlanner(roster, pool) {
 }
   };
 
-  // Clean up state if players were removed from roster
+  // Clean up state if players were removed from roster (or the slot no longer exists)
   const rosterIds = new Set(roster.map((p) => p.id));
+  const lineupKeys = new Set([...getStartingSlots("hit"), ...getStartingSlots("pit")].map((s) => s.key));
   for (const k of Object.keys(state.slots)) {
     if (state.slots[k] && !rosterIds.has(state.slots[k])) delete state.slots[k];
+    else if (!lineupKeys.has(k)) delete state.slots[k];
   }
   state.minors = state.minors.filter((id) => rosterIds.has(id));
 
@@ -137,6 +94,9 @@ function renderPlanner(roster, pool) {
   // Assigned players set
   const assignedIds = new Set(Object.values(state.slots).filter(Boolean));
 
+  const nameOf = (id) => roster.find((p) => p.id === id)?.name || "player";
+  const slotName = (key) => getSlot(key)?.label || key;
+
   // Helpers to update state
   const setSlot = (slotKey, playerIdOrEmpty) => {
     const next = loadPlannerState();
@@ -145,7 +105,7 @@ function renderPlanner(roster, pool) {
 
         if (!playerIdOrEmpty) {
       delete next.slots[slotKey];
-      savePlannerState(next);
+      savePlannerState(next, `Lineup: clear ${slotName(slotKey)}`);
       renderPlanner(roster, pool);
       rerenderCoverage();
       return;
@@ -159,15 +119,20 @@ function renderPlanner(roster, pool) {
     // If player is in minors, remove from minors
         next.minors = next.minors.filter((id) => id !== playerIdOrEmpty);
     next.slots[slotKey] = playerIdOrEmpty;
-    savePlannerState(next);
+    savePlannerState(next, `Lineup: ${nameOf(playerIdOrEmpty)} → ${slotName(slotKey)}`);
     renderPlanner(roster, pool);
     rerenderCoverage();
   };
 
+  // League config caps minors slots (null = unlimited).
+  const minorsLimit = getMinorsLimit();
+  const minorsFull = minorsLimit != null && state.minors.length >= minorsLimit;
+
   const moveToMinors = (playerId) => {
     const next = loadPlannerState();
     next.minors = Array.isArray(next.minors) ? next.minors : [];
     next.slots = next.slots && typeof next.slots === "object" ? next.slots : {};
+    if (minorsLimit != null && !next.minors.includes(playerId) && next.minors.length >= minorsLimit) return;
 
     // Unassign from slots
     for (const k of Object.keys(next.slots)) {
@@ -175,7 +140,7 @@ function renderPlanner(roster, pool) {
     }
 
         if (!next.minors.includes(playerId)) next.minors.push(playerId);
-    savePlannerState(next);
+    savePlannerState(next, `Lineup: ${nameOf(playerId)} → minors`);
     renderPlanner(roster, pool);
     rerenderCoverage();
   };
@@ -184,7 +149,7 @@ function renderPlanner(roster, pool) {
     const next = loadPlannerState();
     next.minors = Array.isArray(next.minors) ? next.minors : [];
         next.minors = next.minors.filter((id) => id !== playerId);
-    savePlannerState(next);
+    savePlannerState(next, `Lineup: ${nameOf(playerId)} off minors`);
     renderPlanner(roster, pool);
     rerenderCoverage();
   };
@@ -230,8 +195,9 @@ function renderPlanner(roster, pool) {
     }
   };
 
-  renderSlotGroup(hitWrap, HITTING_SLOTS);
-  renderSlotGroup(pitWrap, PITCHING_SLOTS);
+  // Bench slots aren't assignable: anyone not starting sits on the bench.
+  renderSlotGroup(hitWrap, getStartingSlots("hit"));
+  renderSlotGroup(pitWrap, getStartingSlots("pit"));
 
   // Bench = roster - assigned - minors
   const bench = roster.filter((p) => !assignedIds.has(p.id) && !minorsSet.has(p.id));
@@ -269,6 +235,7 @@ function renderPlanner(roster, pool) {
       btn.type = "button";
       btn.className = "ghost";
       btn.textContent = "Minors";
+      btn.disabled = minorsFull;
       btn.addEventListener("click", () => moveToMinors(p.id));
       actions.appendChild(btn);
 
@@ -281,6 +248,15 @@ function renderPlanner(roster, pool) {
   renderBench(benchHit, benchHitters);
   renderBench(benchPit, benchPitchers);
 
+  // Bench capacity from the slot definition (hidden when the league has no bench slots)
+  const benchCap = (slots) => slots.filter((s) => s.bench).length;
+  const setBenchCount = (id, n, cap) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = cap ? `(${n}/${cap})` : "";
+  };
+  setBenchCount("benchHitCount", benchHitters.length, benchCap(HITTING_SLOTS));
+  setBenchCount("benchPitCount", benchPitchers.length, benchCap(PITCHING_SLOTS));
+
   // Minors add dropdown: any roster player not already in minors
   minorsAddSelect.innerHTML = "";
   const blank = document.createElement("option");
@@ -296,6 +272,12 @@ function renderPlanner(roster, pool) {
     minorsAddSelect.appendChild(opt);
   }
 
+  minorsAddBtn.disabled = minorsFull;
+  const minorsCount = document.getElementById("minorsCount");
+  if (minorsCount) {
+    minorsCount.textContent = minorsLimit != null ? `(${state.minors.length}/${minorsLimit})` : "";
+  }
+
   minorsAddBtn.onclick = () => {
     const id = minorsAddSelect.value;
     if (!id) return;
@@ -528,7 +510,7 @@ function renderRoster(roster, tbody, meta, onChange, onRemove) {
   if (!roster.length) {
     const tr = document.createElement("tr");
     const cell = document.createElement("td");
-    cell.colSpan = 10;
+    cell.colSpan = 11;
     cell.className = "small";
     cell.style.padding = "12px";
     cell.textContent = "No players yet. Add someone above.";
@@ -575,6 +557,7 @@ function renderRoster(roster, tbody, meta, onChange, onRemove) {
     const tIn = document.createElement("input");
     tIn.type = "number";
     tIn.min = "1";
+    tIn.max = String(getMaxContractYears());
     tIn.step = "1";
     tIn.value = String(r.contractTotal ?? 1);
     tIn.style.width = "70px";
@@ -582,6 +565,20 @@ function renderRoster(roster, tbody, meta, onChange, onRemove) {
     tTd.appendChild(tIn);
     tr.appendChild(tTd);
 
+    // Extension years bought past the original deal
+    const eTd = document.createElement("td");
+    const eIn = document.createElement("input");
+    eIn.type = "number";
+    eIn.min = "0";
+    eIn.max = String(Math.max(0, getMaxContractYears() - Number(r.contractTotal ?? 1)));
+    eIn.step = "1";
+    eIn.value = String(r.extensionYears ?? 0);
+    eIn.style.width = "70px";
+    eIn.title = "Extension years (priced by the league's escalation rules)";
+    eIn.addEventListener("change", () => onChange(r.id, { extensionYears: Number(eIn.value) }));
+    eTd.appendChild(eIn);
+    tr.appendChild(eTd);
+
     // Price
     const pTd = document.createElement("td");
     const pIn = document.createElement("input");
@@ -594,8 +591,9 @@ function renderRoster(roster, tbody, meta, onChange, onRemove) {
     pTd.appendChild(pIn);
     tr.appendChild(pTd);
 
-    // Notation
-    const notation = r.underContract ? `${r.contractYear}/${r.contractTotal}, $${Number(r.price ?? 0)}` : "—";
+    // Notation: contract year / length (with extensions) and this season's salary
+    const season = getContractSeason(r, 0);
+    const notation = season ? `${season.year}/${season.total}, $${season.salary}` : "—";
     tr.appendChild(td(notation));
 
     // Remove
@@ -633,8 +631,10 @@ async function init() {
     const matches = q ? pool.filter((p) => norm(p.Name).includes(q)) : [];
 
     renderAddResults(matches, addTbody, addMeta, rosterIds, (player) => {
-      addToRosterFromCsv(player);
-      recalcBudgetRemaining();
+      transaction(() => {
+        addToRosterFromCsv(player);
+        recalcBudgetRemaining();
+      });
       hydrateHeader();
       refreshUI();
     }, q);
@@ -644,19 +644,35 @@ async function init() {
       rosterTbody,
       rosterMeta,
       (id, patch) => {
-        updateRosterPlayer(id, patch);
-        recalcBudgetRemaining();
+        transaction(() => {
+          updateRosterPlayer(id, patch);
+          recalcBudgetRemaining();
+        });
         hydrateHeader();
         refreshUI();
       },
       (id) => {
-        removeRosterPlayer(id);
-        recalcBudgetRemaining();
+        transaction(() => {
+          removeRosterPlayer(id);
+          recalcBudgetRemaining();
+        });
         hydrateHeader();
         refreshUI();
       }
     );
 
+    // Keepers / contracts across future seasons
+    try {
+      renderContractPlanner(roster);
+    } catch (e) {
+      console.warn("[roster] contract planner failed", e);
+    }
+    try {
+      renderKeeperDecisions(roster);
+    } catch (e) {
+      console.warn("[roster] keeper decisions failed", e);
+    }
+
     // Lineup planner (starting slots / benches / minors)
         renderPlanner(roster, pool);
 
@@ -666,6 +682,13 @@ try {
 } catch (e) {
   console.warn("[roster] team coverage failed", e);
 }
+
+    // Projected league standings (roto)
+    try {
+      renderProjectedStandings({ players: pool });
+    } catch (e) {
+      console.warn("[roster] projected standings failed", e);
+    }
   }
 
   addSearch?.addEventListener("input", refreshUI);
@@ -673,6 +696,12 @@ try {
   // Allow other panels (Recommended quick-add) to request a rerender.
   window.hagRefreshRoster = refreshUI;
 
+  // ...and other tabs (Auction Board sales, target edits, settings).
+  onLiveSync(() => {
+    hydrateHeader();
+    refreshUI();
+  }, { topics: ["roster", "settings", "draft", "planner", "targets", "h2h"] });
+
   // Initial render
   refreshUI();
 }
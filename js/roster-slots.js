@@ -0,0 +1,186 @@
+// js/roster-slots.js
+// Lineup slot structure + slot eligibility, read from the league config.
+// The one slot definition behind the Lineup Planner (roster-page.js), empty-slot
+// needs + need boosts (recommended-targets.js) and the valuation engine, which
+// uses the lineup (non-bench) slots × league size to find replacement level.
+// Slots are read once per page load (pages reload after a config import).
+
+import { getLeagueSlots } from "./league-config.js";
+
+const OF_POS = ["OF", "LF", "CF", "RF"];
+const HIT_POSITION_ORDER = ["C", "1B", "2B", "3B", "SS", "OF"];
+
+// Need boost for an empty slot when the config doesn't set one: single-position
+// slots matter most, then OF, then "anyone" slots. Bench slots are never a need.
+function defaultBoost(s) {
+  if (s.bench) return 0;
+  if (s.eligible.includes("*")) return s.side === "pit" ? 6 : 4;
+  if (s.side === "hit" && s.eligible.includes("OF")) return 8;
+  return 10;
+}
+
+function slotView(s) {
+  return {
+    key: s.key,
+    label: s.label,
+    side: s.side,
+    eligible: [...s.eligible],
+    bench: !!s.bench,
+    boost: Number.isFinite(s.boost) ? s.boost : defaultBoost(s),
+  };
+}
+
+export const HITTING_SLOTS = getLeagueSlots("hit").map(slotView);
+export const PITCHING_SLOTS = getLeagueSlots("pit").map(slotView);
+
+const SLOT_BY_KEY = new Map([...HITTING_SLOTS, ...PITCHING_SLOTS].map((s) => [s.key, s]));
+
+/** Slot definition by key (undefined for unknown keys). */
+export function getSlot(slotKey) {
+  return SLOT_BY_KEY.get(String(slotKey ?? "").toUpperCase());
+}
+
+/** Lineup (non-bench) slots for one side. */
+export function getStartingSlots(side) {
+  return (side === "pit" ? PITCHING_SLOTS : HITTING_SLOTS).filter((s) => !s.bench);
+}
+
+/** Need boost for filling an empty slot (0 for bench / unknown slots). */
+export function getSlotBoost(slotKey) {
+  return getSlot(slotKey)?.boost ?? 0;
+}
+
+// Replacement level is tracked per position, not per slot: flex slots
+// (CI / MI / OF / UT / P) only decide who gets drafted. LF / CF / RF fold into OF.
+function positionsFromSlots(side) {
+  const seen = new Set();
+  for (const s of getStartingSlots(side)) {
+    for (const p of s.eligible) {
+      if (p === "*" || (side === "pit" && p === "P")) continue;
+      seen.add(side === "hit" && OF_POS.includes(p) ? "OF" : (p === "CP" ? "RP" : p));
+    }
+  }
+  return [...seen];
+}
+
+export const HIT_POSITIONS = (() => {
+  const found = positionsFromSlots("hit");
+  const ordered = HIT_POSITION_ORDER.filter((p) => found.includes(p));
+  return [...ordered, ...found.filter((p) => !ordered.includes(p))];
+})();
+
+// Generic P slots still split pitchers into starters and relievers.
+export const PIT_POSITIONS = (() => {
+  const found = positionsFromSlots("pit");
+  return found.length ? found : ["SP", "RP"];
+})();
+
+/** Lineup slots most restrictive first: fewest eligible positions, "*" last. */
+export function getSlotFillOrder(side) {
+  const width = (s) => (s.eligible.includes("*") ? Infinity : s.eligible.length);
+  return getStartingSlots(side)
+    .map((s, i) => ({ s, i }))
+    .sort((a, b) => width(a.s) - width(b.s) || a.i - b.i)
+    .map(({ s }) => s.key);
+}
+
+export function normPosList(pos) {
+  return String(pos ?? "")
+    .split(/[,/\s]+/)
+    .map((p) => p.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+function playerType(player) {
+  const t = String(player?.type ?? player?.Type ?? "").trim().toLowerCase();
+  return t === "pit" ? "pit" : "hit";
+}
+
+// Position tokens a slot accepts, widened for common aliases:
+// an "OF" slot takes LF / CF / RF, an "RP" slot takes closers (CP), and a
+// pitching slot listing "P" takes any pitcher.
+function slotAccepts(eligible, posList, side) {
+  if (eligible.includes("*")) return true;
+  if (side === "pit" && eligible.includes("P")) return true;
+  return posList.some((p) =>
+    eligible.includes(p) ||
+    (eligible.includes("OF") && OF_POS.includes(p)) ||
+    (eligible.includes("RP") && p === "CP")
+  );
+}
+
+export function isEligibleForSlot(player, slotKey) {
+  const slot = getSlot(slotKey);
+  if (!slot) return false;
+
+  const type = playerType(player);
+  if (type !== slot.side) return false;
+
+  const posList = normPosList(player?.pos ?? player?.POS ?? player?.Position ?? "");
+  return slotAccepts(slot.eligible, posList, slot.side);
+}
+
+/**
+ * Replacement-level positions a player can fill on one side.
+ * - hit: C / 1B / 2B / 3B / SS / OF (LF, CF, RF fold into OF)
+ * - pit: SP / RP (closers "CP" count as RP)
+ * Two-way rows (Ohtani "UT,SP") answer for whichever side is asked.
+ * Returns [] when the player has no listed position on that side (UT-only bats).
+ */
+export function getReplacementPositions(player, side) {
+  const posList = normPosList(player?.pos ?? player?.POS ?? player?.Position ?? "");
+
+  if (side === "pit") {
+    return PIT_POSITIONS.filter((p) => posList.includes(p) || (p === "RP" && posList.includes("CP")));
+  }
+
+  const out = HIT_POSITIONS.filter((p) => p !== "OF" && posList.includes(p));
+  if (HIT_POSITIONS.includes("OF") && posList.some((p) => OF_POS.includes(p))) out.push("OF");
+  return out;
+}
+
+/**
+ * Seat players (draft-log sales / roster rows with pos + type) in the lineup
+ * slots: fewest-eligible players first, each into its most restrictive open
+ * slot. Returns the lineup slot keys left open, most restrictive first.
+ * limit: roster spots actually left (keepers known only as a count); the
+ * least restrictive open slots (the tail of each side's fill order) are
+ * assumed filled by them.
+ */
+export function getOpenSlotsAfter(players, { limit = null } = {}) {
+  const order = [...getSlotFillOrder("hit"), ...getSlotFillOrder("pit")];
+  const open = new Set(order);
+  const fits = (players || [])
+    .map((p) => ({ p, keys: order.filter((k) => isEligibleForSlot(p, k)) }))
+    .sort((a, b) => a.keys.length - b.keys.length);
+
+  for (const { keys } of fits) {
+    const k = keys.find((x) => open.has(x));
+    if (k) open.delete(k);
+  }
+  const left = order.filter((k) => open.has(k));
+  if (limit == null || left.length <= limit) return left;
+
+  const depth = (k) => {
+    const side = getSlotFillOrder(getSlot(k)?.side === "pit" ? "pit" : "hit");
+    return side.indexOf(k) / Math.max(1, side.length);
+  };
+  const keep = new Set([...left].sort((a, b) => depth(a) - depth(b)).slice(0, Math.max(0, limit)));
+  return left.filter((k) => keep.has(k));
+}
+
+/**
+ * Group open lineup slot keys for display: hitting slots by label
+ * (OF1 / OF2 -> "OF"), pitching slots as a count.
+ */
+export function summarizeOpenSlots(slotKeys) {
+  const hit = [];
+  let pit = 0;
+  for (const k of slotKeys || []) {
+    const slot = getSlot(k);
+    if (!slot || slot.bench) continue;
+    if (slot.side === "pit") pit += 1;
+    else hit.push(slot.label);
+  }
+  return { hit, pit };
+}
@@ -0,0 +1,229 @@
+// js/sgp.js
+// SGP (Standings Gain Points) denominators: settings panel + standings-history import.
+// - Type denominators by hand, or
+// - Import a standings history CSV (Season, Team, one column per category)
+//   and derive each denominator as the average stat gap between adjacent teams.
+// The Auction Board's "SGP" Value View prices off these (see valuation.js).
+
+import {
+  getSgpConfig,
+  setSgpConfig,
+  resetSgpConfig,
+} from "./storage.js";
+import { getLeagueCategories } from "./league-config.js";
+import { escapeHtml } from "./helpers.js";
+
+const HIT_CATS = getLeagueCategories("hit").map((c) => c.id);
+const PIT_CATS = getLeagueCategories("pit").map((c) => c.id);
+
+// Minimal CSV parser that handles quoted fields + commas inside quotes
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    const next = text[i + 1];
+
+    if (c === '"') {
+      if (inQuotes && next === '"') {
+        field += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+      continue;
+    }
+
+    if (!inQuotes && c === ",") {
+      row.push(field);
+      field = "";
+      continue;
+    }
+
+    if (!inQuotes && (c === "\n" || c === "\r")) {
+      if (c === "\r" && next === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+      continue;
+    }
+
+    field += c;
+  }
+
+  if (field.length || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Slope of sorted team totals vs standings rank = stat per standings point.
+function rankSlope(values) {
+  const ys = [...values].sort((a, b) => a - b);
+  const n = ys.length;
+  if (n < 3) return null;
+
+  const mx = (n - 1) / 2;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let cov = 0;
+  let varX = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (i - mx) * (ys[i] - my);
+    varX += (i - mx) * (i - mx);
+  }
+  return varX > 0 ? Math.abs(cov / varX) : null;
+}
+
+/**
+ * Derive SGP denominators from standings history CSV text.
+ * Columns (case-insensitive): Season|Year (optional), Team (optional), then any
+ * of the league's categories. One row per team per season.
+ *
+ * Returns { denoms, seasons, teams, cats } where denoms only includes
+ * categories that had at least 3 teams in some season.
+ */
+export function deriveSgpFromStandings(text) {
+  const rows = parseCSV(String(text ?? "").trim()).filter((r) => r.some((c) => String(c).trim() !== ""));
+  if (rows.length < 2) throw new Error("Standings file has no data rows.");
+
+  const headers = rows[0].map((h) => String(h ?? "").trim().toUpperCase());
+  const seasonIdx = headers.findIndex((h) => h === "SEASON" || h === "YEAR");
+
+  const catIdx = {};
+  for (const cat of [...HIT_CATS, ...PIT_CATS]) {
+    const i = headers.indexOf(cat);
+    if (i >= 0) catIdx[cat] = i;
+  }
+  if (!Object.keys(catIdx).length) {
+    throw new Error("No category columns found (expected headers like HR, AVG, ERA).");
+  }
+
+  // season -> cat -> [team totals]
+  const bySeason = new Map();
+  for (const r of rows.slice(1)) {
+    const season = seasonIdx >= 0 ? String(r[seasonIdx] ?? "").trim() || "—" : "—";
+    if (!bySeason.has(season)) bySeason.set(season, {});
+    const bucket = bySeason.get(season);
+
+    for (const [cat, i] of Object.entries(catIdx)) {
+      const n = Number(String(r[i] ?? "").replace(/[$,]/g, "").trim());
+      if (String(r[i] ?? "").trim() === "" || !Number.isFinite(n)) continue;
+      (bucket[cat] ||= []).push(n);
+    }
+  }
+
+  const denoms = {};
+  let teamCount = 0;
+  for (const cat of Object.keys(catIdx)) {
+    const slopes = [];
+    for (const bucket of bySeason.values()) {
+      const vals = bucket[cat] || [];
+      teamCount = Math.max(teamCount, vals.length);
+      const s = rankSlope(vals);
+      if (s != null && s > 0) slopes.push(s);
+    }
+    if (slopes.length) denoms[cat] = slopes.reduce((a, b) => a + b, 0) / slopes.length;
+  }
+
+  if (!Object.keys(denoms).length) {
+    throw new Error("Need at least 3 teams per season to derive denominators.");
+  }
+
+  return { denoms, seasons: bySeason.size, teams: teamCount, cats: Object.keys(denoms) };
+}
+
+function fmtDenom(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return "";
+  if (n >= 10) return String(Math.round(n * 10) / 10);
+  if (n >= 1) return String(Math.round(n * 100) / 100);
+  return String(Number(n.toPrecision(3)));
+}
+
+function sourceText(cfg) {
+  if (cfg.source === "history" && cfg.history) {
+    const when = cfg.history.imported_at
+      ? new Date(cfg.history.imported_at).toLocaleDateString()
+      : "";
+    return `Derived from standings history: ${cfg.history.seasons} season(s), ${cfg.history.teams} teams${when ? ` • ${when}` : ""}`;
+  }
+  if (cfg.source === "manual") return "Typed in by hand.";
+  return "Generic defaults — type your league's values or import standings history.";
+}
+
+/**
+ * Mount the SGP denominators panel (Settings on index.html).
+ * Container gets one input per league category, Save / Reset, and a standings CSV import.
+ */
+export function mountSgpSettings(containerId = "sgpSettings") {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  const cell = (cat, v) => `
+    <label class="sgpCell">
+      <span class="small">${cat}</span>
+      <input type="number" min="0" step="any" data-sgp-cat="${cat}" value="${escapeHtml(fmtDenom(v))}" />
+    </label>
+  `;
+
+  function render(status = "") {
+    const cfg = getSgpConfig();
+    el.innerHTML = `
+      <div class="small sgpGroupLabel">Hitting</div>
+      <div class="sgpGrid">${HIT_CATS.map((c) => cell(c, cfg.denoms[c])).join("")}</div>
+      <div class="small sgpGroupLabel">Pitching</div>
+      <div class="sgpGrid">${PIT_CATS.map((c) => cell(c, cfg.denoms[c])).join("")}</div>
+
+      <div class="sgpActions">
+        <button type="button" id="sgpSave">Save SGP</button>
+        <button type="button" class="ghost" id="sgpReset">Reset to Defaults</button>
+        <label class="btn ghost sgpImport">
+          Import standings history (CSV)
+          <input type="file" id="sgpImportFile" accept=".csv,text/csv" hidden />
+        </label>
+      </div>
+      <div class="small sgpSource" id="sgpSource">${escapeHtml(sourceText(cfg))}</div>
+      <div class="small" id="sgpStatus">${escapeHtml(status)}</div>
+    `;
+
+    el.querySelector("#sgpSave")?.addEventListener("click", () => {
+      const denoms = {};
+      el.querySelectorAll("[data-sgp-cat]").forEach((inp) => {
+        const n = Number(inp.value);
+        if (Number.isFinite(n) && n > 0) denoms[inp.dataset.sgpCat] = n;
+      });
+      setSgpConfig({ denoms, source: "manual", history: null });
+      render("Saved ✓");
+    });
+
+    el.querySelector("#sgpReset")?.addEventListener("click", () => {
+      resetSgpConfig();
+      render("Reset ✓");
+    });
+
+    el.querySelector("#sgpImportFile")?.addEventListener("change", async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      try {
+        const out = deriveSgpFromStandings(await file.text());
+        setSgpConfig({
+          denoms: out.denoms,
+          source: "history",
+          history: { seasons: out.seasons, teams: out.teams, imported_at: Date.now() },
+        });
+        render(`Imported ✓ (${out.cats.join(", ")})`);
+      } catch (err) {
+        console.warn("[SGP] standings import failed", err);
+        render(`Import failed: ${err.message}`);
+      }
+    });
+  }
+
+  render();
+}
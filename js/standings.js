@@ -0,0 +1,273 @@
+// js/standings.js
+// Projected roto standings: season category totals per team, ranked.
+//
+// Counting stats are summed; rate stats are volume-weighted (AVG / OPS by PA,
+// ERA / WHIP by IP), the same way a real team's rate is built. A player only
+// counts toward a side he has volume for (a hitter's row adds nothing to
+// pitching categories). Every rostered player counts — there's no in-season
+// lineup to pick from.
+//
+// Roto points: in an N-team league the best team in a category gets N points,
+// the worst 1; ties split the points. Teams with no volume for a rate
+// category rank last in it.
+//
+// League standings (Roster page) use every league roster: ours is the Roster
+// page plus our Draft Log wins; rivals are their Draft Log purchases (League
+// Teams only knows rival keepers as a count).
+
+import { MY_TEAM_ID, getLeagueTeams, getRoster, replayDraftLog, resolveLeagueTeamId } from "./storage.js";
+import { getLeagueCategories } from "./league-config.js";
+import { formatCategoryValue, getCategoryStat } from "./categories.js";
+import { isPointsLeague } from "./points.js";
+import { resolveRosterPlayers } from "./team-coverage.js";
+import { escapeHtml } from "./helpers.js";
+
+const VOLUME = { hit: "PA", pit: "IP" };
+
+function num(v, fallback = 0) {
+  if (v == null || v === "") return fallback;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/** 1 -> "1st", 22 -> "22nd", 112 -> "112th". */
+export function ordinal(n) {
+  const s = ["th", "st", "nd", "rd"];
+  const v = n % 100;
+  return `${n}${s[(v - 20) % 10] || s[v] || s[0]}`;
+}
+
+function fmtPoints(n) {
+  return n % 1 ? n.toFixed(1) : String(n);
+}
+
+/**
+ * Season line for a set of players: { [catId]: number | null, PA, IP }.
+ * Rate categories are null when nobody has volume for them.
+ */
+export function projectTeamLine(players) {
+  const cats = getLeagueCategories();
+  const acc = Object.fromEntries(cats.map((c) => [c.id, { sum: 0, vol: 0 }]));
+  const volume = { PA: 0, IP: 0 };
+
+  for (const p of players || []) {
+    for (const side of ["hit", "pit"]) {
+      const vol = num(getCategoryStat(p, VOLUME[side]));
+      if (vol <= 0) continue;
+      volume[VOLUME[side]] += vol;
+
+      for (const cat of cats) {
+        if (cat.side !== side) continue;
+        const v = getCategoryStat(p, cat);
+        if (v == null) continue;
+        if (cat.kind === "rate") {
+          const w = cat.volume && cat.volume !== VOLUME[side] ? num(getCategoryStat(p, cat.volume)) : vol;
+          if (w <= 0) continue;
+          acc[cat.id].sum += v * w;
+          acc[cat.id].vol += w;
+        } else {
+          acc[cat.id].sum += v;
+        }
+      }
+    }
+  }
+
+  const line = { ...volume };
+  for (const cat of cats) {
+    const a = acc[cat.id];
+    line[cat.id] = cat.kind === "rate" ? (a.vol > 0 ? a.sum / a.vol : null) : a.sum;
+  }
+  return line;
+}
+
+/**
+ * Rank teams in every league category.
+ * teams: [{ id, name, players }]
+ * Returns rows sorted by total roto points (best first):
+ * { id, name, line, points: { [catId]: n }, ranks: { [catId]: 1 = best },
+ *   gaps: { [catId]: { up, upTeam, down, downTeam } }, total, place }
+ * gaps.up: how much more (or less, for ERA / WHIP) it takes to catch the next
+ * team up; gaps.down: the lead over the next team down (null at the ends).
+ */
+export function rankRotoStandings(teams) {
+  const cats = getLeagueCategories();
+  const rows = (teams || []).map((t) => ({
+    id: t.id,
+    name: t.name,
+    line: projectTeamLine(t.players),
+    points: {},
+    ranks: {},
+    gaps: {},
+    total: 0,
+    place: 0,
+  }));
+  const n = rows.length;
+
+  for (const cat of cats) {
+    const lower = cat.direction === "lower";
+    // Missing values sort last whichever way the category runs.
+    const score = (r) => {
+      const v = r.line[cat.id];
+      if (v == null) return -Infinity;
+      return lower ? -v : v;
+    };
+    const sorted = [...rows].sort((a, b) => score(b) - score(a));
+
+    for (let i = 0; i < n;) {
+      let j = i;
+      while (j + 1 < n && score(sorted[j + 1]) === score(sorted[i])) j++;
+      // Positions i..j tie: share the points for those places.
+      const pts = (n - i + (n - j)) / 2;
+      for (let k = i; k <= j; k++) {
+        sorted[k].points[cat.id] = pts;
+        sorted[k].ranks[cat.id] = i + 1;
+      }
+      i = j + 1;
+    }
+
+    // Nearest team with a strictly better / worse value.
+    for (const r of sorted) {
+      const mine = score(r);
+      const gap = { up: null, upTeam: null, down: null, downTeam: null };
+      if (mine !== -Infinity) {
+        const above = sorted.filter((o) => score(o) > mine).pop();
+        const below = sorted.find((o) => score(o) < mine && score(o) !== -Infinity);
+        if (above) {
+          gap.up = Math.abs(above.line[cat.id] - r.line[cat.id]);
+          gap.upTeam = above.name;
+        }
+        if (below) {
+          gap.down = Math.abs(r.line[cat.id] - below.line[cat.id]);
+          gap.downTeam = below.name;
+        }
+      }
+      r.gaps[cat.id] = gap;
+    }
+  }
+
+  for (const r of rows) r.total = cats.reduce((sum, c) => sum + (r.points[c.id] ?? 0), 0);
+  rows.sort((a, b) => b.total - a.total);
+  rows.forEach((r, i) => {
+    r.place = i > 0 && r.total === rows[i - 1].total ? rows[i - 1].place : i + 1;
+  });
+  return rows;
+}
+
+/**
+ * Every league roster: [{ id, name, isMe, players }] in League Teams order.
+ * players are pool rows (Roster page entries resolve by key / name).
+ */
+export function getLeagueRosters(players) {
+  const teams = getLeagueTeams();
+  const byKey = new Map((players || []).map((p) => [String(p.player_key || ""), p]));
+
+  const rosters = new Map(teams.map((t) => [t.id, []]));
+  const mine = resolveRosterPlayers(getRoster() || [], players);
+  rosters.set(MY_TEAM_ID, mine);
+  const taken = new Set(mine.map((p) => String(p.player_key || "")));
+
+  for (const s of replayDraftLog().order) {
+    const id = resolveLeagueTeamId(s.team, teams);
+    const p = byKey.get(s.player_key);
+    if (!id || !p || taken.has(s.player_key)) continue;
+    rosters.get(id).push(p);
+    taken.add(s.player_key);
+  }
+
+  return teams.map((t) => ({ id: t.id, name: t.name, isMe: t.id === MY_TEAM_ID, players: rosters.get(t.id) || [] }));
+}
+
+/* ------------------------------ Panel ------------------------------ */
+
+function tableHtml(rows, cats, focusId) {
+  const head = cats.map((c) => `<th title="${escapeHtml(c.name)}">${escapeHtml(c.id)}</th>`).join("");
+  const body = rows.map((r) => `
+    <tr class="${r.id === focusId ? "standingsFocus" : ""}" data-standings-team="${escapeHtml(r.id)}">
+      <td>${r.place}</td>
+      <td style="text-align:left;">${escapeHtml(r.name)}</td>
+      <td><strong>${fmtPoints(r.total)}</strong></td>
+      ${cats.map((c) => `<td title="${escapeHtml(`${c.id} ${formatCategoryValue(c, r.line[c.id])} • rank ${r.ranks[c.id]}`)}">${fmtPoints(r.points[c.id])}</td>`).join("")}
+    </tr>
+  `).join("");
+  return `
+    <div style="overflow:auto;">
+      <table class="table standingsTable">
+        <thead><tr><th>#</th><th style="text-align:left;">Team</th><th>Pts</th>${head}</tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function detailHtml(row, cats, n) {
+  const body = cats.map((c) => {
+    const g = row.gaps[c.id];
+    const lower = c.direction === "lower";
+    return `
+      <tr>
+        <td style="text-align:left;">${escapeHtml(c.id)}</td>
+        <td>${formatCategoryValue(c, row.line[c.id])}</td>
+        <td>${row.ranks[c.id]} of ${n}</td>
+        <td>${fmtPoints(row.points[c.id])}</td>
+        <td>${g.up == null ? "—" : `${lower ? "−" : "+"}${formatCategoryValue(c, g.up)} <span class="small" style="opacity:.75;">to catch ${escapeHtml(g.upTeam)}</span>`}</td>
+        <td>${g.down == null ? "—" : `${formatCategoryValue(c, g.down)} <span class="small" style="opacity:.75;">over ${escapeHtml(g.downTeam)}</span>`}</td>
+      </tr>
+    `;
+  }).join("");
+  return `
+    <div style="overflow:auto;">
+      <table class="table standingsDetail">
+        <thead>
+          <tr>
+            <th style="text-align:left;">Cat</th><th>Projected</th><th>Rank</th><th>Pts</th>
+            <th>Gap up</th><th>Gap down</th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Projected roto standings for the whole league (Roster page).
+ * Click a team row to see its category ranks and gaps (default: ours).
+ */
+export function renderProjectedStandings({ players, containerId = "projectedStandings" } = {}) {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  if (isPointsLeague()) {
+    el.innerHTML = `<div class="small" style="opacity:.75;">Points league: roto standings don't apply. Team Coverage shows projected points.</div>`;
+    return;
+  }
+
+  const teams = getLeagueRosters(players).filter((t) => t.isMe || t.players.length);
+  if (teams.length < 2) {
+    el.innerHTML = `<div class="small" style="opacity:.75;">Standings fill in as the Draft Log records sales to other teams.</div>`;
+    return;
+  }
+
+  const cats = getLeagueCategories();
+  const rows = rankRotoStandings(teams);
+  const focusId = rows.some((r) => r.id === el.dataset.focus) ? el.dataset.focus : MY_TEAM_ID;
+  const focus = rows.find((r) => r.id === focusId) || rows[0];
+  const sizes = teams.map((t) => `${t.name}: ${t.players.length}`).join(" • ");
+
+  el.innerHTML = `
+    <div class="small" style="margin-top:8px; opacity:.75;" title="${escapeHtml(sizes)}">
+      ${rows.length} teams with players • hover a cell for the projected stat, click a team for gaps
+    </div>
+    ${tableHtml(rows, cats, focus.id)}
+    <div style="margin-top:12px;"><strong>${escapeHtml(focus.name)}</strong>
+      <span class="small" style="opacity:.75;">${ordinal(focus.place)} • ${fmtPoints(focus.total)} pts</span></div>
+    ${detailHtml(focus, cats, rows.length)}
+  `;
+
+  el.querySelectorAll("[data-standings-team]").forEach((tr) => {
+    tr.addEventListener("click", () => {
+      el.dataset.focus = tr.dataset.standingsTeam;
+      renderProjectedStandings({ players, containerId });
+    });
+  });
+}
@@ -0,0 +1,413 @@
+// js/storage-adapter.js
+// The one place that touches browser storage. Every module reads and writes
+// through here (storage.js load/save, league-config, workspaces, compare,
+// planners, backup).
+//
+// - Reads are synchronous, from an in-memory cache of raw JSON strings that
+//   is filled from the backend when this module loads (top-level await), so
+//   page code keeps its simple getX() / setX() style.
+// - Writes update the cache right away and are committed to the backend in
+//   order. A failed commit (e.g. quota exceeded) is rolled back in the cache
+//   and reported as STORAGE_ERROR_EVENT.
+// - transaction(fn) groups every write inside fn into one all-or-nothing
+//   commit; if fn throws, nothing it wrote is kept. A labelled transaction
+//   ({ label: "Remove target Juan Soto" }) is a user action: onTransaction
+//   listeners get its before / after values (history.js builds undo on this).
+//
+// - Other tabs: every committed batch is broadcast (BroadcastChannel), and
+//   localStorage `storage` events are picked up too; either way the cache
+//   takes the new values and STORAGE_SYNC_EVENT fires with the changed keys
+//   (live-sync.js turns that into page refreshes).
+//
+// Backends: IndexedDB (default in browsers; existing localStorage data is
+// moved over on first load), localStorage (fallback), and an in-memory
+// backend for tests (useBackend(createMemoryBackend({...}))).
+//
+// Backend shape: { name, load() -> Map<key, raw> | Promise, commit(Map<key, raw | null>) -> void | Promise }
+// (null in a commit = delete the key).
+
+export const STORAGE_ERROR_EVENT = "hag:storage-error";
+export const STORAGE_SYNC_EVENT = "hag:storage-sync";
+
+const CHANNEL_NAME = "hag-storage";
+
+const MIGRATED_KEY = "__hag_migrated_from_localstorage";
+
+let _backend = null;
+let _cache = new Map();
+let _tx = null;         // Map<key, previous raw | null> while a transaction runs
+let _txLabel = null;
+const _txListeners = new Set();
+let _pending = Promise.resolve();
+
+/* ------------------------------ Errors ------------------------------ */
+
+export function isQuotaError(err) {
+  return !!err && (
+    err.name === "QuotaExceededError" ||
+    err.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+    err.code === 22 ||
+    err.code === 1014
+  );
+}
+
+function reportError(err, keys) {
+  const quota = isQuotaError(err);
+  console.warn(`[STORAGE] ${quota ? "storage full" : "write failed"} (${keys.join(", ")})`, err);
+  try {
+    window.dispatchEvent(new CustomEvent(STORAGE_ERROR_EVENT, {
+      detail: { keys, quota, message: err?.message || String(err) },
+    }));
+  } catch {
+    // non-browser context
+  }
+}
+
+/* ------------------------------ Backends ------------------------------ */
+
+export function createMemoryBackend(initial = {}) {
+  const data = new Map(Object.entries(initial).map(([k, v]) => [k, typeof v === "string" ? v : JSON.stringify(v)]));
+  return {
+    name: "memory",
+    data,
+    load: () => new Map(data),
+    commit(changes) {
+      for (const [k, v] of changes) {
+        if (v == null) data.delete(k);
+        else data.set(k, v);
+      }
+    },
+  };
+}
+
+export function createLocalStorageBackend(ls = globalThis.localStorage) {
+  return {
+    name: "localStorage",
+    load() {
+      const out = new Map();
+      for (let i = 0; i < ls.length; i++) {
+        const k = ls.key(i);
+        if (k != null) out.set(k, ls.getItem(k));
+      }
+      return out;
+    },
+    // localStorage has no transactions: undo the earlier writes of a batch
+    // when a later one fails.
+    commit(changes) {
+      const done = [];
+      try {
+        for (const [k, v] of changes) {
+          done.push([k, ls.getItem(k)]);
+          if (v == null) ls.removeItem(k);
+          else ls.setItem(k, v);
+        }
+      } catch (err) {
+        for (const [k, prev] of done.reverse()) {
+          try {
+            if (prev == null) ls.removeItem(k);
+            else ls.setItem(k, prev);
+          } catch {
+            // best effort
+          }
+        }
+        throw err;
+      }
+    },
+  };
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function createIndexedDBBackend({ dbName = "hag", storeName = "kv", idb = globalThis.indexedDB } = {}) {
+  let dbPromise = null;
+  const open = () => {
+    if (!dbPromise) {
+      const req = idb.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+      dbPromise = idbRequest(req);
+    }
+    return dbPromise;
+  };
+
+  return {
+    name: "indexeddb",
+    async load() {
+      const db = await open();
+      const store = db.transaction(storeName, "readonly").objectStore(storeName);
+      const [keys, values] = await Promise.all([idbRequest(store.getAllKeys()), idbRequest(store.getAll())]);
+      return new Map(keys.map((k, i) => [String(k), values[i]]));
+    },
+    async commit(changes) {
+      const db = await open();
+      const tx = db.transaction(storeName, "readwrite");
+      const store = tx.objectStore(storeName);
+      for (const [k, v] of changes) {
+        if (v == null) store.delete(k);
+        else store.put(v, k);
+      }
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException("Transaction aborted", "AbortError"));
+      });
+    },
+  };
+}
+
+/* ------------------------------ Hydration ------------------------------ */
+
+function hydrate(backend, loaded) {
+  _backend = backend;
+  _cache = new Map(loaded);
+  _tx = null;
+  _pending = Promise.resolve();
+}
+
+/**
+ * Swap the backend and reload the cache from it. Memory / localStorage
+ * backends load synchronously (handy in tests); returns a promise either way.
+ */
+export function useBackend(backend) {
+  const loaded = backend.load();
+  if (typeof loaded?.then !== "function") {
+    hydrate(backend, loaded);
+    return Promise.resolve(backend);
+  }
+  return loaded.then((m) => {
+    hydrate(backend, m);
+    return backend;
+  });
+}
+
+// First IndexedDB load: bring over what older builds kept in localStorage.
+async function migrateFromLocalStorage(backend, loaded) {
+  if (loaded.has(MIGRATED_KEY) || !globalThis.localStorage) return loaded;
+
+  const changes = new Map();
+  const ls = createLocalStorageBackend().load();
+  for (const [k, v] of ls) {
+    if (k.startsWith("hag_") && !loaded.has(k)) changes.set(k, v);
+  }
+  changes.set(MIGRATED_KEY, JSON.stringify(Date.now()));
+
+  await backend.commit(changes);
+  for (const k of changes.keys()) {
+    if (k !== MIGRATED_KEY) localStorage.removeItem(k);
+  }
+  return new Map([...loaded, ...changes]);
+}
+
+async function initDefaultBackend() {
+  if (globalThis.indexedDB) {
+    try {
+      const idb = createIndexedDBBackend();
+      const loaded = await migrateFromLocalStorage(idb, await idb.load());
+      hydrate(idb, loaded);
+      return;
+    } catch (e) {
+      console.warn("[STORAGE] IndexedDB unavailable; using localStorage", e);
+    }
+  }
+  if (globalThis.localStorage) {
+    await useBackend(createLocalStorageBackend());
+    return;
+  }
+  await useBackend(createMemoryBackend());
+}
+
+await initDefaultBackend();
+
+export function getBackendName() {
+  return _backend?.name ?? "none";
+}
+
+/* ------------------------------ Reads ------------------------------ */
+
+/** Parsed JSON value for `key`, or `fallback` when missing / unreadable. */
+export function readJSON(key, fallback = null) {
+  const raw = _cache.get(key);
+  if (raw == null) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.warn(`[STORAGE] ${key} is not valid JSON; using default`, e);
+    return fallback;
+  }
+}
+
+/** Raw stored string for `key` (null when missing). */
+export function readRaw(key) {
+  return _cache.get(key) ?? null;
+}
+
+export function hasKey(key) {
+  return _cache.has(key);
+}
+
+/** Keys starting with `prefix`, sorted. */
+export function listKeys(prefix = "") {
+  return [..._cache.keys()].filter((k) => k.startsWith(prefix)).sort();
+}
+
+/* ------------------------------ Other tabs ------------------------------ */
+
+const _channel = typeof BroadcastChannel === "function" ? new BroadcastChannel(CHANNEL_NAME) : null;
+_channel?.unref?.(); // Node scripts: don't keep the process alive
+
+function broadcast(batch) {
+  try {
+    _channel?.postMessage({ changes: [...batch] });
+  } catch (e) {
+    console.warn("[STORAGE] broadcast failed", e);
+  }
+}
+
+// Take values another tab already saved; the same change can arrive on both
+// channels, so unchanged keys are skipped.
+function applyRemote(changes, source) {
+  const keys = [];
+  for (const [k, v] of changes) {
+    if ((_cache.get(k) ?? null) === (v ?? null)) continue;
+    if (v == null) _cache.delete(k);
+    else _cache.set(k, v);
+    keys.push(k);
+  }
+  if (!keys.length) return;
+  try {
+    window.dispatchEvent(new CustomEvent(STORAGE_SYNC_EVENT, { detail: { keys, source } }));
+  } catch {
+    // non-browser context
+  }
+}
+
+if (_channel) {
+  _channel.onmessage = (e) => {
+    if (Array.isArray(e.data?.changes)) applyRemote(e.data.changes, "broadcast");
+  };
+}
+
+try {
+  window.addEventListener("storage", (e) => {
+    if (_backend?.name !== "localStorage") return;
+    if (e.key == null) {
+      // localStorage.clear() elsewhere: diff the whole store
+      const next = _backend.load();
+      applyRemote([...new Set([..._cache.keys(), ...next.keys()])].map((k) => [k, next.get(k) ?? null]), "storage");
+      return;
+    }
+    applyRemote([[e.key, e.newValue]], "storage");
+  });
+} catch {
+  // non-browser context
+}
+
+/* ------------------------------ Writes ------------------------------ */
+
+// prevByKey: Map<key, raw before the write | null>; the new values are in the cache.
+function commit(prevByKey) {
+  const batch = new Map([...prevByKey.keys()].map((k) => [k, _cache.get(k) ?? null]));
+
+  // Undo the batch in the cache, unless a later write already replaced a key.
+  const rollback = (err) => {
+    for (const [k, prev] of prevByKey) {
+      if ((_cache.get(k) ?? null) !== batch.get(k)) continue;
+      if (prev == null) _cache.delete(k);
+      else _cache.set(k, prev);
+    }
+    reportError(err, [...batch.keys()]);
+  };
+
+  const backend = _backend;
+  _pending = _pending
+    .then(() => backend.commit(batch))
+    .then(() => broadcast(batch), rollback);
+}
+
+function write(key, raw) {
+  const prev = _cache.get(key) ?? null;
+  if (raw == null) _cache.delete(key);
+  else _cache.set(key, raw);
+
+  if (_tx) {
+    if (!_tx.has(key)) _tx.set(key, prev);
+    return;
+  }
+  commit(new Map([[key, prev]]));
+}
+
+/** Write a raw stored string back as-is (null removes the key). */
+export function writeRaw(key, raw) {
+  write(key, raw ?? null);
+}
+
+export function writeJSON(key, value) {
+  write(key, JSON.stringify(value));
+}
+
+export function removeKey(key) {
+  write(key, null);
+}
+
+/**
+ * Run fn() with its writes batched into one atomic commit.
+ * If fn throws, the cache goes back to how it was and the error is rethrown.
+ * Nested calls join the outer transaction (the first label wins).
+ */
+export function transaction(fn, { label = null } = {}) {
+  if (_tx) {
+    _txLabel = _txLabel ?? label;
+    return fn();
+  }
+
+  const tx = new Map();
+  _tx = tx;
+  _txLabel = label;
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    _tx = null;
+    _txLabel = null;
+    for (const [k, prev] of tx) {
+      if (prev == null) _cache.delete(k);
+      else _cache.set(k, prev);
+    }
+    throw err;
+  }
+  const txLabel = _txLabel;
+  _tx = null;
+  _txLabel = null;
+  if (!tx.size) return result;
+
+  commit(tx);
+  if (txLabel) {
+    const changes = [...tx].map(([k, prev]) => ({ key: k, prev, next: _cache.get(k) ?? null }));
+    for (const fn of _txListeners) {
+      try {
+        fn({ label: txLabel, changes });
+      } catch (e) {
+        console.warn("[STORAGE] transaction listener failed", e);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Listen for labelled transactions: fn({ label, changes: [{ key, prev, next }] })
+ * with raw before / after values. Returns an unsubscribe function.
+ */
+export function onTransaction(fn) {
+  _txListeners.add(fn);
+  return () => _txListeners.delete(fn);
+}
+
+/** Resolves once every write so far has reached the backend (or failed). */
+export function flush() {
+  return _pending;
+}
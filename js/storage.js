@@ -1,39 +1,40 @@
 // Tiny storage helper so every page reads/writes the same way.
 import { getPlayerKey } from "./player-key.js";
-
+import {
+  getLeagueConfig,
+  saveLeagueConfig,
+  getLeagueCategories,
+  getMaxContractYears,
+  getScoringFormat,
+} from "./league-config.js";
+import { getKeeperSalary } from "./contract-rules.js";
+import { scopedKey } from "./workspaces.js";
+import { readJSON, writeJSON, removeKey, transaction } from "./storage-adapter.js";
+
+// Reads / writes go through the storage adapter (storage-adapter.js: IndexedDB
+// with an in-memory cache). Keys are resolved per workspace (workspaces.js):
+// strategy keys like hag_settings / hag_auction_targets_v1 live under the
+// active workspace, everything else is shared.
 export function load(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
+  return readJSON(scopedKey(key), fallback) ?? fallback;
 }
 
 export function save(key, value) {
-  localStorage.setItem(key, JSON.stringify(value));
-}
-
-export const DEFAULT_WEIGHTS = {
-  // Hitting
-  AVG: 1.0,
-  OPS: 1.0,
-  TB: 1.0,
-  HR: 1.0,
-  RBI: 1.0,
-  R: 1.0,
-  // We only track SB in the CSV (no CS / Net SB). Keep this key as SB.
-  SB: 1.0,
-
-  // Pitching
-  ERA: 1.0,
-  WHIP: 1.0,
-  IP: 1.0,
-  QS: 1.0,
-  K: 1.0,
-  SV: 1.0,
-  HLD: 1.0,
-};
+  writeJSON(scopedKey(key), value);
+}
+
+export function remove(key) {
+  removeKey(scopedKey(key));
+}
+
+// Group several writes into one atomic commit (e.g. a target edit + the
+// budget recalculation it triggers).
+export { transaction };
+
+// One neutral (1.0) weight per league category (league-config.js / categories.js).
+export const DEFAULT_WEIGHTS = Object.freeze(
+  Object.fromEntries(getLeagueCategories().map((c) => [c.id, 1.0]))
+);
 
 // Migration: older builds used the key "SBN" for stolen bases.
 // We only have SB in the dataset; transparently map SBN -> SB.
@@ -52,7 +53,7 @@ function normalizeCategoryWeights(partial) {
 
   for (const k of Object.keys(DEFAULT_WEIGHTS)) {
     const n = Number(obj[k]);
-    out[k] = Number.isFinite(n) ? n : DEFAULT_WEIGHTS[k];
+    if (Number.isFinite(n)) out[k] = n;
   }
 
   return out;
@@ -62,18 +63,24 @@ function normalizeCategoryWeights(partial) {
 // Settings
 // -------------------------
 export function getSettings() {
+  // League shape defaults come from the league config (league-config.js).
+  const league = getLeagueConfig();
   const s = load("hag_settings", {
-    budget_total: 300,
-    budget_remaining: 300,
-    hitter_slots_total: 14,
-    pitcher_slots_total: 9,
+    budget_total: league.budget,
+    budget_remaining: league.budget,
+    hitter_slots_total: league.roster.hitters,
+    pitcher_slots_total: league.roster.pitchers,
+    teams_total: league.teams,
 
     // NEW — category strategy
     category_weights: { ...DEFAULT_WEIGHTS },
     category_weights_updated_at: null,
 
     // UI preference: which value column to show in Auction Board
-    value_mode: "proj", // "proj" | "market"
+    value_mode: "proj", // "proj" | "market" | "sgp"
+
+    // Where Proj Anchor comes from: in-app valuation engine or the CSV column
+    value_source: "engine", // "engine" | "csv"
   });
 
   // Self-heal + migrate strategy weights (belt + suspenders)
@@ -119,7 +126,53 @@ export function setSettings(next) {
   // Never allow category weights to be partial or missing
   merged.category_weights = normalizeCategoryWeights(merged.category_weights);
 
-  save("hag_settings", merged);
+  transaction(() => {
+    save("hag_settings", merged);
+    syncLeagueConfigFromSettings(merged);
+  });
+}
+
+// Settings edits to league shape flow back into the league config so an
+// exported config always matches what the pages are using.
+function syncLeagueConfigFromSettings(s) {
+  const cfg = getLeagueConfig();
+  const shape = {
+    teams: toInt(s.teams_total, cfg.teams),
+    budget: toInt(s.budget_total, cfg.budget),
+    hitters: toInt(s.hitter_slots_total, cfg.roster.hitters),
+    pitchers: toInt(s.pitcher_slots_total, cfg.roster.pitchers),
+  };
+  if (
+    shape.teams === cfg.teams &&
+    shape.budget === cfg.budget &&
+    shape.hitters === cfg.roster.hitters &&
+    shape.pitchers === cfg.roster.pitchers
+  ) return;
+
+  saveLeagueConfig({
+    ...cfg,
+    teams: shape.teams,
+    budget: shape.budget,
+    roster: { ...cfg.roster, hitters: shape.hitters, pitchers: shape.pitchers },
+  });
+}
+
+/**
+ * Adopt a league config (from an imported file): persist it and reset the
+ * league-shape settings to match, then recompute the budget.
+ */
+export function applyLeagueConfig(cfg) {
+  return transaction(() => {
+    const saved = saveLeagueConfig(cfg);
+    setSettings({
+      budget_total: saved.budget,
+      teams_total: saved.teams,
+      hitter_slots_total: saved.roster.hitters,
+      pitcher_slots_total: saved.roster.pitchers,
+    });
+    recalcBudgetRemaining();
+    return saved;
+  });
 }
 
 // -------------------------
@@ -135,9 +188,11 @@ const ROSTER_KEY = "hag_roster_v1";
  *   type: "hit" | "pit",
  *   pos: "OF" | "SP" | "RP" | ...,
  *   underContract: boolean,
- *   contractYear: number,   // 1..contractTotal
+ *   contractYear: number,   // 1..contractTotal + extensionYears
  *   contractTotal: number,  // 1..5 (or whatever)
- *   price: number           // integer dollars
+ *   extensionYears: number, // years bought past contractTotal (0 = none)
+ *   price: number           // integer dollars at signing; later years follow
+ *                           // the league's escalation rules (contract-rules.js)
  * }
  */
 export function getRoster() {
@@ -216,10 +271,14 @@ function clampInt(n, min, max) {
 function normalizeRosterPlayer(p) {
   const underContract = !!p.underContract;
 
-  const contractTotal = clampInt(p.contractTotal ?? 1, 1, 10);
-  const contractYear = clampInt(p.contractYear ?? 1, 1, contractTotal);
+  const contractTotal = clampInt(p.contractTotal ?? 1, 1, getMaxContractYears());
+  const extensionYears = clampInt(p.extensionYears ?? 0, 0, Math.max(0, getMaxContractYears() - contractTotal));
+  const contractYear = clampInt(p.contractYear ?? 1, 1, contractTotal + extensionYears);
 
   const price = Math.max(0, toInt(p.price ?? 0, 0));
+  const arbValue = p.arbValue == null || p.arbValue === "" || !Number.isFinite(Number(p.arbValue))
+    ? null
+    : Math.max(0, Math.round(Number(p.arbValue)));
 
   return {
     id: String(p.id),
@@ -230,7 +289,9 @@ function normalizeRosterPlayer(p) {
     underContract,
     contractYear,
     contractTotal,
+    extensionYears,
     price,
+    arbValue, // $ value for arbitration, last priced by Keeper Decisions (null = unknown)
   };
 }
 
@@ -262,7 +323,7 @@ export function addToRosterFromCsv(csvPlayer) {
     });
 
     const next = roster.map((r) => (r.id === id ? merged : r));
-    setRoster(next);
+    transaction(() => setRoster(next), { label: `Update roster: ${merged.name}` });
     return merged;
   }
 
@@ -278,7 +339,7 @@ export function addToRosterFromCsv(csvPlayer) {
     price: 0,
   });
 
-  setRoster([created, ...roster]);
+  transaction(() => setRoster([created, ...roster]), { label: `Add to roster: ${created.name}` });
   return created;
 }
 
@@ -291,31 +352,31 @@ export function updateRosterPlayer(id, patch) {
   const next = roster.slice();
   next[idx] = updated;
 
-  setRoster(next);
+  transaction(() => setRoster(next), { label: `Edit roster: ${updated.name}` });
   return updated;
 }
 
 export function removeRosterPlayer(id) {
   const roster = getRoster();
   const next = roster.filter((r) => r.id !== id);
-  setRoster(next);
-  return next.length !== roster.length;
+  if (next.length === roster.length) return false;
+  const name = roster.find((r) => r.id === id)?.name || "player";
+  transaction(() => setRoster(next), { label: `Remove from roster: ${name}` });
+  return true;
 }
 
 /**
- * Recalculate budget_remaining based on:
- * budget_total - (keeper contract spend + planned auction spend)
+ * Where our budget is going, without writing anything:
+ * { contractSpent, wonSpent, plannedSpent, spent, remaining, budgetTotal }
+ * Keeper spend is this season's salary (escalated from the signing price for
+ * the keeper's contract year).
  */
-export function recalcBudgetRemaining() {
+export function computeBudgetSpend() {
   const settings = getSettings();
   const roster = getRoster();
 
   // 1) Keeper/contract money (locked)
-  const contractSpent = roster.reduce((sum, p) => {
-    const under = !!p.underContract;
-    const price = Math.max(0, toInt(p.price ?? 0, 0));
-    return sum + (under ? price : 0);
-  }, 0);
+  const contractSpent = roster.reduce((sum, p) => sum + getKeeperSalary(p, 0), 0);
 
   // Build a set of keeper keys so we don't double count if someone is also on the auction plan list
   // IMPORTANT: getPlayerKey expects { Type, Name } (capital T)
@@ -326,24 +387,47 @@ export function recalcBudgetRemaining() {
       .filter(Boolean)
   );
 
-  // 2) Planned auction money (Plan $ on Auction Board)
+  // 2) Won at auction (draft log sales to our team)
+  const { sales } = replayDraftLog();
+  const teams = getLeagueTeams();
+  let wonSpent = 0;
+  for (const s of sales.values()) {
+    if (resolveLeagueTeamId(s.team, teams) !== MY_TEAM_ID || keeperKeys.has(s.player_key)) continue;
+    wonSpent += s.price;
+  }
+
+  // 3) Planned auction money (Plan $ on Auction Board)
   const targets = loadAuctionTargets();
   const plannedSpent = targets.reduce((sum, t) => {
     const plan = Math.max(0, toInt(t.plan ?? 0, 0));
     const k = String(t.player_key || "").trim();
 
-    // Only count if it has a plan > 0 and is not already a keeper
+    // Only count if it has a plan > 0 and is not already a keeper or sold.
+    // A Live $ typed without a winner is just a note: keep the Plan $ until
+    // the sale is credited to a league team.
     if (plan <= 0) return sum;
     if (k && keeperKeys.has(k)) return sum;
+    if (k && sales.has(k) && resolveLeagueTeamId(sales.get(k).team, teams)) return sum;
 
     return sum + plan;
   }, 0);
 
-  const spent = contractSpent + plannedSpent;
+  const spent = contractSpent + wonSpent + plannedSpent;
 
   const budgetTotal = Math.max(0, toInt(settings.budget_total ?? 0, 0));
   const remaining = Math.max(0, budgetTotal - spent);
 
+  return { contractSpent, wonSpent, plannedSpent, spent, remaining, budgetTotal };
+}
+
+/**
+ * Recalculate budget_remaining based on:
+ * budget_total - (keeper contract spend + won at auction + planned auction spend)
+ */
+export function recalcBudgetRemaining() {
+  const settings = getSettings();
+  const { spent, remaining, budgetTotal } = computeBudgetSpend();
+
     const nextSettings = { ...settings, budget_remaining: remaining };
   setSettings(nextSettings);
 
@@ -363,15 +447,17 @@ export function recalcBudgetRemaining() {
 const AUCTION_KEY = "hag_auction_targets_v1";
 
 function loadAuctionTargets() {
-  try {
-    return JSON.parse(localStorage.getItem(AUCTION_KEY) || "[]");
-  } catch {
-    return [];
-  }
+  const list = load(AUCTION_KEY, []);
+  return Array.isArray(list) ? list : [];
 }
 
-function saveAuctionTargets(list) {
-  localStorage.setItem(AUCTION_KEY, JSON.stringify(list));
+// Targets and the budget they commit are saved together.
+// label: history entry for user edits (history.js).
+function saveAuctionTargets(list, label = null) {
+  transaction(() => {
+    save(AUCTION_KEY, list);
+    recalcBudgetRemaining();
+  }, { label });
 }
 
 export function getAuctionTargets() {
@@ -411,8 +497,7 @@ export function addAuctionTarget(target) {
   };
 
   list.unshift(created);
-  saveAuctionTargets(list);
-  recalcBudgetRemaining();
+  saveAuctionTargets(list, `Add target ${name}`);
 
   // ✅ return created so UI can autofill deterministically
   return created;
@@ -433,45 +518,462 @@ export function updateAuctionTarget(id, patch) {
     enforce: patch?.enforce !== undefined ? Number(patch.enforce) : cur.enforce,
   };
 
-  saveAuctionTargets(list);
-  recalcBudgetRemaining();
+  saveAuctionTargets(list, `Edit target ${cur.name}`);
 }
 
 export function removeAuctionTarget(id) {
-  const list = loadAuctionTargets().filter((t) => t.id !== id);
-  saveAuctionTargets(list);
-  recalcBudgetRemaining();
+  const all = loadAuctionTargets();
+  const list = all.filter((t) => t.id !== id);
+  if (list.length === all.length) return;
+  saveAuctionTargets(list, `Remove target ${all.find((t) => t.id === id)?.name || ""}`.trim());
 }
 
 export function clearAuctionTargets() {
-  saveAuctionTargets([]);
-  recalcBudgetRemaining();
+  saveAuctionTargets([], "Clear targets");
 }
 
 // ==============================
-// Live Draft Prices (optional)
+// Draft Log (live auction)
 // ==============================
-// Stores per-player entered price during a live auction.
-// Keyed by stable player_key (same key used by Auction Targets / CSV).
+// Append-only record of what happened in the room. Live prices, our own
+// spend and (later) opponent budgets are all replayed from this list, so the
+// log is the single source of truth during a live auction.
+const DRAFT_LOG_KEY = "hag_draft_log_v1";
+
+// Legacy flat map (player_key -> price). Migrated into the log on first read.
 const LIVE_PRICE_KEY = "hag_live_prices_v1";
 
+// Team id used for our own purchases.
+export const MY_TEAM_ID = "me";
+
+/**
+ * Draft event shape:
+ * {
+ *   id: "d_...",
+ *   seq: number,                      // 1..n, replay order
+ *   kind: "nominate" | "sale" | "void",
+ *   player_key: "hit|juan soto",
+ *   name: "Juan Soto",
+ *   type: "hit" | "pit",
+ *   pos: "OF",
+ *   team: "me" | "<team name>" | "", // nominator (nominate) or winner (sale)
+ *   price: number,                    // sale only, integer dollars
+ *   ts: number | null                 // Date.now() when recorded
+ * }
+ *
+ * A "void" event cancels an earlier sale of the same player (price corrections
+ * are recorded as void + sale so the log never has to be rewritten).
+ */
+function normalizeDraftEvent(e, seq) {
+  const kind = e?.kind === "nominate" || e?.kind === "void" ? e.kind : "sale";
+  const type = String(e?.type ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit";
+  const name = String(e?.name ?? "").trim();
+
+  return {
+    id: String(e?.id || `d_${Date.now()}_${Math.random().toString(16).slice(2)}`),
+    seq,
+    kind,
+    player_key: String(e?.player_key || (name ? getPlayerKey({ Type: type, Name: name }) : "") || "").trim(),
+    name,
+    type,
+    pos: String(e?.pos ?? ""),
+    team: String(e?.team ?? "").trim(),
+    price: kind === "sale" ? Math.max(0, toInt(e?.price ?? 0, 0)) : 0,
+    ts: Number.isFinite(Number(e?.ts)) && e?.ts != null ? Number(e.ts) : null,
+  };
+}
+
+function migrateLegacyLivePrices(log) {
+  const legacy = load(LIVE_PRICE_KEY, null);
+  if (!legacy || typeof legacy !== "object") return log;
+
+  const sold = new Set(log.filter((e) => e.kind === "sale").map((e) => e.player_key));
+  const next = log.slice();
+
+  for (const [key, price] of Object.entries(legacy)) {
+    const k = String(key || "").trim();
+    const n = Number(price);
+    if (!k || sold.has(k) || !Number.isFinite(n) || n <= 0) continue;
+
+    const type = k.startsWith("pit|") ? "pit" : "hit";
+    next.push(normalizeDraftEvent({ kind: "sale", player_key: k, type, price: n, ts: null }, next.length + 1));
+  }
+
+  save(DRAFT_LOG_KEY, next);
+  remove(LIVE_PRICE_KEY);
+  return next;
+}
+
+export function getDraftLog() {
+  const raw = load(DRAFT_LOG_KEY, []);
+  const log = (Array.isArray(raw) ? raw : []).map((e, i) => normalizeDraftEvent(e, i + 1));
+  return migrateLegacyLivePrices(log);
+}
+
+function saveDraftLog(log, label = null) {
+  transaction(() => {
+    save(DRAFT_LOG_KEY, log.map((e, i) => ({ ...e, seq: i + 1 })));
+    recalcBudgetRemaining();
+  }, { label });
+}
+
+/**
+ * Replace the whole draft log (e.g. with the shared log from a draft room,
+ * draft-room.js). Not an undoable edit.
+ */
+export function setDraftLog(next) {
+  const log = (Array.isArray(next) ? next : []).map((e, i) => normalizeDraftEvent(e, i + 1));
+  saveDraftLog(log);
+  return log;
+}
+
+function appendDraftEvent(event, label = null) {
+  const log = getDraftLog();
+  const created = normalizeDraftEvent({ ...event, id: null, ts: Date.now() }, log.length + 1);
+  saveDraftLog([...log, created], label);
+  return created;
+}
+
+/**
+ * Replay the log into the current state of the room.
+ * - sales: Map(player_key -> winning sale event), voided sales removed
+ * - order: sales in the order they happened
+ * - byTeam: Map(team -> sale events)
+ * - onBlock: the latest nomination that has not been sold yet (or null)
+ */
+export function replayDraftLog(log = getDraftLog()) {
+  const sales = new Map();
+  let onBlock = null;
+
+  for (const e of log) {
+    if (!e.player_key) continue;
+
+    if (e.kind === "nominate") {
+      onBlock = sales.has(e.player_key) ? null : e;
+    } else if (e.kind === "sale") {
+      sales.delete(e.player_key);
+      sales.set(e.player_key, e);
+      if (onBlock?.player_key === e.player_key) onBlock = null;
+    } else if (e.kind === "void") {
+      sales.delete(e.player_key);
+    }
+  }
+
+  const order = Array.from(sales.values()).sort((a, b) => a.seq - b.seq);
+
+  const byTeam = new Map();
+  for (const s of order) {
+    if (!byTeam.has(s.team)) byTeam.set(s.team, []);
+    byTeam.get(s.team).push(s);
+  }
+
+  return { sales, order, byTeam, onBlock };
+}
+
+export function recordNomination(player, team = "") {
+  return appendDraftEvent({ ...(player || {}), kind: "nominate", team }, `Nominate ${player?.name || ""}`.trim());
+}
+
+/**
+ * Record a winning bid. A price <= 0 voids any existing sale of the player.
+ * Re-recording a sold player voids the old sale first (price/team correction).
+ */
+export function recordSale(player, team, price) {
+  const key = String(player?.player_key || "").trim() ||
+    getPlayerKey({ Type: player?.type, Name: player?.name });
+  if (!key) return null;
+
+  const n = Number(price);
+  const { sales } = replayDraftLog();
+  const prev = sales.get(key);
+
+  if (!Number.isFinite(n) || n <= 0) {
+    if (prev) appendDraftEvent({ ...prev, kind: "void" }, `Clear price: ${prev.name || key}`);
+    return null;
+  }
+
+  const log = getDraftLog();
+  if (prev) log.push(normalizeDraftEvent({ ...prev, id: null, kind: "void", ts: Date.now() }, log.length + 1));
+  const created = normalizeDraftEvent(
+    { ...(prev || {}), ...(player || {}), id: null, player_key: key, kind: "sale", team, price: n, ts: Date.now() },
+    log.length + 1
+  );
+  saveDraftLog([...log, created], `Sale: ${created.name || key} $${n}`);
+  return created;
+}
+
+export function undoLastDraftEvent() {
+  const log = getDraftLog();
+  if (!log.length) return null;
+  const removed = log.pop();
+  saveDraftLog(log, `Undo draft event: ${removed.name || removed.player_key}`);
+  return removed;
+}
+
+export function clearDraftLog() {
+  saveDraftLog([], "Clear draft log");
+}
+
+// ==============================
+// Live Draft Prices (derived)
+// ==============================
+// Per-player winning price, keyed by stable player_key (same key used by
+// Auction Targets / CSV). Read-only view over the draft log.
 export function getLivePrices() {
-  return load(LIVE_PRICE_KEY, {});
+  const map = {};
+  for (const [key, sale] of replayDraftLog().sales) map[key] = sale.price;
+  return map;
 }
 
 export function setLivePrice(playerKey, price) {
   const key = String(playerKey || "").trim();
   if (!key) return;
-  const map = getLivePrices();
-  const n = Number(price);
-  if (!Number.isFinite(n) || n <= 0) {
-    delete map[key];
-  } else {
-    map[key] = Math.round(n);
-  }
-  save(LIVE_PRICE_KEY, map);
+
+  // Carry identity + winner forward from an earlier sale or the target row.
+  const prev = replayDraftLog().sales.get(key);
+  const target = loadAuctionTargets().find((t) => String(t?.player_key || "").trim() === key);
+  const player = {
+    player_key: key,
+    name: prev?.name || target?.name || "",
+    type: prev?.type || target?.type || "hit",
+    pos: prev?.pos || target?.pos || "",
+  };
+
+  recordSale(player, prev?.team ?? "", price);
 }
 
 export function clearLivePrices() {
-  save(LIVE_PRICE_KEY, {});
-}
\ No newline at end of file
+  clearDraftLog();
+}
+
+// ==============================
+// League Teams (opponents)
+// ==============================
+// Every team in the room, including ours. Budgets and open slots are replayed
+// from the draft log, so the only thing stored here is identity + keepers.
+const LEAGUE_TEAMS_KEY = "hag_league_teams_v1";
+
+/**
+ * League team shape:
+ * {
+ *   id: "me" | "t2" | ...,
+ *   name: "My Team",
+ *   budget_total: number | null,  // null = use settings.budget_total
+ *   keeper_spent: number,         // $ already committed to keepers (opponents)
+ *   keeper_count: number          // roster spots already taken by keepers (opponents)
+ * }
+ * Our own keepers come from the roster (underContract), not from this list.
+ */
+function normalizeLeagueTeam(t, i) {
+  const id = String(t?.id || (i === 0 ? MY_TEAM_ID : `t${i + 1}`));
+  const budget = Number(t?.budget_total);
+  return {
+    id,
+    name: String(t?.name ?? "").trim() || (id === MY_TEAM_ID ? "My Team" : `Team ${i + 1}`),
+    budget_total: t?.budget_total != null && t?.budget_total !== "" && Number.isFinite(budget) ? Math.max(0, toInt(budget, 0)) : null,
+    keeper_spent: Math.max(0, toInt(t?.keeper_spent ?? 0, 0)),
+    keeper_count: Math.max(0, toInt(t?.keeper_count ?? 0, 0)),
+  };
+}
+
+export function getLeagueTeams() {
+  const settings = getSettings();
+  const count = Math.max(1, toInt(settings.teams_total ?? 14, 14));
+  const raw = load(LEAGUE_TEAMS_KEY, []);
+  const list = (Array.isArray(raw) ? raw : []).map(normalizeLeagueTeam);
+
+  // Our team is always first.
+  const mine = list.find((t) => t.id === MY_TEAM_ID) || normalizeLeagueTeam({ id: MY_TEAM_ID }, 0);
+  const others = list.filter((t) => t.id !== MY_TEAM_ID);
+  const teams = [mine, ...others];
+
+  // Grow to the configured league size; only shrink past teams nobody has bought for.
+  const ids = new Set(teams.map((t) => t.id));
+  let n = 2;
+  while (teams.length < count) {
+    while (ids.has(`t${n}`)) n++;
+    teams.push(normalizeLeagueTeam({ id: `t${n}` }, n - 1));
+    ids.add(`t${n}`);
+  }
+
+  const { byTeam } = replayDraftLog();
+  while (teams.length > count) {
+    const last = teams[teams.length - 1];
+    if (last.id === MY_TEAM_ID || byTeam.has(last.id)) break;
+    teams.pop();
+  }
+
+  // Persist so sales keep pointing at the same ids when the league size changes.
+  if (teams.length !== list.length) setLeagueTeams(teams);
+  return teams;
+}
+
+export function setLeagueTeams(next) {
+  save(LEAGUE_TEAMS_KEY, (next || []).map(normalizeLeagueTeam));
+}
+
+export function updateLeagueTeam(id, patch) {
+  const teams = getLeagueTeams();
+  const idx = teams.findIndex((t) => t.id === id);
+  if (idx === -1) return null;
+
+  const updated = normalizeLeagueTeam({ ...teams[idx], ...patch, id }, idx);
+  teams[idx] = updated;
+  setLeagueTeams(teams);
+  recalcBudgetRemaining();
+  return updated;
+}
+
+/**
+ * Resolve a draft-log team value (team id, or a free-typed team name from
+ * older logs) to a league team id. Returns "" when nothing matches.
+ */
+export function resolveLeagueTeamId(raw, teams = getLeagueTeams()) {
+  const v = String(raw ?? "").trim();
+  if (!v) return "";
+  const low = v.toLowerCase();
+  const hit = teams.find((t) => t.id === v) || teams.find((t) => t.name.toLowerCase() === low);
+  return hit ? hit.id : "";
+}
+
+/**
+ * Replay the draft log into per-team budget state.
+ *
+ * trueMax follows the Bid Power snapshot: keep settings.reserve_per_slot for
+ * every open slot after this one.
+ */
+export function getLeagueTeamStates() {
+  const settings = getSettings();
+  const teams = getLeagueTeams();
+  const roster = getRoster();
+  const { order } = replayDraftLog();
+
+  const slotsTotal = Math.max(0, toInt(settings.hitter_slots_total ?? 0, 0)) +
+    Math.max(0, toInt(settings.pitcher_slots_total ?? 0, 0));
+  const reservePerSlot = Math.max(0, Number(settings.reserve_per_slot) || 0);
+  const defaultBudget = Math.max(0, toInt(settings.budget_total ?? 0, 0));
+
+  const myKeepers = roster.filter((p) => !!p.underContract);
+  const myKeeperKeys = new Set(myKeepers.map((p) => getPlayerKey({ Type: p.type, Name: p.name })));
+
+  const bought = new Map(teams.map((t) => [t.id, []]));
+  for (const s of order) {
+    const id = resolveLeagueTeamId(s.team, teams);
+    if (!id) continue;
+    if (id === MY_TEAM_ID && myKeeperKeys.has(s.player_key)) continue;
+    bought.get(id).push(s);
+  }
+
+  return teams.map((t) => {
+    const isMe = t.id === MY_TEAM_ID;
+    const keeperSpent = isMe
+      ? myKeepers.reduce((sum, p) => sum + getKeeperSalary(p, 0), 0)
+      : t.keeper_spent;
+    const keeperCount = isMe ? myKeepers.length : t.keeper_count;
+
+    const purchases = bought.get(t.id) || [];
+    const spent = purchases.reduce((sum, s) => sum + s.price, 0);
+    const budgetTotal = t.budget_total ?? defaultBudget;
+    const remaining = Math.max(0, budgetTotal - keeperSpent - spent);
+    const openSlots = Math.max(0, slotsTotal - keeperCount - purchases.length);
+    const trueMax = openSlots > 0
+      ? Math.max(0, Math.floor(remaining - reservePerSlot * (openSlots - 1)))
+      : 0;
+
+    return {
+      ...t,
+      isMe,
+      budgetTotal,
+      keeperSpent,
+      keeperCount,
+      spent,
+      remaining,
+      purchases,
+      openSlots,
+      trueMax,
+    };
+  });
+}
+
+// ==============================
+// SGP (Standings Gain Points)
+// ==============================
+// Per-category denominators: how much of a stat it takes to move up one spot
+// in the standings. Typed in by hand or derived from imported standings history.
+const SGP_KEY = "hag_sgp_v1";
+
+// Generic starting points for a 12–14 team roto league, per league category
+// (each category's `sgp` in categories.js / the league file).
+export const DEFAULT_SGP_DENOMS = Object.freeze(
+  Object.fromEntries(
+    getLeagueCategories()
+      .filter((c) => c.sgp != null)
+      .map((c) => [c.id, c.sgp])
+  )
+);
+
+function normalizeSgpDenoms(obj) {
+  const out = { ...DEFAULT_SGP_DENOMS };
+  for (const c of getLeagueCategories()) {
+    const k = c.id;
+    const n = Number(obj?.[k]);
+    if (Number.isFinite(n) && n > 0) out[k] = n;
+  }
+  return out;
+}
+
+/**
+ * SGP config shape:
+ * {
+ *   denoms: { AVG: 0.0025, HR: 7, ... },
+ *   source: "default" | "manual" | "history",
+ *   history: { seasons: number, teams: number, imported_at: number } | null
+ * }
+ */
+export function getSgpConfig() {
+  const c = load(SGP_KEY, null) || {};
+  const source = ["manual", "history"].includes(c.source) ? c.source : "default";
+  return {
+    denoms: normalizeSgpDenoms(c.denoms),
+    source,
+    history: source === "history" && c.history ? c.history : null,
+  };
+}
+
+export function setSgpConfig(next) {
+  const prev = getSgpConfig();
+  const merged = { ...prev, ...(next || {}) };
+  merged.denoms = normalizeSgpDenoms({ ...prev.denoms, ...(next?.denoms || {}) });
+  save(SGP_KEY, merged);
+  return getSgpConfig();
+}
+
+export function resetSgpConfig() {
+  remove(SGP_KEY);
+  return getSgpConfig();
+}
+
+export function getSgpDenominators() {
+  return getSgpConfig().denoms;
+}
+
+// ==============================
+// H2H coverage view
+// ==============================
+// Roster page coverage panel: season z-sum ("season") or weekly H2H win
+// probabilities ("h2h"), plus the opponent picked for the matchup.
+const H2H_KEY = "hag_h2h_v1";
+
+export function getH2HSettings() {
+  const raw = load(H2H_KEY, null) || {};
+  const view = ["season", "h2h"].includes(raw.view)
+    ? raw.view
+    : (getScoringFormat() === "h2h" ? "h2h" : "season");
+  return { view, opponent: String(raw.opponent ?? "") };
+}
+
+export function setH2HSettings(patch) {
+  const next = { ...getH2HSettings(), ...(patch || {}) };
+  save(H2H_KEY, next);
+  return getH2HSettings();
+}
@@ -7,27 +7,13 @@ import {
   setCategoryWeights,
   getCategoryWeightsUpdatedAt
 } from "./storage.js";
+import { getLeagueCategories } from "./league-config.js";
+import { onLiveSync } from "./live-sync.js";
+import { escapeHtml } from "./helpers.js";
 
-const HIT_CATS = [
-  ["OPS", "OPS"],
-  ["TB", "Total Bases"],
-  ["HR", "Home Runs"],
-  ["RBI", "RBI"],
-  ["R", "Runs"],
-  ["AVG", "AVG"],
-  // We only track SB in the CSV (no Net SB).
-  ["SB", "SB"],
-];
-
-const PIT_CATS = [
-  ["IP", "Innings"],
-  ["QS", "QS"],
-  ["K", "K"],
-  ["HLD", "Holds"],
-  ["SV", "Saves"],
-  ["ERA", "ERA"],
-  ["WHIP", "WHIP"],
-];
+// [id, label] per league category (league-config.js / categories.js)
+const HIT_CATS = getLeagueCategories("hit").map((c) => [c.id, c.name]);
+const PIT_CATS = getLeagueCategories("pit").map((c) => [c.id, c.name]);
 
 // --------------------
 // Unsaved state
@@ -69,10 +55,10 @@ function statusText() {
 function rowTemplate({ key, label, value }) {
   const v = num(value, 1);
   return `
-    <div class="weightRow" data-key="${key}">
+    <div class="weightRow" data-key="${escapeHtml(key)}">
       <div class="weightLabel">
-        <div class="weightKey">${key}</div>
-        <div class="small weightHelp">${label}</div>
+        <div class="weightKey">${escapeHtml(key)}</div>
+        <div class="small weightHelp">${escapeHtml(label)}</div>
       </div>
 
       <div class="sliderWrap">
@@ -199,3 +185,10 @@ function bindActions() {
 // Init
 renderWeights();
 bindActions();
+
+// Weights saved in another tab: follow them unless there are unsaved edits here.
+onLiveSync(() => {
+  if (DIRTY) return;
+  setSliders(getCategoryWeights());
+  setDirty(false);
+}, { topics: ["settings"] });
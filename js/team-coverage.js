@@ -1,27 +1,35 @@
 // js/team-coverage.js
 import { normalizeName } from "./player-key.js";
-
-// Fixed category order (must always be visible in this order)
-const HIT_CATS = ["AVG", "OPS", "TB", "SB", "HR", "R", "RBI"];
-const PIT_CATS = ["ERA", "WHIP", "IP", "K", "QS", "SV", "HLD"];
-
-// CSV column names for z-scores (as provided by your master.csv pipeline)
-const ZCOL = {
-  AVG: "zAVG",
-  OPS: "zOPS",
-  TB: "zTB",
-  SB: "zSB",
-  HR: "zHR",
-  R: "zR",
-  RBI: "zRBI",
-  ERA: "zERA",
-  WHIP: "zWHIP",
-  IP: "zIP",
-  K: "zK",
-  QS: "zQS",
-  SV: "zSV",
-  HLD: "zHLD",
-};
+import { getLeagueCategories } from "./league-config.js";
+import { computeEngineValues } from "./valuation.js";
+import { getSettings, getH2HSettings, setH2HSettings } from "./storage.js";
+import { getStartingSlots } from "./roster-slots.js";
+import { isPointsLeague, projectSidePoints, getPointsStatIds } from "./points.js";
+import { buildWeeklyLine, leagueAverageLine, listOpponents, simulateMatchup, winShare } from "./h2h.js";
+import { escapeHtml } from "./helpers.js";
+
+// League categories, in league-file order (league-config.js / categories.js)
+const HIT_CATS = getLeagueCategories("hit").map((c) => c.id);
+const PIT_CATS = getLeagueCategories("pit").map((c) => c.id);
+
+// CSV column names for z-scores (as provided by your master.csv pipeline).
+// Categories the pipeline doesn't score (OBP, SVH, K/9, ...) use engine z-scores.
+const zCol = (cat) => `z${cat}`;
+
+// Engine per-category z, computed once per player pool
+const _engineZ = new WeakMap();
+function engineZFor(players) {
+  if (!_engineZ.has(players)) {
+    let byPlayer = new Map();
+    try {
+      byPlayer = computeEngineValues(players).byPlayer;
+    } catch (e) {
+      console.warn("[coverage] engine z-scores failed", e);
+    }
+    _engineZ.set(players, byPlayer);
+  }
+  return _engineZ.get(players);
+}
 
 // Utility: safe number
 function num(x) {
@@ -115,17 +123,382 @@ function resolveRosterPlayer(r, lookups) {
   return null;
 }
 
+/** Roster entries resolved to pool rows (unmatched entries are dropped). */
+export function resolveRosterPlayers(roster, players) {
+  const lookups = buildLookups(players || []);
+  const out = [];
+  for (const r of roster || []) {
+    const p = resolveRosterPlayer(r, lookups);
+    if (p) out.push(p);
+  }
+  return out;
+}
+
+/**
+ * Per-category z lookup for a pool: (player, cat) => z.
+ * Prefers the CSV z column when the pool has it; otherwise the engine z.
+ */
+export function getCategoryZ(players) {
+  const allCats = [...HIT_CATS, ...PIT_CATS];
+  const sample = (players || []).find((p) => p && Object.keys(p).some((k) => k.startsWith("z")));
+  const needsEngine = allCats.some((cat) => !sample || !(zCol(cat) in sample));
+  const engineZ = needsEngine ? engineZFor(players || []) : null;
+  return (p, cat) => {
+    if (sample && zCol(cat) in sample) return num(p[zCol(cat)]);
+    return num(engineZ?.get(p)?.byCat?.[cat]);
+  };
+}
+
+/** Strong / Weak / Average for a summed category z. */
+export function coverageBadge(total) {
+  if (total >= 2.0) return { text: "Strong", cls: "strong" };
+  if (total <= -2.0) return { text: "Weak", cls: "weak" };
+  return { text: "Average", cls: "average" };
+}
+
+// Show the shared tooltip while hovering anywhere on a row.
+function bindTooltip(row, tt, html) {
+  const show = (evt) => {
+    tt.innerHTML = html;
+    tt.style.display = "block";
+    tt.setAttribute("aria-hidden", "false");
+    placeTooltip(tt, evt.clientX, evt.clientY);
+  };
+
+  const move = (evt) => {
+    if (tt.style.display !== "block") return;
+    placeTooltip(tt, evt.clientX, evt.clientY);
+  };
+
+  const hide = () => {
+    tt.style.display = "none";
+    tt.setAttribute("aria-hidden", "true");
+  };
+
+  row.addEventListener("mouseenter", show);
+  row.addEventListener("mousemove", move);
+  row.addEventListener("mouseleave", hide);
+}
+
+// One coverage row: label, diverging bar, value, badge; tooltip on hover.
+function makeBarRow(tt, { label, total, halfPct, valueText, badge, tooltipHTML }) {
+  const row = document.createElement("div");
+  row.className = "tc-row";
+
+  const lab = document.createElement("div");
+  lab.className = "tc-label";
+  lab.textContent = label;
+
+  const bar = document.createElement("div");
+  bar.className = "tc-bar";
+
+  const mid = document.createElement("div");
+  mid.className = "tc-midline";
+
+  const fill = document.createElement("div");
+  fill.className = "tc-fill " + (total >= 0 ? "pos" : "neg");
+  fill.style.width = `${halfPct}%`;
+
+  bar.appendChild(mid);
+  bar.appendChild(fill);
+
+  const value = document.createElement("div");
+  value.className = "tc-value";
+  value.textContent = valueText;
+
+  const b = document.createElement("div");
+  b.className = `tc-badge ${badge.cls}`;
+  b.textContent = badge.text;
+
+  bindTooltip(row, tt, tooltipHTML);
+
+  row.appendChild(lab);
+  row.appendChild(bar);
+  row.appendChild(value);
+  row.appendChild(b);
+  return row;
+}
+
+// Panel heading + note per view (the panel HTML carries the season text).
+const VIEW_TEXT = {
+  season: [
+    "Team Category Coverage (Z-Sum)",
+    "Raw summed z-scores from players currently on your roster. Negatives included. Updates live.",
+  ],
+  h2h: [
+    "Head-to-Head Weekly Win %",
+    "Chance of winning each category in a simulated week, vs a league-average team and vs the opponent you pick. Updates live.",
+  ],
+  points: [
+    "Team Points Coverage",
+    "Projected fantasy points per scoring stat from players on your roster, vs a league-average team. Updates live.",
+  ],
+};
+
+function setHeading(view) {
+  const [titleText, noteText] = VIEW_TEXT[view];
+  const title = document.getElementById("tcTitle");
+  if (title) title.textContent = titleText;
+  const note = document.getElementById("tcNote");
+  if (note) note.textContent = noteText;
+}
+
+/* ------------------------------ Points leagues ------------------------------ */
+
+// League-average team points per scoring stat: the top (teams × lineup slots)
+// players on each side by projected points, summed and split across the league.
+function leagueAveragePoints(players, side, teams) {
+  const rows = [];
+  for (const p of players || []) {
+    const pts = projectSidePoints(p, side);
+    if (pts) rows.push(pts);
+  }
+  rows.sort((a, b) => b.total - a.total);
+
+  const take = rows.slice(0, teams * Math.max(1, getStartingSlots(side).length));
+  const avg = { total: 0 };
+  for (const r of take) {
+    for (const [stat, v] of Object.entries(r.byStat)) avg[stat] = (avg[stat] ?? 0) + v / teams;
+    avg.total += r.total / teams;
+  }
+  return avg;
+}
+
+function fmtPts(n) {
+  return String(Math.round(n));
+}
+
+// Points view: roster points per scoring stat vs a league-average team.
+// Strong / Weak at ±10% of the average team.
+function renderPointsCoverage({ rosterPlayers, players, hitRoot, pitRoot, tt }) {
+  const teams = Math.max(1, Math.round(num(getSettings()?.teams_total) || 1));
+
+  function renderSide(side, root) {
+    const avg = leagueAveragePoints(players, side, teams);
+    const stats = [...getPointsStatIds(side), "total"];
+
+    const totals = Object.fromEntries(stats.map((st) => [st, 0]));
+    const contribs = Object.fromEntries(stats.map((st) => [st, []]));
+    for (const p of rosterPlayers) {
+      const pts = projectSidePoints(p, side);
+      if (!pts) continue;
+      const name = String(p.Name || "").trim() || "Unknown";
+      for (const st of stats) {
+        const v = st === "total" ? pts.total : (pts.byStat[st] ?? 0);
+        totals[st] += v;
+        if (v !== 0) contribs[st].push({ name, z: v });
+      }
+    }
+
+    // Bars show the gap to the average team, as a share of it (capped at ±50%).
+    for (const st of stats) {
+      const base = Math.abs(avg[st] ?? 0);
+      const rel = base > 0 ? (totals[st] - (avg[st] ?? 0)) / base : 0;
+      const badge = rel >= 0.1
+        ? { text: "Strong", cls: "strong" }
+        : rel <= -0.1 ? { text: "Weak", cls: "weak" } : { text: "Average", cls: "average" };
+
+      const top5 = [...contribs[st]].sort((a, b) => Math.abs(b.z) - Math.abs(a.z)).slice(0, 5);
+      const label = st === "total" ? "Total" : st;
+      const items = top5
+        .map((r) => `<div class="tt-item"><div class="nm">${r.name}</div><div class="val">${fmtPts(r.z)}</div></div>`)
+        .join("");
+
+      root.appendChild(makeBarRow(tt, {
+        label,
+        total: rel,
+        halfPct: Math.min(50, Math.abs(rel) * 100),
+        valueText: fmtPts(totals[st]),
+        badge,
+        tooltipHTML: `
+          <div class="tt-title">${label} — ${fmtPts(totals[st])} pts (avg team ${fmtPts(avg[st] ?? 0)})</div>
+          <div class="tt-sub">Top 5 contributors (projected points)</div>
+          ${items || `<div class="tt-sub">No contributors on roster.</div>`}
+        `,
+      }));
+    }
+  }
+
+  setHeading("points");
+
+  hitRoot.innerHTML = "";
+  pitRoot.innerHTML = "";
+  renderSide("hit", hitRoot);
+  renderSide("pit", pitRoot);
+}
+
+/* ------------------------------ H2H weekly ------------------------------ */
+
+function fmtPct(p) {
+  return p == null ? "—" : `${Math.round(p * 100)}%`;
+}
+
+function pctClass(p) {
+  if (p == null) return "average";
+  if (p >= 0.6) return "strong";
+  if (p <= 0.4) return "weak";
+  return "average";
+}
+
+function fmtLine(cat, l) {
+  if (!l) return "—";
+  const d = cat.kind === "rate" ? cat.decimals : 1;
+  return `${l.mean.toFixed(d)} ± ${l.sd.toFixed(d)}`;
+}
+
+// Diverging bar around a 50% midline.
+function winBar(p) {
+  const bar = document.createElement("div");
+  bar.className = "tc-bar";
+  const mid = document.createElement("div");
+  mid.className = "tc-midline";
+  const fill = document.createElement("div");
+  const rel = p == null ? 0 : p - 0.5;
+  fill.className = "tc-fill " + (rel >= 0 ? "pos" : "neg");
+  fill.style.width = `${Math.min(50, Math.abs(rel) * 100)}%`;
+  bar.appendChild(mid);
+  bar.appendChild(fill);
+  return bar;
+}
+
+function pctCell(p) {
+  const el = document.createElement("div");
+  el.className = `tc-badge ${pctClass(p)}`;
+  el.textContent = fmtPct(p);
+  return el;
+}
+
+// Opponent picker: every other league team, with how many players they've bought.
+function syncOpponentSelect(opponents, selected) {
+  const sel = document.getElementById("tcOpponent");
+  if (!sel) return;
+  sel.innerHTML = [
+    `<option value="">— pick opponent —</option>`,
+    ...opponents.map((o) =>
+      `<option value="${o.id}" ${o.id === selected ? "selected" : ""}>${escapeHtml(o.name)} (${o.players.length})</option>`
+    ),
+  ].join("");
+}
+
+// H2H view: per-category weekly win % vs a league-average team and vs the
+// chosen opponent (their draft-log purchases), plus matchup win odds.
+function renderH2HCoverage({ rosterPlayers, players, hitRoot, pitRoot, tt, opponentId }) {
+  setHeading("h2h");
+
+  const opponents = listOpponents(players);
+  const opp = opponents.find((o) => o.id === opponentId && o.players.length) || null;
+  syncOpponentSelect(opponents, opponentId);
+
+  const mine = buildWeeklyLine(rosterPlayers);
+  const avg = leagueAverageLine(players);
+  const theirs = opp ? buildWeeklyLine(opp.players) : null;
+
+  const vsAvg = simulateMatchup(mine, avg);
+  const vsOpp = theirs ? simulateMatchup(mine, theirs) : null;
+
+  const summary = document.getElementById("tcH2HSummary");
+  if (summary) {
+    const cats = getLeagueCategories().length;
+    const line = (label, r) =>
+      `${escapeHtml(label)}: win ${fmtPct(r.matchup.win)} • tie ${fmtPct(r.matchup.tie)} • ${r.expectedCats.toFixed(1)} of ${cats} cats`;
+    summary.innerHTML = [
+      `<div>${line("vs League Avg", vsAvg)}</div>`,
+      vsOpp
+        ? `<div>${line(`vs ${opp.name}`, vsOpp)}</div>`
+        : `<div style="opacity:.75;">Pick an opponent with drafted players (Draft Log) to compare rosters.</div>`,
+    ].join("");
+    summary.style.display = "";
+  }
+
+  function makeH2HRow(cat) {
+    const pAvg = winShare(vsAvg.cats[cat.id]);
+    const pOpp = vsOpp ? winShare(vsOpp.cats[cat.id]) : null;
+
+    const row = document.createElement("div");
+    row.className = "tc-row h2h-row";
+
+    const lab = document.createElement("div");
+    lab.className = "tc-label";
+    lab.textContent = cat.id;
+
+    row.appendChild(lab);
+    row.appendChild(winBar(pAvg));
+    row.appendChild(pctCell(pAvg));
+    row.appendChild(winBar(pOpp));
+    row.appendChild(pctCell(pOpp));
+
+    bindTooltip(row, tt, `
+      <div class="tt-title">${escapeHtml(cat.name)} — weekly</div>
+      <div class="tt-item"><div class="nm">You</div><div class="val">${fmtLine(cat, mine[cat.id])}</div></div>
+      <div class="tt-item"><div class="nm">League avg (${fmtPct(pAvg)})</div><div class="val">${fmtLine(cat, avg[cat.id])}</div></div>
+      ${theirs ? `<div class="tt-item"><div class="nm">${escapeHtml(opp.name)} (${fmtPct(pOpp)})</div><div class="val">${fmtLine(cat, theirs[cat.id])}</div></div>` : ""}
+      <div class="tt-sub" style="margin-top:6px;">Weekly mean ± spread. Win % counts ties as half.</div>
+    `);
+    return row;
+  }
+
+  function headRow() {
+    const row = document.createElement("div");
+    row.className = "tc-row h2h-row h2h-head small";
+    row.innerHTML = `<div></div><div>vs League Avg</div><div></div><div>${escapeHtml(opp ? `vs ${opp.name}` : "vs Opponent")}</div><div></div>`;
+    return row;
+  }
+
+  hitRoot.innerHTML = "";
+  pitRoot.innerHTML = "";
+  hitRoot.appendChild(headRow());
+  pitRoot.appendChild(headRow());
+  for (const cat of getLeagueCategories("hit")) hitRoot.appendChild(makeH2HRow(cat));
+  for (const cat of getLeagueCategories("pit")) pitRoot.appendChild(makeH2HRow(cat));
+}
+
+// View / opponent pickers re-render with the last roster + pool.
+let _lastArgs = null;
+function bindToolbar() {
+  const view = document.getElementById("tcView");
+  const opp = document.getElementById("tcOpponent");
+  if (!view || view.dataset.bound) return;
+  view.dataset.bound = "1";
+
+  view.addEventListener("change", () => {
+    setH2HSettings({ view: view.value });
+    if (_lastArgs) renderTeamCoverage(_lastArgs);
+  });
+  opp?.addEventListener("change", () => {
+    setH2HSettings({ opponent: opp.value });
+    if (_lastArgs) renderTeamCoverage(_lastArgs);
+  });
+}
+
 /**
  * Render team category coverage (raw summed z-scores) for the current roster.
  * - Horizontal diverging bars (0 midpoint)
- * - Fixed category order
+ * - League category order
  * - Tooltip: top 5 contributors (by absolute contribution)
+ * Points leagues get a points view instead (roster points per scoring stat
+ * vs a league-average team); the H2H view (toolbar) shows weekly category
+ * win probabilities.
  */
 export function renderTeamCoverage({ roster, players }) {
   const hitRoot = document.getElementById("tcHitting");
   const pitRoot = document.getElementById("tcPitching");
   if (!hitRoot || !pitRoot) return;
 
+  _lastArgs = { roster, players };
+  bindToolbar();
+  const h2h = getH2HSettings();
+  const points = isPointsLeague();
+
+  // H2H is a categories view; points leagues have no toolbar.
+  const toolbar = document.getElementById("tcToolbar");
+  if (toolbar) toolbar.style.display = points ? "none" : "";
+  const viewSel = document.getElementById("tcView");
+  if (viewSel) viewSel.value = h2h.view;
+  const oppWrap = document.getElementById("tcOpponentWrap");
+  if (oppWrap) oppWrap.style.display = h2h.view === "h2h" ? "" : "none";
+  const summary = document.getElementById("tcH2HSummary");
+  if (summary) summary.style.display = "none";
+
   // Ensure tooltip exists and ALWAYS lives on <body> (prevents clipping / Safari fixed issues)
 let tt = document.getElementById("tcTooltip");
 if (!tt) {
@@ -139,17 +512,24 @@ if (tt.parentElement !== document.body) {
   document.body.appendChild(tt);
 }
 
-  const lookups = buildLookups(players || []);
-
   // Resolve roster -> master.csv rows
-  const rosterPlayers = [];
-  for (const r of roster || []) {
-    const p = resolveRosterPlayer(r, lookups);
-    if (p) rosterPlayers.push(p);
+  const rosterPlayers = resolveRosterPlayers(roster, players);
+
+  if (points) {
+    renderPointsCoverage({ rosterPlayers, players, hitRoot, pitRoot, tt });
+    return;
+  }
+
+  if (h2h.view === "h2h") {
+    renderH2HCoverage({ rosterPlayers, players, hitRoot, pitRoot, tt, opponentId: h2h.opponent });
+    return;
   }
+  setHeading("season");
 
   const allCats = [...HIT_CATS, ...PIT_CATS];
 
+  const zFor = getCategoryZ(players);
+
   const totals = {};
   const contribs = {};
   for (const cat of allCats) {
@@ -160,13 +540,13 @@ if (tt.parentElement !== document.body) {
   for (const p of rosterPlayers) {
     const name = String(p.Name || "").trim() || "Unknown";
     for (const cat of allCats) {
-      const z = num(p[ZCOL[cat]]);
+      const z = zFor(p, cat);
       totals[cat] += z;
       if (z !== 0) contribs[cat].push({ name, z });
     }
   }
 
-  // Dynamic scaling across all 14 categories
+  // Dynamic scaling across all league categories
   const maxAbs = Math.max(1, ...allCats.map((c) => Math.abs(totals[c])));
 
   hitRoot.innerHTML = "";
@@ -174,76 +554,21 @@ if (tt.parentElement !== document.body) {
 
   function makeRow(cat) {
     const total = totals[cat];
-    const abs = Math.abs(total);
-    const halfPct = Math.min(50, (abs / maxAbs) * 50); // 0..50
-
-    const row = document.createElement("div");
-    row.className = "tc-row";
-
-    const label = document.createElement("div");
-    label.className = "tc-label";
-    label.textContent = cat;
-
-    const bar = document.createElement("div");
-    bar.className = "tc-bar";
-
-    const mid = document.createElement("div");
-    mid.className = "tc-midline";
-
-    const fill = document.createElement("div");
-    fill.className = "tc-fill " + (total >= 0 ? "pos" : "neg");
-    fill.style.width = `${halfPct}%`;
-
-    bar.appendChild(mid);
-    bar.appendChild(fill);
-
-    const value = document.createElement("div");
-    value.className = "tc-value";
-    value.textContent = fmtSigned(total);
-    const b = badgeForTotal(total);
-    const badge = document.createElement("div");
-    badge.className = `tc-badge ${b.cls}`;
-    badge.textContent = b.text;
-
-    function badgeForTotal(total) {
-  if (total >= 2.0) return { text: "Strong", cls: "strong" };
-  if (total <= -2.0) return { text: "Weak", cls: "weak" };
-  return { text: "Average", cls: "average" };
-}
 
     // Top 5 contributors by absolute contribution (signed shown)
     const top5 = [...contribs[cat]]
       .sort((a, b) => Math.abs(b.z) - Math.abs(a.z))
       .slice(0, 5);
 
-    const show = (evt) => {
-      tt.innerHTML = buildTooltipHTML(cat, total, top5);
-      tt.style.display = "block";
-      tt.setAttribute("aria-hidden", "false");
-      placeTooltip(tt, evt.clientX, evt.clientY);
-    };
-
-    const move = (evt) => {
-      if (tt.style.display !== "block") return;
-      placeTooltip(tt, evt.clientX, evt.clientY);
-    };
-
-    const hide = () => {
-      tt.style.display = "none";
-      tt.setAttribute("aria-hidden", "true");
-    };
-
-    // Hover anywhere on the row
-    row.addEventListener("mouseenter", show);
-    row.addEventListener("mousemove", move);
-    row.addEventListener("mouseleave", hide);
-
-    row.appendChild(label);
-    row.appendChild(bar);
-    row.appendChild(value);
-    row.appendChild(badge);
-    return row;
-      }
+    return makeBarRow(tt, {
+      label: cat,
+      total,
+      halfPct: Math.min(50, (Math.abs(total) / maxAbs) * 50), // 0..50
+      valueText: fmtSigned(total),
+      badge: coverageBadge(total),
+      tooltipHTML: buildTooltipHTML(cat, total, top5),
+    });
+  }
 
   for (const cat of HIT_CATS) hitRoot.appendChild(makeRow(cat));
   for (const cat of PIT_CATS) pitRoot.appendChild(makeRow(cat));
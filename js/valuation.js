@@ -0,0 +1,381 @@
+// js/valuation.js
+// In-browser auction valuation engine.
+// Builds 2026 dollar values from the raw projection columns instead of the
+// offline "Proj Anchor", so league size / budget / slot changes reprice the pool.
+//
+// Method (standard z-score auction math):
+// 1) Means / SDs come from draft-relevant players (same cutoffs as the
+//    offline pipeline: 200+ PA hitters, 35+ IP pitchers).
+// 2) Each league category (league-config.js) is converted to a per-player
+//    contribution (rate stats are volume-weighted against the pool average),
+//    then z-scored against that baseline group.
+// 3) The draftable pool fills every team's lineup slots (roster-slots.js) in
+//    value order, scarcest eligible slot first; bench slots and any extra
+//    roster spots from settings act as bench. Replacement level is set per
+//    position (C, 1B, 2B, 3B, SS, OF, SP, RP): the best player left undrafted
+//    who plays it. Multi-position players measure against their weakest position.
+// 4) League dollars above the $1 floor are split by surplus over replacement (VORP).
+//
+// SGP mode swaps step 2: each category becomes standings points (stat ÷ SGP
+// denominator; rate stats measured as the change to an average team's rate).
+// Pool, replacement and dollar conversion are shared.
+//
+// Points leagues (scoring.format "points") swap it again: a player's total is
+// their projected fantasy points (points.js), so dollars follow points over
+// replacement at each position.
+
+import { DEFAULT_WEIGHTS, getSettings, getSgpDenominators } from "./storage.js";
+import {
+  HIT_POSITIONS,
+  PIT_POSITIONS,
+  isEligibleForSlot,
+  getReplacementPositions,
+  getSlotFillOrder,
+  getStartingSlots,
+} from "./roster-slots.js";
+import { getLeagueCategories } from "./league-config.js";
+import { getCategoryStat } from "./categories.js";
+import { isPointsLeague, projectSidePoints } from "./points.js";
+
+const HIT_CATS = getLeagueCategories("hit").map((c) => c.id);
+const PIT_CATS = getLeagueCategories("pit").map((c) => c.id);
+const CAT_BY_ID = new Map(getLeagueCategories().map((c) => [c.id, c]));
+
+const LOWER_IS_BETTER = new Set(
+  getLeagueCategories().filter((c) => c.direction === "lower").map((c) => c.id)
+);
+
+// Rate categories and the volume column that weights them (AVG by PA, ERA by IP, ...).
+const RATE_VOLUME = Object.fromEntries(
+  getLeagueCategories().filter((c) => c.kind === "rate").map((c) => [c.id, c.volume])
+);
+
+const SIDES = {
+  hit: { cats: HIT_CATS, volume: "PA", minVolume: 200, slots: getStartingSlots("hit"), positions: HIT_POSITIONS },
+  pit: { cats: PIT_CATS, volume: "IP", minVolume: 35, slots: getStartingSlots("pit"), positions: PIT_POSITIONS },
+};
+
+const BENCH = "BN";
+
+const MIN_BID = 1;
+
+function num(v, fallback = 0) {
+  if (v == null || v === "") return fallback;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Raw 2026 projection stat for a category.
+ * Accepts the normalized keys from projections-data.js ("HR") as well as the
+ * master CSV headers ("HR(2026)") so rows from either loader work.
+ */
+export function getProjStat(player, cat) {
+  if (!player) return null;
+  for (const k of [cat, `${cat}(2026)`, `${cat} 2026`]) {
+    const v = player[k];
+    if (v == null || String(v).trim() === "") continue;
+    const n = Number(v);
+    if (Number.isFinite(n)) return n;
+  }
+  return null;
+}
+
+/** "engine" (default) prices off this module; "csv" keeps the offline Proj Anchor. */
+export function getValueSource(settings = getSettings()) {
+  return String(settings?.value_source ?? "engine").toLowerCase() === "csv" ? "csv" : "engine";
+}
+
+function leagueShape(settings) {
+  return {
+    teams: Math.max(1, Math.round(num(settings?.teams_total, 14))),
+    budget: Math.max(0, num(settings?.budget_total, 300)),
+    slots: {
+      hit: Math.max(0, Math.round(num(settings?.hitter_slots_total, 14))),
+      pit: Math.max(0, Math.round(num(settings?.pitcher_slots_total, 9))),
+    },
+  };
+}
+
+function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+}
+
+function stdev(xs, m = mean(xs)) {
+  if (xs.length < 2) return 0;
+  const v = xs.reduce((a, x) => a + (x - m) * (x - m), 0) / xs.length;
+  return Math.sqrt(v);
+}
+
+// One side (hitters or pitchers): score every candidate against the
+// draft-relevant baseline group.
+// method "z" = z-scores, "sgp" = standings gain points (needs denoms + slots),
+// "points" = projected fantasy points (byCat holds points per scoring stat).
+function scoreSide(players, side, poolSize, { method = "z", denoms = {}, slots = 1 } = {}) {
+  const { cats, volume, minVolume } = SIDES[side];
+
+  const rows = [];
+  for (const p of players || []) {
+    const vol = getProjStat(p, volume);
+    if (vol == null || vol <= 0) continue;
+
+    const stats = {};
+    for (const cat of cats) stats[cat] = getCategoryStat(p, CAT_BY_ID.get(cat)) ?? 0;
+    rows.push({ player: p, vol, stats, byCat: {}, total: 0 });
+  }
+  if (!rows.length) return { rows };
+
+  if (method === "points") {
+    for (const r of rows) {
+      const pts = projectSidePoints(r.player, side);
+      r.byCat = { ...(pts?.byStat || {}) };
+      r.total = pts?.total ?? 0;
+    }
+    return { rows };
+  }
+
+  const n = Math.min(poolSize, rows.length);
+
+  // Baseline group: volume cutoff, but never smaller than the draftable pool.
+  let base = rows.filter((r) => r.vol >= minVolume);
+  if (base.length < n) base = [...rows].sort((a, b) => b.vol - a.vol).slice(0, n);
+
+  const avgVol = mean(base.map((r) => r.vol)) || 1;
+  const volSum = base.reduce((a, r) => a + r.vol, 0) || 1;
+
+  for (const cat of cats) {
+    const w = num(DEFAULT_WEIGHTS[cat], 1);
+    const volKey = RATE_VOLUME[cat];
+    const sign = LOWER_IS_BETTER.has(cat) ? -1 : 1;
+
+    // Rate stats: how far the player moves a team's rate, scaled by playing time
+    // (the category's own volume column when it isn't the side's PA / IP).
+    const volOf = (r) => (volKey === volume ? r.vol : (getProjStat(r.player, volKey) ?? r.vol));
+    const catVolSum = volKey === volume ? volSum : (base.reduce((a, r) => a + volOf(r), 0) || 1);
+    const catAvgVol = volKey === volume ? avgVol : (catVolSum / (base.length || 1) || 1);
+
+    const baseRate = volKey
+      ? base.reduce((a, r) => a + r.stats[cat] * volOf(r), 0) / catVolSum
+      : 0;
+
+    const contrib = (r) => volKey
+      ? sign * (r.stats[cat] - baseRate) * (volOf(r) / catAvgVol)
+      : sign * r.stats[cat];
+
+    if (method === "sgp") {
+      // Counting: stat ÷ denom. Rate: shift of an average team's rate ÷ denom
+      // (the player's volume is 1/slots of that team's total).
+      const denom = num(denoms[cat], 0);
+      const teamVol = avgVol * Math.max(1, slots);
+      for (const r of rows) {
+        const raw = volKey ? contrib(r) * (avgVol / teamVol) : contrib(r);
+        r.byCat[cat] = denom > 0 ? (raw / denom) * w : 0;
+      }
+      continue;
+    }
+
+    const xs = base.map(contrib);
+    const m = mean(xs);
+    const sd = stdev(xs, m);
+
+    for (const r of rows) {
+      r.byCat[cat] = sd > 0 ? ((contrib(r) - m) / sd) * w : 0;
+    }
+  }
+
+  for (const r of rows) {
+    r.total = cats.reduce((a, cat) => a + r.byCat[cat], 0);
+  }
+
+  return { rows };
+}
+
+// Slot keys a scored row can fill on this side. Rows are scored on the side
+// they have volume for, so two-way rows typed "hit" still fit pitching slots.
+function eligibleSlots(row, side) {
+  const asSide = { ...row.player, type: side };
+  return SIDES[side].slots.map((s) => s.key).filter((k) => isEligibleForSlot(asSide, k));
+}
+
+/**
+ * Draft the pool for one side and read off replacement levels.
+ * - capacity: teams × each slot, plus bench for roster spots beyond the slot list
+ * - rows are taken in total order into their most restrictive open slot
+ * - replacement[pos] = best undrafted total at that position (falls back to
+ *   the weakest drafted player there, then to the side's overall level)
+ */
+function draftSide(rows, side, teams, rosterSlots) {
+  const slotDefs = SIDES[side].slots;
+  const open = new Map(slotDefs.map((s) => [s.key, teams]));
+  const bench = Math.max(0, rosterSlots - slotDefs.length) * teams;
+  if (bench > 0) open.set(BENCH, bench);
+
+  // Fill order when a player fits several open slots: most restrictive first.
+  const order = [...getSlotFillOrder(side), BENCH];
+
+  let capacity = Math.min(teams * rosterSlots, [...open.values()].reduce((a, b) => a + b, 0));
+  const sorted = [...rows].sort((a, b) => b.total - a.total);
+  const drafted = new Set();
+
+  for (const r of sorted) {
+    if (capacity <= 0) break;
+    const fits = new Set(eligibleSlots(r, side));
+    fits.add(BENCH);
+
+    const slot = order.find((k) => fits.has(k) && (open.get(k) || 0) > 0);
+    if (!slot) continue;
+
+    open.set(slot, open.get(slot) - 1);
+    r.slot = slot;
+    drafted.add(r);
+    capacity--;
+  }
+
+  const undrafted = sorted.filter((r) => !drafted.has(r));
+  const overall = undrafted.length
+    ? undrafted[0].total
+    : (sorted.filter((r) => drafted.has(r)).pop()?.total ?? 0);
+
+  const replacement = {};
+  for (const pos of SIDES[side].positions) {
+    const plays = (r) => getReplacementPositions(r.player, side).includes(pos);
+    const best = undrafted.find(plays);
+    const worstDrafted = sorted.filter((r) => drafted.has(r) && plays(r)).pop();
+    replacement[pos] = best?.total ?? worstDrafted?.total ?? overall;
+  }
+
+  return { drafted, replacement, overall };
+}
+
+// A player's replacement level: their weakest (lowest) eligible position.
+function replacementFor(row, side, draft) {
+  let best = null;
+  for (const pos of getReplacementPositions(row.player, side)) {
+    const lvl = draft.replacement[pos];
+    if (lvl == null) continue;
+    if (!best || lvl < best.level) best = { pos, level: lvl };
+  }
+  return best || { pos: side === "pit" ? "P" : "UT", level: draft.overall };
+}
+
+/**
+ * Compute engine values for a player pool.
+ *
+ * Returns:
+ * {
+ *   byPlayer: Map<player, { value, surplus, byCat, drafted, hit?, pit? }>,
+ *     hit / pit: { total, surplus, pos, replacement }  (pos = replacement position)
+ *   meta: { method, teams, budget, dollarsPerZ,
+ *           hit: { poolSize, replacement: { C, 1B, ... } }, pit: { poolSize, replacement: { SP, RP } } }
+ * }
+ *
+ * Rows with both PA and IP (two-way players) are scored on both sides and
+ * keep the combined surplus; they still only take one $1 floor.
+ *
+ * opts.method: "z", "sgp" or "points" (default: "points" in a points league, else "z");
+ * opts.denoms overrides the saved SGP denominators.
+ */
+export function computeEngineValues(players, settings = getSettings(), opts = {}) {
+  const league = leagueShape(settings);
+  const method = ["z", "sgp", "points"].includes(opts.method)
+    ? opts.method
+    : (isPointsLeague() ? "points" : "z");
+  const denoms = method === "sgp" ? (opts.denoms || getSgpDenominators()) : {};
+  const sides = {};
+
+  for (const side of Object.keys(SIDES)) {
+    sides[side] = scoreSide(players, side, league.teams * league.slots[side], {
+      method,
+      denoms,
+      slots: league.slots[side],
+    });
+  }
+
+  const byPlayer = new Map();
+  let surplusTotal = 0;
+
+  for (const side of Object.keys(SIDES)) {
+    const draft = draftSide(sides[side].rows, side, league.teams, league.slots[side]);
+    sides[side].draft = draft;
+
+    for (const r of sides[side].rows) {
+      const cur = byPlayer.get(r.player) || { value: 0, surplus: 0, byCat: {}, drafted: false };
+      const repl = replacementFor(r, side, draft);
+      const inPool = draft.drafted.has(r);
+      const surplus = inPool ? Math.max(0, r.total - repl.level) : 0;
+
+      cur.surplus += surplus;
+      cur.drafted = cur.drafted || inPool;
+      cur[side] = { total: r.total, surplus, pos: repl.pos, replacement: repl.level };
+      Object.assign(cur.byCat, r.byCat);
+
+      byPlayer.set(r.player, cur);
+      surplusTotal += surplus;
+    }
+  }
+
+  const rosterSpots = league.teams * (league.slots.hit + league.slots.pit);
+  const spendable = Math.max(0, league.teams * league.budget - rosterSpots * MIN_BID);
+  const dollarsPerZ = surplusTotal > 0 ? spendable / surplusTotal : 0;
+
+  for (const v of byPlayer.values()) {
+    v.value = v.drafted ? Math.round(MIN_BID + v.surplus * dollarsPerZ) : 0;
+  }
+
+  return {
+    byPlayer,
+    meta: {
+      method,
+      teams: league.teams,
+      budget: league.budget,
+      dollarsPerZ,
+      hit: { poolSize: sides.hit.draft.drafted.size, replacement: sides.hit.draft.replacement },
+      pit: { poolSize: sides.pit.draft.drafted.size, replacement: sides.pit.draft.replacement },
+    },
+  };
+}
+
+/**
+ * Stamp engine values onto a loaded pool (mutates rows).
+ * - engine_value_26: engine $ (only on rows with projections)
+ * - proj_anchor_csv: the original CSV Proj Anchor, kept for reference
+ * - auction_value_26: engine $ when value_source is "engine", else the CSV anchor
+ * - sgp_value_26 / sgp_26: SGP-mode $ and total standings points (Value View "SGP")
+ * - vorp_26 / vorp_pos: engine surplus over replacement and the position it was measured at
+ *
+ * Rows without projection volume (prospects, auction-only rows) keep their CSV anchor.
+ */
+export function applyEngineValues(players, settings = getSettings()) {
+  const list = Array.isArray(players) ? players : [];
+  const useEngine = getValueSource(settings) === "engine";
+
+  let byPlayer = new Map();
+  let bySgp = new Map();
+  try {
+    byPlayer = computeEngineValues(list, settings).byPlayer;
+    bySgp = computeEngineValues(list, settings, { method: "sgp" }).byPlayer;
+  } catch (e) {
+    console.warn("[VALUATION] engine failed; keeping CSV values", e);
+  }
+
+  for (const p of list) {
+    if (!("proj_anchor_csv" in p)) p.proj_anchor_csv = p.auction_value_26 ?? "";
+
+    const hit = byPlayer.get(p);
+    if (hit) {
+      p.engine_value_26 = hit.value;
+      p.vorp_26 = hit.surplus;
+      p.vorp_pos = [hit.hit?.pos, hit.pit?.pos].filter(Boolean).join("/");
+    }
+
+    p.auction_value_26 = useEngine && hit ? hit.value : p.proj_anchor_csv;
+
+    const sgp = bySgp.get(p);
+    if (sgp) {
+      p.sgp_value_26 = sgp.value;
+      p.sgp_26 = (sgp.hit?.total ?? 0) + (sgp.pit?.total ?? 0);
+    }
+  }
+
+  return list;
+}
@@ -0,0 +1,250 @@
+// js/workspace-compare.js
+// Workspaces panel (Settings on index.html): rename / delete workspaces and
+// compare two of them side by side: where the budget goes (keepers, won,
+// Plan $, hitters / SP / RP) and the category coverage of each plan.
+//
+// A plan's team = the shared roster + players we've won in that workspace's
+// draft log + targets with Plan $ > 0. Coverage sums neutral-weight engine
+// z-scores (valuation.js) per league category, or projected points in a
+// points league, so two workspaces' own category weights don't skew it.
+
+import {
+  MY_TEAM_ID,
+  computeBudgetSpend,
+  getAuctionTargets,
+  getLeagueTeams,
+  getRoster,
+  replayDraftLog,
+  resolveLeagueTeamId,
+} from "./storage.js";
+import { getLeagueCategories } from "./league-config.js";
+import { loadAuctionPlayers, getPlayerKey, normalizeName } from "./auction-data.js";
+import { computeEngineValues } from "./valuation.js";
+import { isPointsLeague, projectSidePoints } from "./points.js";
+import { sumPlannedSpend } from "./allocation.js";
+import {
+  DEFAULT_WORKSPACE_ID,
+  getActiveWorkspaceId,
+  getWorkspaces,
+  renameWorkspace,
+  deleteWorkspace,
+  withWorkspace,
+} from "./workspaces.js";
+import { escapeHtml } from "./helpers.js";
+
+let _poolPromise = null;
+let _picked = { a: null, b: null };
+
+function loadPool() {
+  if (!_poolPromise) {
+    _poolPromise = loadAuctionPlayers().then((players) => {
+      let byPlayer = new Map();
+      try {
+        byPlayer = computeEngineValues(players).byPlayer;
+      } catch (e) {
+        console.warn("[WORKSPACES] engine values failed", e);
+      }
+      return { players, byPlayer };
+    });
+  }
+  return _poolPromise;
+}
+
+function money(n) {
+  const v = Math.round(Number(n) || 0);
+  return v < 0 ? `-$${Math.abs(v)}` : `$${v}`;
+}
+
+/** Player keys on a workspace's planned team (roster + won + Plan $ targets). */
+function plannedTeamKeys() {
+  const keys = new Set();
+  for (const r of getRoster() || []) {
+    const k = getPlayerKey({ Type: r.type, Name: r.name });
+    if (k) keys.add(k);
+  }
+
+  const teams = getLeagueTeams();
+  for (const s of replayDraftLog().sales.values()) {
+    if (resolveLeagueTeamId(s.team, teams) === MY_TEAM_ID) keys.add(s.player_key);
+  }
+
+  for (const t of getAuctionTargets() || []) {
+    const k = String(t.player_key || "").trim() || getPlayerKey({ Type: t.type, Name: t.name });
+    if (k && Number(t.plan) > 0) keys.add(k);
+  }
+  return keys;
+}
+
+/**
+ * Budget + coverage summary for one workspace (read without switching to it).
+ * pool: { players, byPlayer } from the engine.
+ */
+export function summarizeWorkspace(id, pool) {
+  return withWorkspace(id, () => {
+    const budget = computeBudgetSpend();
+    const split = sumPlannedSpend();
+    const keys = plannedTeamKeys();
+
+    const byKey = new Map();
+    const byName = new Map();
+    for (const p of pool.players || []) {
+      if (p.player_key) byKey.set(p.player_key, p);
+      const nn = normalizeName(p.Name || "");
+      if (nn && !byName.has(nn)) byName.set(nn, p);
+    }
+
+    const team = [];
+    let unmatched = 0;
+    for (const k of keys) {
+      const p = byKey.get(k) || byName.get(normalizeName(k.split("|")[1] || ""));
+      if (p) team.push(p);
+      else unmatched += 1;
+    }
+
+    const coverage = {};
+    if (isPointsLeague()) {
+      for (const side of ["hit", "pit"]) {
+        coverage[side] = team.reduce((sum, p) => sum + (projectSidePoints(p, side)?.total ?? 0), 0);
+      }
+    } else {
+      for (const c of getLeagueCategories()) {
+        coverage[c.id] = team.reduce((sum, p) => sum + (Number(pool.byPlayer.get(p)?.byCat?.[c.id]) || 0), 0);
+      }
+    }
+
+    return { id, budget, split, players: team.length, unmatched, coverage };
+  });
+}
+
+function diffCell(d, decimals) {
+  const cls = d > 0 ? "wsBetter" : d < 0 ? "wsWorse" : "";
+  const txt = d === 0 ? "—" : `${d > 0 ? "+" : ""}${d.toFixed(decimals)}`;
+  return `<td class="${cls}">${txt}</td>`;
+}
+
+function compareTable(a, b) {
+  const moneyRow = (label, fa) => {
+    const x = fa(a);
+    const y = fa(b);
+    return `<tr><td style="text-align:left;">${label}</td><td>${money(x)}</td><td>${money(y)}</td><td>${x === y ? "—" : money(y - x)}</td></tr>`;
+  };
+
+  const points = isPointsLeague();
+  const covRows = points
+    ? [["hit", "Hitting points"], ["pit", "Pitching points"]]
+    : getLeagueCategories().map((c) => [c.id, c.id]);
+  const decimals = points ? 0 : 2;
+
+  return `
+    <table class="table wsCompareTable">
+      <thead>
+        <tr><th style="text-align:left;"></th><th>A</th><th>B</th><th>B − A</th></tr>
+      </thead>
+      <tbody>
+        <tr class="wsSection"><td colspan="4">Planned spend</td></tr>
+        ${moneyRow("Budget", (s) => s.budget.budgetTotal)}
+        ${moneyRow("Keepers", (s) => s.budget.contractSpent)}
+        ${moneyRow("Won at auction", (s) => s.budget.wonSpent)}
+        ${moneyRow("Plan $", (s) => s.budget.plannedSpent)}
+        ${moneyRow("Left", (s) => s.budget.remaining)}
+        ${moneyRow("Hitters (keepers + plan)", (s) => s.split.hit)}
+        ${moneyRow("SP (keepers + plan)", (s) => s.split.sp)}
+        ${moneyRow("RP (keepers + plan)", (s) => s.split.rp)}
+        <tr><td style="text-align:left;">Players on plan</td><td>${a.players}</td><td>${b.players}</td><td>${b.players - a.players || "—"}</td></tr>
+
+        <tr class="wsSection"><td colspan="4">${points ? "Projected points" : "Category coverage (Σ z)"}</td></tr>
+        ${covRows.map(([id, label]) => {
+          const x = a.coverage[id] ?? 0;
+          const y = b.coverage[id] ?? 0;
+          return `<tr><td style="text-align:left;">${escapeHtml(label)}</td><td>${x.toFixed(decimals)}</td><td>${y.toFixed(decimals)}</td>${diffCell(y - x, decimals)}</tr>`;
+        }).join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Mount the Workspaces panel: manage workspaces and compare two of them.
+ */
+export function mountWorkspaceSettings(containerId = "workspaceSettings") {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  const list = getWorkspaces();
+  const active = getActiveWorkspaceId();
+  const has = (id) => list.some((w) => w.id === id);
+  const other = list.find((w) => w.id !== active)?.id ?? active;
+  const a = has(_picked.a) ? _picked.a : active;
+  const b = has(_picked.b) ? _picked.b : other;
+  _picked = { a, b };
+
+  const options = (sel) => list
+    .map((w) => `<option value="${escapeHtml(w.id)}" ${w.id === sel ? "selected" : ""}>${escapeHtml(w.name)}</option>`)
+    .join("");
+
+  el.innerHTML = `
+    <div class="wsList">
+      ${list.map((w) => `
+        <div class="wsRow" data-ws="${escapeHtml(w.id)}">
+          <input type="text" data-f="name" value="${escapeHtml(w.name)}" />
+          ${w.id === active ? `<span class="small wsActive">active</span>` : ""}
+          ${w.id === DEFAULT_WORKSPACE_ID ? "" : `<button type="button" class="ghost" data-act="delete">Delete</button>`}
+        </div>
+      `).join("")}
+    </div>
+
+    <div class="wsCompareBar">
+      <label class="small">A <select id="wsCompareA">${options(a)}</select></label>
+      <label class="small">B <select id="wsCompareB">${options(b)}</select></label>
+    </div>
+    <div id="wsCompareOut" class="small" style="margin-top:10px;">Loading players…</div>
+  `;
+
+  el.querySelectorAll(".wsRow input[data-f='name']").forEach((input) => {
+    input.addEventListener("change", () => {
+      const id = input.closest(".wsRow")?.dataset.ws;
+      if (id) renameWorkspace(id, input.value);
+      mountWorkspaceSettings(containerId);
+    });
+  });
+
+  el.querySelectorAll(".wsRow [data-act='delete']").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const id = btn.closest(".wsRow")?.dataset.ws;
+      const ws = list.find((w) => w.id === id);
+      if (!ws || !window.confirm(`Delete workspace "${ws.name}" and its targets, planner and settings?`)) return;
+      deleteWorkspace(id);
+      mountWorkspaceSettings(containerId);
+    });
+  });
+
+  const onPick = () => {
+    _picked = {
+      a: el.querySelector("#wsCompareA")?.value ?? a,
+      b: el.querySelector("#wsCompareB")?.value ?? b,
+    };
+    mountWorkspaceSettings(containerId);
+  };
+  el.querySelector("#wsCompareA")?.addEventListener("change", onPick);
+  el.querySelector("#wsCompareB")?.addEventListener("change", onPick);
+
+  const out = el.querySelector("#wsCompareOut");
+  if (list.length < 2) {
+    out.textContent = "Create a second workspace (sidebar → New / Clone) to compare plans.";
+    return;
+  }
+
+  loadPool()
+    .then((pool) => {
+      const sa = summarizeWorkspace(a, pool);
+      const sb = summarizeWorkspace(b, pool);
+      const note = sa.unmatched + sb.unmatched
+        ? `<div class="small" style="opacity:.75; margin-top:6px;">${sa.unmatched + sb.unmatched} planned player(s) not found in the projections are left out of coverage.</div>`
+        : "";
+      out.innerHTML = `<div style="overflow:auto;">${compareTable(sa, sb)}</div>${note}`;
+    })
+    .catch((e) => {
+      console.warn("[WORKSPACES] compare failed", e);
+      out.textContent = `Couldn't load players: ${e.message}`;
+    });
+}
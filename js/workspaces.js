@@ -0,0 +1,174 @@
+// js/workspaces.js
+// Named draft workspaces (scenarios): "Stars & scrubs", "Punt SV", ...
+// Each workspace keeps its own copy of the strategy keys below; everything
+// else (roster / keepers, league config, league teams, SGP denominators) is
+// the real league and stays shared.
+//
+// Storage: the default workspace uses the plain keys (so existing data is the
+// "Main" workspace); any other workspace stores `${key}@${id}`, which keeps
+// the hag_ prefix so backups (backup.js) carry every workspace along.
+//
+// NOTE: storage.js imports this module, so it uses the storage adapter directly.
+
+import { readJSON, writeJSON, removeKey, transaction } from "./storage-adapter.js";
+
+const INDEX_KEY = "hag_workspaces_v1";
+
+export const DEFAULT_WORKSPACE_ID = "default";
+export const WORKSPACE_EVENT = "hag:workspace-changed";
+
+// Keys that belong to a workspace.
+export const WORKSPACE_KEYS = Object.freeze([
+  "hag_settings",            // budget, category weights, value view
+  "hag_auction_targets_v1",  // targets + Plan $
+  "hag_draft_log_v1",        // live prices (draft log)
+  "hag_live_prices_v1",      // legacy live prices (migrated into the log)
+  "hag_lineup_planner_v1",   // lineup planner
+  "hag_rec_filters_v1",      // recommended-target filters
+  "hag_history_v1",          // undo / redo stack (history.js)
+  "hag_sim_v1",              // mock auction rehearsal (auction-sim.js)
+]);
+
+// A clone starts with a clean undo history and no rehearsal in progress.
+const NOT_CLONED = new Set(["hag_history_v1", "hag_sim_v1"]);
+
+const SCOPED = new Set(WORKSPACE_KEYS);
+
+// withWorkspace() points reads/writes at another workspace for one call.
+let _override = null;
+
+/**
+ * Index shape:
+ * {
+ *   active: "default" | "<id>",
+ *   list: [{ id, name, created_at }]   // "default" is always first
+ * }
+ */
+function loadIndex() {
+  const raw = readJSON(INDEX_KEY, null);
+
+  const list = Array.isArray(raw?.list)
+    ? raw.list
+      .filter((w) => w && typeof w.id === "string" && w.id)
+      .map((w) => ({ id: w.id, name: String(w.name || w.id), created_at: w.created_at ?? null }))
+    : [];
+  if (!list.some((w) => w.id === DEFAULT_WORKSPACE_ID)) {
+    list.unshift({ id: DEFAULT_WORKSPACE_ID, name: "Main", created_at: null });
+  }
+
+  const active = list.some((w) => w.id === raw?.active) ? raw.active : DEFAULT_WORKSPACE_ID;
+  return { active, list };
+}
+
+function saveIndex(index) {
+  writeJSON(INDEX_KEY, index);
+}
+
+function notify(detail) {
+  try {
+    window.dispatchEvent(new CustomEvent(WORKSPACE_EVENT, { detail }));
+  } catch {
+    // non-browser context
+  }
+}
+
+function slugify(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 32) || "workspace";
+}
+
+export function getWorkspaces() {
+  return loadIndex().list;
+}
+
+export function getActiveWorkspaceId() {
+  return _override ?? loadIndex().active;
+}
+
+export function getActiveWorkspace() {
+  const id = getActiveWorkspaceId();
+  return getWorkspaces().find((w) => w.id === id) || getWorkspaces()[0];
+}
+
+/** Storage key for `key` in a workspace (default: the active one). */
+export function scopedKey(key, id = getActiveWorkspaceId()) {
+  if (!SCOPED.has(key) || !id || id === DEFAULT_WORKSPACE_ID) return key;
+  return `${key}@${id}`;
+}
+
+/**
+ * Run fn() with storage reads/writes pointed at workspace `id`, then switch
+ * back. Everything in storage is synchronous, so this is safe for reading
+ * another workspace's plan without switching the page to it.
+ */
+export function withWorkspace(id, fn) {
+  const prev = _override;
+  _override = id;
+  try {
+    return fn();
+  } finally {
+    _override = prev;
+  }
+}
+
+/**
+ * Create a workspace. cloneFrom copies that workspace's keys; without it the
+ * new workspace starts from defaults (league config shape, neutral weights).
+ */
+export function createWorkspace(name, { cloneFrom = null } = {}) {
+  const index = loadIndex();
+  const label = String(name || "").trim() || `Workspace ${index.list.length + 1}`;
+
+  const base = slugify(label);
+  let id = base;
+  for (let i = 2; index.list.some((w) => w.id === id) || id === DEFAULT_WORKSPACE_ID; i++) id = `${base}-${i}`;
+
+  const ws = { id, name: label, created_at: Date.now() };
+  transaction(() => {
+    if (cloneFrom) {
+      for (const key of WORKSPACE_KEYS) {
+        if (NOT_CLONED.has(key)) continue;
+        const value = readJSON(scopedKey(key, cloneFrom), null);
+        if (value != null) writeJSON(scopedKey(key, id), value);
+      }
+    }
+    saveIndex({ ...index, list: [...index.list, ws] });
+  });
+  return ws;
+}
+
+export function renameWorkspace(id, name) {
+  const index = loadIndex();
+  const label = String(name || "").trim();
+  if (!label) return null;
+  const list = index.list.map((w) => (w.id === id ? { ...w, name: label } : w));
+  saveIndex({ ...index, list });
+  notify({ id, renamed: true });
+  return list.find((w) => w.id === id) || null;
+}
+
+/** Make `id` the active workspace. Pages listen for WORKSPACE_EVENT (nav.js reloads). */
+export function switchWorkspace(id) {
+  const index = loadIndex();
+  if (!index.list.some((w) => w.id === id) || index.active === id) return false;
+  saveIndex({ ...index, active: id });
+  notify({ id });
+  return true;
+}
+
+/** Delete a workspace and its data. The Main workspace can't be deleted. */
+export function deleteWorkspace(id) {
+  if (id === DEFAULT_WORKSPACE_ID) return false;
+  const index = loadIndex();
+  if (!index.list.some((w) => w.id === id)) return false;
+
+  const wasActive = index.active === id;
+  transaction(() => {
+    for (const key of WORKSPACE_KEYS) removeKey(scopedKey(key, id));
+    saveIndex({
+      active: wasActive ? DEFAULT_WORKSPACE_ID : index.active,
+      list: index.list.filter((w) => w.id !== id),
+    });
+  });
+  if (wasActive) notify({ id: DEFAULT_WORKSPACE_ID });
+  return true;
+}
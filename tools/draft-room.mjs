@@ -0,0 +1,462 @@
+#!/usr/bin/env node
+// tools/draft-room.mjs
+// Local draft room for in-person auctions: serves the toolkit and relays the
+// shared draft log over a WebSocket (/room), so every browser in the room
+// sees the same board. Plain Node, no packages, nothing leaves the network.
+//
+//   node tools/draft-room.mjs [--port 8080] [--host 0.0.0.0] [--key SECRET] [--save room.json]
+//
+// The commissioner opens the printed commissioner link (it carries the key)
+// and records nominations / sales on the Auction Board as usual; their
+// browser pushes the whole draft log + league teams here, and the server
+// re-broadcasts it to every team (js/draft-room.js applies it locally).
+//
+// Messages (JSON text frames):
+//   client -> server
+//     { type: "hello", key?, team? }       join (key = commissioner), team = claimed league team id
+//     { type: "state", log, teams }        commissioner only: replace the room state
+//   server -> client
+//     { type: "welcome", id, role }        role: "commissioner" | "team"
+//     { type: "state", log, teams, rev, updated_at }
+//     { type: "presence", clients: [{ id, role, team }] }
+//     { type: "error", message }
+
+import http from "http";
+import fs from "fs";
+import path from "path";
+import os from "os";
+import crypto from "crypto";
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+const WS_PATH = "/room";
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const MAX_FRAME = 4 * 1024 * 1024;
+const MAX_LOG = 5000;
+const MAX_TEAMS = 40;
+const PING_MS = 20000;
+
+// Only the toolkit itself is served: top-level pages plus these folders.
+const STATIC_DIRS = new Set(["css", "js", "data"]);
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+};
+
+function parseArgs(argv) {
+  const opts = { port: 8080, host: "0.0.0.0", key: null, save: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => argv[++i];
+    if (a === "--port") opts.port = Number(next());
+    else if (a === "--host") opts.host = String(next());
+    else if (a === "--key") opts.key = String(next());
+    else if (a === "--save") opts.save = path.resolve(String(next()));
+    else if (a === "--help" || a === "-h") opts.help = true;
+    else {
+      console.log(`Unknown option: ${a}`);
+      opts.help = true;
+    }
+  }
+  if (!Number.isInteger(opts.port) || opts.port <= 0) opts.port = 8080;
+  return opts;
+}
+
+/* ------------------------------ Room state ------------------------------ */
+
+function createRoom(savePath) {
+  let state = { log: [], teams: [], rev: 0, updated_at: null };
+
+  if (savePath && fs.existsSync(savePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(savePath, "utf8"));
+      if (Array.isArray(saved?.log)) state = { ...state, ...saved };
+      console.log(`Loaded room from ${path.relative(process.cwd(), savePath)} (${state.log.length} draft events)`);
+    } catch (e) {
+      console.log(`⚠️  Could not read ${savePath}: ${e.message} (starting empty)`);
+    }
+  }
+
+  return {
+    get: () => state,
+    set(log, teams) {
+      const same = JSON.stringify(log) === JSON.stringify(state.log) && JSON.stringify(teams) === JSON.stringify(state.teams);
+      if (same) return false;
+      state = { log, teams, rev: state.rev + 1, updated_at: new Date().toISOString() };
+      if (savePath) {
+        try {
+          fs.writeFileSync(savePath, JSON.stringify(state, null, 2));
+        } catch (e) {
+          console.log(`⚠️  Could not save room: ${e.message}`);
+        }
+      }
+      return true;
+    },
+  };
+}
+
+// Keep only the fields the toolkit reads; the browser normalizes the rest.
+function cleanEvent(e) {
+  if (!e || typeof e !== "object") return null;
+  const kind = ["nominate", "sale", "void"].includes(e.kind) ? e.kind : null;
+  if (!kind) return null;
+  return {
+    id: String(e.id ?? ""),
+    seq: Number(e.seq) || 0,
+    ts: e.ts != null && Number.isFinite(Number(e.ts)) ? Number(e.ts) : null,
+    kind,
+    player_key: String(e.player_key ?? ""),
+    name: String(e.name ?? ""),
+    type: e.type === "pit" ? "pit" : "hit",
+    pos: String(e.pos ?? ""),
+    team: String(e.team ?? ""),
+    price: Number(e.price) || 0,
+  };
+}
+
+function cleanTeam(t) {
+  if (!t || typeof t !== "object" || !t.id) return null;
+  const budget = Number(t.budget_total);
+  return {
+    id: String(t.id),
+    name: String(t.name ?? ""),
+    budget_total: t.budget_total != null && Number.isFinite(budget) ? budget : null,
+    keeper_spent: Number(t.keeper_spent) || 0,
+    keeper_count: Number(t.keeper_count) || 0,
+  };
+}
+
+/* ------------------------------ WebSocket ------------------------------ */
+
+function encodeFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Minimal RFC 6455 server connection: masked client frames, fragmentation,
+ * ping / pong and close. onMessage(text) gets each complete text message.
+ */
+function createConnection(socket, { onMessage, onClose }) {
+  let buf = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let closed = false;
+  let alive = true;
+
+  const conn = {
+    send(obj) {
+      if (closed) return;
+      socket.write(encodeFrame(JSON.stringify(obj)));
+    },
+    close(code = 1000) {
+      if (closed) return;
+      closed = true;
+      const body = Buffer.alloc(2);
+      body.writeUInt16BE(code, 0);
+      socket.write(Buffer.concat([Buffer.from([0x88, 2]), body]));
+      socket.end();
+      onClose();
+    },
+    ping() {
+      if (closed) return;
+      if (!alive) {
+        socket.destroy();
+        return;
+      }
+      alive = false;
+      socket.write(Buffer.from([0x89, 0]));
+    },
+  };
+
+  function readFrames() {
+    while (buf.length >= 2) {
+      const fin = (buf[0] & 0x80) !== 0;
+      const opcode = buf[0] & 0x0f;
+      const masked = (buf[1] & 0x80) !== 0;
+      let len = buf[1] & 0x7f;
+      let offset = 2;
+
+      if (len === 126) {
+        if (buf.length < 4) return;
+        len = buf.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (buf.length < 10) return;
+        len = Number(buf.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (len > MAX_FRAME || !masked) {
+        conn.close(len > MAX_FRAME ? 1009 : 1002);
+        return;
+      }
+      // Control frames (close / ping / pong) are single frames of at most 125 bytes (RFC 6455 5.5).
+      if (opcode >= 0x8 && (len > 125 || !fin)) {
+        conn.close(1002);
+        return;
+      }
+      if (buf.length < offset + 4 + len) return;
+
+      const mask = buf.subarray(offset, offset + 4);
+      const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      buf = buf.subarray(offset + 4 + len);
+
+      if (opcode === 0x8) {
+        conn.close();
+        return;
+      }
+      if (opcode === 0x9) {
+        socket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+        continue;
+      }
+      if (opcode === 0xa) {
+        alive = true;
+        continue;
+      }
+      if (opcode === 0x1 || opcode === 0x0) {
+        fragmentBytes += payload.length;
+        if (fragmentBytes > MAX_FRAME) {
+          conn.close(1009);
+          return;
+        }
+        fragments.push(payload);
+        if (!fin) continue;
+        const text = Buffer.concat(fragments).toString("utf8");
+        fragments = [];
+        fragmentBytes = 0;
+        onMessage(text);
+      }
+      // Binary frames are ignored.
+    }
+  }
+
+  socket.on("data", (chunk) => {
+    buf = Buffer.concat([buf, chunk]);
+    if (buf.length > MAX_FRAME + 16) {
+      conn.close(1009);
+      return;
+    }
+    readFrames();
+  });
+  socket.on("close", () => {
+    if (closed) return;
+    closed = true;
+    onClose();
+  });
+  socket.on("error", () => socket.destroy());
+
+  return conn;
+}
+
+/* ------------------------------ Server ------------------------------ */
+
+// Top-level .html pages, or files under STATIC_DIRS; no dotfiles or dot-folders
+// anywhere on the path (.git, .env, …).
+function isServable(file) {
+  if (!file.startsWith(ROOT + path.sep)) return false;
+  const parts = path.relative(ROOT, file).split(path.sep);
+  if (parts.some((p) => !p || p.startsWith("."))) return false;
+  if (parts.length === 1) return path.extname(parts[0]).toLowerCase() === ".html";
+  return STATIC_DIRS.has(parts[0]);
+}
+
+// Browsers send Origin on WebSocket upgrades; only pages served by this room
+// may connect (no Origin = a non-browser client on the LAN).
+function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === String(req.headers.host || "");
+  } catch {
+    return false;
+  }
+}
+
+function serveStatic(req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  } catch {
+    res.writeHead(400).end("Bad request");
+    return;
+  }
+  if (pathname.endsWith("/")) pathname += "index.html";
+
+  const file = path.join(ROOT, pathname);
+  if (!isServable(file)) {
+    res.writeHead(403).end("Forbidden");
+    return;
+  }
+
+  fs.stat(file, (err, st) => {
+    if (err || !st.isFile()) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" }).end("Not found");
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type": MIME[path.extname(file).toLowerCase()] || "application/octet-stream",
+      "Cache-Control": "no-cache",
+    });
+    fs.createReadStream(file).pipe(res);
+  });
+}
+
+function lanAddresses() {
+  const out = [];
+  for (const list of Object.values(os.networkInterfaces())) {
+    for (const a of list || []) {
+      if (a.family === "IPv4" && !a.internal) out.push(a.address);
+    }
+  }
+  return out;
+}
+
+export function startDraftRoom({ port = 8080, host = "0.0.0.0", key = null, save = null } = {}) {
+  const commissionerKey = key || crypto.randomBytes(6).toString("hex");
+  const room = createRoom(save);
+  const clients = new Map(); // id -> { conn, role, team }
+  let nextId = 1;
+
+  const presence = () => ({
+    type: "presence",
+    clients: [...clients.entries()].map(([id, c]) => ({ id, role: c.role, team: c.team })),
+  });
+  const broadcast = (msg) => {
+    for (const c of clients.values()) c.conn.send(msg);
+  };
+  const stateMsg = () => ({ type: "state", ...room.get() });
+
+  function handle(id, text) {
+    const client = clients.get(id);
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch {
+      client.conn.send({ type: "error", message: "Messages must be JSON." });
+      return;
+    }
+
+    if (msg?.type === "hello") {
+      client.role = msg.key && String(msg.key) === commissionerKey ? "commissioner" : "team";
+      client.team = msg.team ? String(msg.team).slice(0, 40) : null;
+      client.conn.send({ type: "welcome", id, role: client.role });
+      client.conn.send(stateMsg());
+      broadcast(presence());
+      return;
+    }
+
+    if (msg?.type === "state") {
+      if (client.role !== "commissioner") {
+        client.conn.send({ type: "error", message: "Only the commissioner can record picks." });
+        return;
+      }
+      if (!Array.isArray(msg.log) || msg.log.length > MAX_LOG) {
+        client.conn.send({ type: "error", message: "Draft log must be a list of events." });
+        return;
+      }
+      const log = msg.log.map(cleanEvent).filter(Boolean);
+      const teams = (Array.isArray(msg.teams) ? msg.teams : room.get().teams).slice(0, MAX_TEAMS).map(cleanTeam).filter(Boolean);
+      if (room.set(log, teams)) {
+        const last = log[log.length - 1];
+        console.log(`[room] rev ${room.get().rev}: ${log.length} events${last ? ` (last: ${last.kind} ${last.name}${last.kind === "sale" ? ` $${last.price}` : ""})` : ""}`);
+        broadcast(stateMsg());
+      }
+      return;
+    }
+
+    client.conn.send({ type: "error", message: `Unknown message type: ${msg?.type}` });
+  }
+
+  const server = http.createServer(serveStatic);
+
+  server.on("upgrade", (req, socket) => {
+    const pathname = new URL(req.url, "http://localhost").pathname;
+    const wsKey = req.headers["sec-websocket-key"];
+    if (pathname !== WS_PATH || String(req.headers.upgrade).toLowerCase() !== "websocket" || !wsKey) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    if (!isSameOrigin(req)) {
+      socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+      return;
+    }
+
+    const accept = crypto.createHash("sha1").update(wsKey + WS_GUID).digest("base64");
+    socket.write([
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${accept}`,
+      "", "",
+    ].join("\r\n"));
+    socket.setNoDelay(true);
+
+    const id = `c${nextId++}`;
+    const conn = createConnection(socket, {
+      onMessage: (text) => handle(id, text),
+      onClose: () => {
+        clients.delete(id);
+        broadcast(presence());
+      },
+    });
+    clients.set(id, { conn, role: "team", team: null });
+  });
+
+  const pinger = setInterval(() => {
+    for (const c of clients.values()) c.conn.ping();
+  }, PING_MS);
+  pinger.unref();
+
+  server.listen(port, host, () => {
+    const hosts = host === "0.0.0.0" ? ["localhost", ...lanAddresses()] : [host];
+    console.log(`Draft room running on port ${port}`);
+    for (const h of hosts) {
+      console.log(`  Teams:        http://${h}:${port}/auction.html?room`);
+    }
+    console.log(`  Commissioner: http://${hosts[hosts.length - 1]}:${port}/auction.html?room&commish=${commissionerKey}`);
+    console.log("Keep the commissioner link to yourself. Ctrl+C stops the room.");
+  });
+
+  return {
+    server,
+    commissionerKey,
+    close() {
+      clearInterval(pinger);
+      for (const c of clients.values()) c.conn.close(1001);
+      server.close();
+    },
+  };
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(new URL(import.meta.url).pathname)) {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log("Usage: node tools/draft-room.mjs [--port 8080] [--host 0.0.0.0] [--key SECRET] [--save room.json]");
+    process.exit(0);
+  }
+  startDraftRoom(opts);
+}